@@ -105,10 +105,117 @@ class ConcurrencyLimiter {
 const MAX_CONCURRENT_NETWORK = 5; // Default; user-tunable via Settings slider
 const networkLimiter = new ConcurrencyLimiter(MAX_CONCURRENT_NETWORK);
 
+// Per-host politeness for link checks. The global limiter caps total requests but a
+// folder full of links to one site would still hammer that server and trigger 429s.
+// This caps simultaneous requests per host, spaces out request starts to the same
+// host, and holds a host back while it has asked us to wait (Retry-After).
+class HostScheduler {
+  constructor(maxPerHost = 2, spacingMs = 250) {
+    this.maxPerHost = maxPerHost;
+    this.spacingMs = spacingMs;
+    this.hosts = new Map(); // hostname -> { running, queue, nextStart, backoffUntil }
+  }
+
+  getHostState(url) {
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      return null;
+    }
+
+    let state = this.hosts.get(host);
+    if (!state) {
+      // Drop idle hosts now and then so long scans don't grow the map forever
+      if (this.hosts.size > 1000) {
+        const now = Date.now();
+        for (const [name, entry] of this.hosts) {
+          if (entry.running === 0 && entry.queue.length === 0 &&
+              entry.nextStart < now && entry.backoffUntil < now) {
+            this.hosts.delete(name);
+          }
+        }
+      }
+      state = { running: 0, queue: [], nextStart: 0, backoffUntil: 0 };
+      this.hosts.set(host, state);
+    }
+    return state;
+  }
+
+  // With skipIfBackedOff, returns HOST_BACKED_OFF instead of waiting out a Retry-After backoff
+  async run(url, fn, { skipIfBackedOff = false } = {}) {
+    const state = this.getHostState(url);
+    if (!state) return fn();
+
+    while (state.running >= this.maxPerHost) {
+      await new Promise(resolve => state.queue.push(resolve));
+    }
+    state.running++;
+    try {
+      if (skipIfBackedOff && state.backoffUntil > Date.now()) {
+        return HOST_BACKED_OFF;
+      }
+      // Wait out any Retry-After backoff and the minimum spacing since the last start
+      let wait;
+      while ((wait = Math.max(state.backoffUntil, state.nextStart) - Date.now()) > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      state.nextStart = Date.now() + this.spacingMs;
+      return await fn();
+    } finally {
+      state.running--;
+      const next = state.queue.shift();
+      if (next) next();
+    }
+  }
+
+  // Hold back every request to this URL's host for delayMs
+  backoff(url, delayMs) {
+    const state = this.getHostState(url);
+    if (state) {
+      state.backoffUntil = Math.max(state.backoffUntil, Date.now() + delayMs);
+    }
+  }
+
+  // How long this URL's host is still backed off (0 if it isn't)
+  getBackoffRemaining(url) {
+    const state = this.getHostState(url);
+    return state ? Math.max(0, state.backoffUntil - Date.now()) : 0;
+  }
+
+  setMaxPerHost(n) {
+    const next = Math.max(1, Math.min(5, Number(n) || this.maxPerHost));
+    const increased = next > this.maxPerHost;
+    this.maxPerHost = next;
+    // If the cap grew, wake queued waiters on every host to fill the freed slots
+    if (increased) {
+      for (const state of this.hosts.values()) {
+        let slots = this.maxPerHost - state.running;
+        while (slots-- > 0) {
+          const resolve = state.queue.shift();
+          if (!resolve) break;
+          resolve();
+        }
+      }
+    }
+  }
+
+  setSpacing(ms) {
+    this.spacingMs = Math.max(0, Math.min(5000, Number(ms) || 0));
+  }
+}
+
+const HOST_BACKED_OFF = Symbol('host backed off');
+const MAX_CONCURRENT_PER_HOST = 2; // Default; user-tunable via Settings slider
+const HOST_SPACING_MS = 250;       // Default; user-tunable via Settings slider
+const hostScheduler = new HostScheduler(MAX_CONCURRENT_PER_HOST, HOST_SPACING_MS);
+
 /* [ZeroLabs] 2026-06-20 10:50 AM - added: apply saved scan concurrency + jitter on startup */
-chrome.storage.local.get(['scanConcurrency', 'scanJitter']).then(({ scanConcurrency, scanJitter }) => {
+chrome.storage.local.get(['scanConcurrency', 'scanJitter', 'hostConcurrency', 'hostSpacing']).then(({ scanConcurrency, scanJitter, hostConcurrency, hostSpacing }) => {
   if (scanConcurrency) networkLimiter.setMax(scanConcurrency);
   if (scanJitter !== undefined) networkLimiter.setJitter(scanJitter);
+  if (hostConcurrency) hostScheduler.setMaxPerHost(hostConcurrency);
+  if (hostSpacing !== undefined) hostScheduler.setSpacing(hostSpacing);
 }).catch(() => {});
 
 // URL validation utilities inlined to avoid module loading issues
@@ -282,9 +389,24 @@ const getCachedResult = async (url, cacheKey) => {
   return null;
 };
 
+// Get the full cache entry (result plus any extra details stored with it) if valid
+const getCachedEntry = async (url, cacheKey) => {
+  try {
+    const cache = await chrome.storage.local.get(cacheKey);
+    const cached = cache[cacheKey]?.[url];
+    if (cached && (Date.now() - cached.timestamp < CACHE_TTL)) {
+      return cached;
+    }
+  } catch (e) {
+    console.warn('Cache read error:', e);
+  }
+  return null;
+};
+
 // Store result in cache (with mutex to prevent race conditions)
+// Optional extra fields are stored alongside the result in the same entry
 const cacheMutex = {};
-const setCachedResult = async (url, result, cacheKey) => {
+const setCachedResult = async (url, result, cacheKey, extra = {}) => {
   // Wait for any pending write to the same cache to complete
   while (cacheMutex[cacheKey]) {
     await new Promise(resolve => setTimeout(resolve, 10));
@@ -292,14 +414,58 @@ const setCachedResult = async (url, result, cacheKey) => {
 
   cacheMutex[cacheKey] = true;
 
+  let previous;
   try {
-    const cache = await chrome.storage.local.get(cacheKey);
+    const stashKey = `${cacheKey}BeforeClear`;
+    const cache = await chrome.storage.local.get([cacheKey, stashKey]);
     const cacheData = cache[cacheKey] || {};
+    previous = cacheData[url]?.result;
     cacheData[url] = {
+      ...extra,
       result,
       timestamp: Date.now()
     };
-    await chrome.storage.local.set({ [cacheKey]: cacheData });
+    const updates = { [cacheKey]: cacheData };
+
+    // First result since a rescan or "Clear cache": compare with the status from before
+    const stash = cache[stashKey];
+    if (stash?.[url]) {
+      if (previous === undefined) previous = stash[url].result;
+      delete stash[url];
+      updates[stashKey] = stash;
+    }
+    await chrome.storage.local.set(updates);
+  } catch (e) {
+    console.warn('Cache write error:', e);
+  } finally {
+    cacheMutex[cacheKey] = false;
+  }
+
+  // Status got worse since the last check: raise a security alert
+  if (previous !== undefined && (cacheKey === 'safetyStatusCache' || cacheKey === 'linkStatusCache')) {
+    const alertType = getStatusTransitionAlertType(cacheKey, previous, result);
+    if (alertType) {
+      recordSecurityAlert(url, alertType, previous, result).catch(error => {
+        console.error('[Security Alerts] Failed to record alert:', error);
+      });
+    }
+  }
+};
+
+// Add fields to an existing cache entry, keeping its result and timestamp (no-op if there is none)
+const updateCachedEntry = async (url, cacheKey, fields) => {
+  while (cacheMutex[cacheKey]) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  cacheMutex[cacheKey] = true;
+  try {
+    const cache = await chrome.storage.local.get(cacheKey);
+    const cacheData = cache[cacheKey];
+    if (cacheData?.[url]) {
+      cacheData[url] = { ...cacheData[url], ...fields };
+      await chrome.storage.local.set({ [cacheKey]: cacheData });
+    }
   } catch (e) {
     console.warn('Cache write error:', e);
   } finally {
@@ -307,6 +473,33 @@ const setCachedResult = async (url, result, cacheKey) => {
   }
 };
 
+// Rescans and "Clear cache" remove cached statuses, which would leave nothing to compare the next
+// result with and so no alert for a degradation the rescan finds. The removed entries are kept
+// under <cacheKey>BeforeClear until the URL gets a new result (or they are too old to matter).
+const STATUS_STASH_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const clearStatusCaches = async (cacheKeys) => {
+  for (const cacheKey of cacheKeys) {
+    while (cacheMutex[cacheKey]) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    cacheMutex[cacheKey] = true;
+    try {
+      const stashKey = `${cacheKey}BeforeClear`;
+      const stored = await chrome.storage.local.get([cacheKey, stashKey]);
+      const stash = { ...stored[stashKey], ...stored[cacheKey] };
+      const cutoff = Date.now() - STATUS_STASH_MAX_AGE;
+      for (const [url, entry] of Object.entries(stash)) {
+        if (!entry?.timestamp || entry.timestamp < cutoff) delete stash[url];
+      }
+      await chrome.storage.local.set({ [stashKey]: stash });
+      await chrome.storage.local.remove(cacheKey);
+    } finally {
+      cacheMutex[cacheKey] = false;
+    }
+  }
+};
+
 /**
  * Check if a URL uses a privileged scheme that shouldn't be scanned (Chrome-specific)
  * @param {string} url The URL to check
@@ -333,311 +526,2301 @@ function isPrivilegedUrl(url) {
   }
 }
 
-/**
- * Checks if a URL is reachable and resolves to the expected domain.
- * This function runs in the background script, which has broader permissions
- * than content scripts, allowing it to bypass CORS restrictions.
- * @param {string} url The URL to check.
- * @returns {Promise<'live' | 'dead' | 'parked'>} The status of the link.
- */
-const checkLinkStatus = async (url, bypassCache = false) => {
-  // Check if this is a privileged URL that should not be scanned
-  const privilegedInfo = isPrivilegedUrl(url);
-  if (privilegedInfo) {
-    console.log(`[Link Check] Privileged URL detected: ${privilegedInfo.label}`);
-    // Cache the result so it persists after side panel reload
-    console.log(`[Link Check] Caching privileged URL result for: ${url}`);
-    await setCachedResult(url, 'live', 'linkStatusCache');
-    console.log(`[Link Check] Privileged URL cached successfully`);
-    return 'live'; // Privileged URLs are always considered "live"
+// Redirect hops seen by webRequest for our own link-check fetches, keyed by requestId.
+// fetch() only exposes the final URL, so the individual hops have to be observed here.
+const REDIRECT_CHAIN_TTL = 60 * 1000;
+const pendingRedirectChains = new Map();
+
+chrome.webRequest.onBeforeRedirect.addListener((details) => {
+  // Only track requests made by this extension's service worker
+  if (details.tabId !== -1 || details.initiator !== self.location.origin) {
+    return;
   }
-  // Check cache first (unless bypassed for rescan)
-  if (!bypassCache) {
-    const cached = await getCachedResult(url, 'linkStatusCache');
-    if (cached) {
-      return cached;
+
+  const now = Date.now();
+  for (const [requestId, entry] of pendingRedirectChains) {
+    if (now - entry.timestamp > REDIRECT_CHAIN_TTL) {
+      pendingRedirectChains.delete(requestId);
     }
-  } else {
-    console.log(`[Link Check] Bypassing cache for rescan of ${url}`);
   }
 
-  let result;
+  const entry = pendingRedirectChains.get(details.requestId) || { hops: [], timestamp: now };
+  entry.hops.push({
+    url: details.url,
+    status: details.statusCode,
+    redirectUrl: details.redirectUrl
+  });
+  pendingRedirectChains.set(details.requestId, entry);
+}, { urls: ['<all_urls>'] });
+
+// Network errors (DNS, TLS, connection) seen by webRequest for our own fetches, keyed by
+// the URL the request started from. fetch() only rejects with a generic TypeError.
+const recentRequestErrors = new Map();
+
+chrome.webRequest.onErrorOccurred.addListener((details) => {
+  if (details.tabId !== -1 || details.initiator !== self.location.origin) {
+    return;
+  }
 
-  // Check if the URL itself is on a parking domain
-  try {
-    const urlHost = new URL(url).hostname.toLowerCase();
-    // Skip parking check for exempt hosting platforms
-    if (!isParkingExempt(urlHost) && PARKING_DOMAINS.some(domain => urlHost.includes(domain))) {
-      result = 'parked';
-      await setCachedResult(url, result, 'linkStatusCache');
-      return result;
+  const now = Date.now();
+  for (const [url, entry] of recentRequestErrors) {
+    if (now - entry.timestamp > REDIRECT_CHAIN_TTL) {
+      recentRequestErrors.delete(url);
     }
-  } catch (e) {
-    // Invalid URL, continue with fetch attempt
   }
 
+  // Attribute errors on later redirect hops to the URL that was originally requested
+  const startUrl = pendingRedirectChains.get(details.requestId)?.hops[0]?.url || details.url;
+  recentRequestErrors.set(startUrl, { error: details.error, timestamp: now });
+}, { urls: ['<all_urls>'] });
+
+// Take the network error recorded for a URL (null if none)
+function takeRequestError(url) {
+  let normalizedUrl;
   try {
-    // Try fetch with cors mode first to get redirect info
-    // Fall back to no-cors if CORS blocks us
-    let response;
-    let usedCors = false;
+    normalizedUrl = new URL(url).href;
+  } catch (e) {
+    return null;
+  }
 
-    try {
-      const corsController = new AbortController();
-      const corsTimeout = setTimeout(() => corsController.abort(), 5000);
+  const entry = recentRequestErrors.get(normalizedUrl);
+  recentRequestErrors.delete(normalizedUrl);
+  return entry ? entry.error : null;
+}
 
-      response = await fetch(url, {
-        method: 'HEAD',
-        signal: corsController.signal,
-        mode: 'cors',
-        credentials: 'omit',
-        redirect: 'follow'
-      });
-      clearTimeout(corsTimeout);
-      usedCors = true;
-    } catch (corsError) {
-      // CORS blocked, try no-cors mode with fresh controller
-      const noCorsController = new AbortController();
-      const noCorsTimeout = setTimeout(() => noCorsController.abort(), 5000);
+// Take the recorded redirect hops for a URL (empty if it didn't redirect)
+function takeRedirectChain(url) {
+  let normalizedUrl;
+  try {
+    normalizedUrl = new URL(url).href;
+  } catch (e) {
+    return [];
+  }
 
-      response = await fetch(url, {
-        method: 'HEAD',
-        signal: noCorsController.signal,
-        mode: 'no-cors',
-        credentials: 'omit',
-        redirect: 'follow'
-      });
-      clearTimeout(noCorsTimeout);
+  let chain = [];
+  for (const [requestId, entry] of pendingRedirectChains) {
+    if (entry.hops[0]?.url === normalizedUrl) {
+      // Keep the longest chain - the HEAD and GET checks of the same URL both get recorded
+      if (entry.hops.length > chain.length) {
+        chain = entry.hops;
+      }
+      pendingRedirectChains.delete(requestId);
     }
+  }
+  return chain;
+}
 
-    // Check if redirected to a parking domain (only works with cors mode)
-    if (usedCors && response.url) {
-      try {
-        const finalHost = new URL(response.url).hostname.toLowerCase();
-        const originalHost = new URL(url).hostname.toLowerCase();
+// Confirmed-dead mode: a failing link is only "dead" after this many consecutive failed
+// checks spread over at least this many days; until then it is "possibly-dead".
+// failures = 1 and days = 0 restores the old one-strike behaviour.
+const DEFAULT_DEAD_CONFIRM_FAILURES = 3;
+const DEFAULT_DEAD_CONFIRM_DAYS = 2;
+const POSSIBLY_DEAD_RECHECK_MS = 6 * 60 * 60 * 1000; // cache lifetime of a possibly-dead result
+const deadConfirmation = {
+  failures: DEFAULT_DEAD_CONFIRM_FAILURES,
+  days: DEFAULT_DEAD_CONFIRM_DAYS
+};
 
-        // Only flag if redirected to a DIFFERENT domain that's a known parking service
-        // Skip parking check for exempt hosting platforms
-        if (finalHost !== originalHost &&
-            !isParkingExempt(finalHost) &&
-            PARKING_DOMAINS.some(domain => finalHost.includes(domain))) {
-          result = 'parked';
-          await setCachedResult(url, result, 'linkStatusCache');
-          return result;
-        }
-      } catch (e) {
-        // URL parsing failed, continue with live status
-      }
+function setDeadConfirmation(failures, days) {
+  if (failures !== undefined) {
+    deadConfirmation.failures = Math.max(1, Math.min(10, parseInt(failures, 10) || DEFAULT_DEAD_CONFIRM_FAILURES));
+  }
+  if (days !== undefined) {
+    const parsedDays = parseInt(days, 10);
+    deadConfirmation.days = Math.max(0, Math.min(14, Number.isNaN(parsedDays) ? DEFAULT_DEAD_CONFIRM_DAYS : parsedDays));
+  }
+}
 
-      // Check response status (only available in cors mode)
-      // 404, 410, 451 indicate the content is gone
-      if (response.status === 404 || response.status === 410 || response.status === 451) {
-        result = 'dead';
-        await setCachedResult(url, result, 'linkStatusCache');
-        return result;
-      }
-    }
+chrome.storage.local.get(['deadConfirmFailures', 'deadConfirmDays']).then(({ deadConfirmFailures, deadConfirmDays }) => {
+  setDeadConfirmation(deadConfirmFailures, deadConfirmDays);
+}).catch(() => {});
 
-    // Site is reachable and not parked
-    result = 'live';
-    await setCachedResult(url, result, 'linkStatusCache');
-    return result;
+// Read the previous link cache entry regardless of age (failure history outlives the TTL)
+async function getPreviousLinkEntry(url) {
+  try {
+    const cache = await chrome.storage.local.get('linkStatusCache');
+    return cache.linkStatusCache?.[url] || null;
+  } catch (e) {
+    return null;
+  }
+}
 
-  } catch (error) {
-    // If timeout or abort, mark as live (slow server) and skip GET fallback
-    if (error.name === 'AbortError') {
-      console.log(`[Link Check] Timeout for ${url}, marking as live (slow server)`);
-      result = 'live';
-      await setCachedResult(url, result, 'linkStatusCache');
-      return result;
-    }
+/**
+ * Store a link status result together with the redirect chain that led to it, and track
+ * consecutive failures so a single failed check doesn't mark a bookmark dead.
+ * @param {string} url The checked URL.
+ * @param {string} result The raw check result.
+ * @param {object} extra Extra details to store with the result (linkDetail, parkedRule).
+ * @returns {Promise<string>} The status to report: a raw 'dead' becomes 'possibly-dead'
+ *   until the failure has been confirmed.
+ */
+async function setCachedLinkResult(url, result, extra = {}) {
+  let status = result;
+  let failureHistory = null;
 
-    // If HEAD fails for other reasons, try GET as fallback
-    try {
-      let fallbackResponse;
-      let usedCorsFallback = false;
+  if (result === 'dead') {
+    const previous = await getPreviousLinkEntry(url);
+    const previousHistory = previous?.failureHistory;
+    const now = Date.now();
 
-      try {
-        const corsController = new AbortController();
-        const corsTimeout = setTimeout(() => corsController.abort(), 5000);
+    failureHistory = {
+      count: (previousHistory?.count || 0) + 1,
+      firstFailureAt: previousHistory?.firstFailureAt || now,
+      lastFailureAt: now
+    };
 
-        fallbackResponse = await fetch(url, {
-          method: 'GET',
-          signal: corsController.signal,
-          mode: 'cors',
-          credentials: 'omit',
-          redirect: 'follow'
-        });
-        clearTimeout(corsTimeout);
-        usedCorsFallback = true;
-      } catch (corsError) {
-        // CORS blocked, try no-cors mode with fresh controller
-        const noCorsController = new AbortController();
-        const noCorsTimeout = setTimeout(() => noCorsController.abort(), 5000);
+    const spanDays = (now - failureHistory.firstFailureAt) / (24 * 60 * 60 * 1000);
+    const confirmed = failureHistory.count >= deadConfirmation.failures && spanDays >= deadConfirmation.days;
+    status = confirmed ? 'dead' : 'possibly-dead';
 
-        fallbackResponse = await fetch(url, {
-          method: 'GET',
-          signal: noCorsController.signal,
-          mode: 'no-cors',
-          credentials: 'omit',
-          redirect: 'follow'
-        });
-        clearTimeout(noCorsTimeout);
-      }
+    if (!confirmed) {
+      console.log(`[Link Check] ${url} failed ${failureHistory.count}/${deadConfirmation.failures} checks over ${spanDays.toFixed(1)}/${deadConfirmation.days} days - possibly dead`);
+    }
+  }
 
-      // Check if redirected to a parking domain (only works with cors mode)
-      if (usedCorsFallback && fallbackResponse.url) {
-        try {
-          const finalHost = new URL(fallbackResponse.url).hostname.toLowerCase();
-          const originalHost = new URL(url).hostname.toLowerCase();
+  const redirectChain = takeRedirectChain(url);
+  await setCachedResult(url, status, 'linkStatusCache', {
+    ...extra,
+    failureHistory,
+    redirectChain
+  });
+  return status;
+}
 
-          // Skip parking check for exempt hosting platforms
-          if (finalHost !== originalHost &&
-              !isParkingExempt(finalHost) &&
-              PARKING_DOMAINS.some(domain => finalHost.includes(domain))) {
-            result = 'parked';
-            await setCachedResult(url, result, 'linkStatusCache');
-            return result;
-          }
-        } catch (e) {
-          // URL parsing failed, continue with live status
-        }
+/**
+ * Get the extra details recorded for a link check.
+ * @param {string} url The checked URL.
+ * @returns {Promise<{redirectChain: Array<{url: string, status: number, redirectUrl: string}>, parkedRule: {id: string, description: string}|null, linkDetail: {httpStatus: number|null, errorClass: string, finalUrl: string|null, netError?: string}|null, failureHistory: {count: number, firstFailureAt: number, lastFailureAt: number}|null, domainInfo: object|null, pageChange: {updated: boolean, changedAt: number|null, checkedAt: number}|null, archivedSnapshot: {url: string, timestamp: number|null, status: string|null, checkedAt: number}|null}>}
+ */
+async function getLinkCheckDetails(url) {
+  const entry = await getCachedEntry(url, 'linkStatusCache');
+  return {
+    redirectChain: entry?.redirectChain || [],
+    parkedRule: entry?.parkedRule || null,
+    linkDetail: entry?.linkDetail || null,
+    failureHistory: entry?.failureHistory || null,
+    domainInfo: entry?.domainInfo || null,
+    pageChange: await getPageChangeSummary(url),
+    archivedSnapshot: await getArchivedSnapshot(url)
+  };
+}
 
-        // Check response status (only available in cors mode)
-        // 404, 410, 451 indicate the content is gone
-        if (fallbackResponse.status === 404 || fallbackResponse.status === 410 || fallbackResponse.status === 451) {
-          result = 'dead';
-          await setCachedResult(url, result, 'linkStatusCache');
-          return result;
-        }
-      }
+// Final URLs that look like a sign-in page (auth walls that redirect instead of sending 401/403)
+const LOGIN_PATH_PATTERN = /\/(login|log-in|signin|sign-in|sign_in|auth|sso|oauth2?|account\/login|users\/sign_in|accounts\/login)(\/|\?|$|\.)/i;
 
+function isLoginRedirect(url, finalUrl) {
+  try {
+    const original = new URL(url);
+    const final = new URL(finalUrl);
+    return final.href !== original.href &&
+      LOGIN_PATH_PATTERN.test(final.pathname + '/') &&
+      !LOGIN_PATH_PATTERN.test(original.pathname + '/');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Describe a completed response as a linkDetail record.
+ * errorClass is one of: ok, not-found, gone, legal, auth-wall, rate-limited,
+ * client-error, server-error, opaque (no-cors: status not readable).
+ * @param {Response} response The fetch response.
+ * @param {string} url The requested URL.
+ * @param {boolean} usedCors Whether the response came from a cors-mode request.
+ * @returns {{httpStatus: number|null, errorClass: string, finalUrl: string|null}}
+ */
+function describeResponse(response, url, usedCors) {
+  if (!usedCors) {
+    return { httpStatus: null, errorClass: 'opaque', finalUrl: null };
+  }
+
+  const status = response.status;
+  const finalUrl = response.url || url;
+  let errorClass = 'ok';
+
+  if (status === 404) errorClass = 'not-found';
+  else if (status === 410) errorClass = 'gone';
+  else if (status === 451) errorClass = 'legal';
+  else if (status === 401 || status === 403 || isLoginRedirect(url, finalUrl)) errorClass = 'auth-wall';
+  else if (status === 429) errorClass = 'rate-limited';
+  else if (status >= 500) errorClass = 'server-error';
+  else if (status >= 400) errorClass = 'client-error';
+
+  return { httpStatus: status, errorClass, finalUrl };
+}
+
+/**
+ * Describe a failed fetch as a linkDetail record, using the network error webRequest saw.
+ * errorClass is one of: timeout, dns, tls, connection, blocked, network.
+ * @param {Error} error The fetch rejection.
+ * @param {string} url The requested URL.
+ * @returns {{httpStatus: null, errorClass: string, finalUrl: null, netError: string|null}}
+ */
+function describeFetchError(error, url) {
+  const netError = takeRequestError(url);
+  let errorClass = 'network';
+
+  if (error.name === 'AbortError') errorClass = 'timeout';
+  else if (/ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED|ERR_DNS_/.test(netError)) errorClass = 'dns';
+  else if (/ERR_CERT_|ERR_SSL_|ERR_BAD_SSL|ERR_TLS/.test(netError)) errorClass = 'tls';
+  else if (/ERR_CONNECTION_|ERR_ADDRESS_|ERR_EMPTY_RESPONSE|ERR_TIMED_OUT|ERR_TUNNEL/.test(netError)) errorClass = 'connection';
+  else if (/ERR_BLOCKED_/.test(netError)) errorClass = 'blocked';
+
+  return { httpStatus: null, errorClass, finalUrl: null, netError };
+}
+
+// Soft-404 detection: servers that answer "200 OK" with a "not found" page.
+// Body markers only count on short pages, since long articles can legitimately
+// mention "page not found". Title markers never count alone ("How to fix a 404
+// error" is a real page): only when the random-path probe gets one too.
+const SOFT_404_TITLE_PATTERNS = [
+  /\b404\b/i,
+  /not\s+found/i,
+  /page\s+(does\s+not|doesn't|could\s+not|couldn't)\s+(exist|be\s+found)/i,
+  /no\s+longer\s+(available|exists)/i,
+  /seite\s+nicht\s+gefunden/i,
+  /page\s+introuvable/i,
+  /p[aá]gina\s+no\s+encontrada/i
+];
+
+const SOFT_404_BODY_PATTERNS = [
+  /\b404\s*(error|-|–|:)?\s*(page\s+)?not\s+found\b/i,
+  /the\s+page\s+you\s+(are|were)\s+looking\s+for\s+(could\s+not\s+be\s+found|(does\s+not|doesn't)\s+exist|(is|was)\s+not\s+found|has\s+been\s+(removed|moved))/i,
+  /the\s+(requested\s+)?(page|url)\s+(was\s+not\s+found|could\s+not\s+be\s+found|(does\s+not|doesn't)\s+exist)/i,
+  /this\s+page\s+(is\s+no\s+longer\s+available|(does\s+not|doesn't)\s+exist)/i
+];
+
+const SOFT_404_SHORT_PAGE_CHARS = 3000;
+const SOFT_404_MAX_BODY_BYTES = 256 * 1024;
+
+// Read a response body as text, stopping after maxBytes
+async function readResponseText(response, maxBytes = SOFT_404_MAX_BODY_BYTES) {
+  if (!response.body) {
+    return '';
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let received = 0;
+
+  try {
+    while (received < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      received += value.length;
+      text += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  return text;
+}
+
+// Extract the title and visible text of an HTML page for comparison
+function extractPageSignature(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? titleMatch[1].replace(/\s+/g, ' ').trim() : '';
+
+  const text = html
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { title, text };
+}
+
+// GET a page and return its status, final URL and signature (null if unreadable or not HTML)
+async function fetchPageSignature(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000);
+
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      signal: controller.signal,
+      mode: 'cors',
+      credentials: 'omit',
+      redirect: 'follow'
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/html')) {
+      response.body?.cancel().catch(() => {});
+      return null;
+    }
+
+    const html = await readResponseText(response);
+    return {
+      status: response.status,
+      finalUrl: response.url || url,
+      html,
+      ...extractPageSignature(html)
+    };
+  } catch (e) {
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Word-set overlap between two page texts (0 = nothing shared, 1 = identical)
+function textSimilarity(a, b) {
+  const wordsA = new Set(a.toLowerCase().split(' ').slice(0, 2000));
+  const wordsB = new Set(b.toLowerCase().split(' ').slice(0, 2000));
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Detects "soft 404s": pages that return a success code but are really error pages.
+ * Looks for not-found markers in the page, then compares the page against a probe
+ * to a random path on the same host - if a path that can't exist returns the same
+ * page (or also has a not-found title), the bookmark is most likely pointing at the
+ * site's catch-all error page.
+ * @param {string} url The URL that already returned a successful status.
+ * @param {object} page The page signature from fetchPageSignature.
+ * @returns {Promise<boolean>} True if the page looks like a soft 404.
+ */
+async function isSoft404(url, page) {
+  if (page.text.length < SOFT_404_SHORT_PAGE_CHARS &&
+      SOFT_404_BODY_PATTERNS.some(pattern => pattern.test(page.text))) {
+    console.log(`[Link Check] Soft-404 body marker on ${url}`);
+    return true;
+  }
+
+  // A site root can't be compared against a probe (catch-all redirects land there anyway)
+  const urlObj = new URL(url);
+  if ((urlObj.pathname === '/' || urlObj.pathname === '') && !urlObj.search) {
+    return false;
+  }
+
+  const probeUrl = `${urlObj.origin}/${crypto.randomUUID()}`;
+  const probe = await fetchPageSignature(probeUrl);
+
+  // Host returns proper error codes for missing pages, so the bookmark is genuine
+  if (!probe || probe.status < 200 || probe.status >= 300) {
+    return false;
+  }
+
+  // Both landed on the same page (e.g. everything redirects to the homepage)
+  if (probe.finalUrl === page.finalUrl) {
+    console.log(`[Link Check] Soft-404 on ${url}: same final URL as random probe`);
+    return true;
+  }
+
+  // The site titles its error pages "not found" and this page has such a title too
+  const hasTitleMarker = title => SOFT_404_TITLE_PATTERNS.some(pattern => pattern.test(title));
+  if (hasTitleMarker(page.title) && hasTitleMarker(probe.title)) {
+    console.log(`[Link Check] Soft-404 title marker on ${url} and random probe: "${page.title}"`);
+    return true;
+  }
+
+  // Script-rendered apps serve the same near-empty shell for every path; nothing to compare
+  if (page.text.length < 200) {
+    return false;
+  }
+
+  const similarity = textSimilarity(page.text, probe.text);
+  if ((page.title && page.title === probe.title && similarity >= 0.9) || similarity >= 0.97) {
+    console.log(`[Link Check] Soft-404 on ${url}: matches random probe (similarity ${similarity.toFixed(2)})`);
+    return true;
+  }
+
+  return false;
+}
+
+// Parked-domain fingerprints (parking-rules.json), loaded once per service worker lifetime
+let parkingRules = null;
+
+async function loadParkingRules() {
+  if (parkingRules) return parkingRules;
+
+  try {
+    const response = await fetch(chrome.runtime.getURL('parking-rules.json'));
+    const data = await response.json();
+    parkingRules = {
+      maxTextLength: data.maxTextLength || 5000,
+      rules: (data.rules || []).map(rule => ({
+        ...rule,
+        compiled: rule.type === 'template' ? new RegExp(rule.regex, 'i') : null
+      }))
+    };
+    console.log(`[Link Check] Loaded ${parkingRules.rules.length} parking fingerprint rules`);
+  } catch (e) {
+    console.error('[Link Check] Failed to load parking rules:', e);
+    parkingRules = { maxTextLength: 0, rules: [] };
+  }
+
+  return parkingRules;
+}
+
+// Match "host/path" patterns against a URL: host (or any subdomain of it) and path prefix
+function urlMatchesHostPattern(urlObj, pattern) {
+  const slash = pattern.indexOf('/');
+  const host = slash === -1 ? pattern : pattern.slice(0, slash);
+  const path = slash === -1 ? '' : pattern.slice(slash);
+  const hostname = urlObj.hostname.toLowerCase();
+
+  return (hostname === host || hostname.endsWith('.' + host)) && urlObj.pathname.startsWith(path);
+}
+
+// Collect the URLs of scripts, frames, stylesheets and images referenced by a page
+function extractResourceUrls(html, baseUrl) {
+  const urls = [];
+  const resourcePattern = /<(?:script|iframe|link|img)\b[^>]*?\b(?:src|href)\s*=\s*["']?([^"'\s>]+)/gi;
+  let match;
+  while ((match = resourcePattern.exec(html)) !== null) {
+    try {
+      urls.push(new URL(match[1], baseUrl));
+    } catch (e) {
+      // Skip unparseable references
+    }
+  }
+  return urls;
+}
+
+// Get the target URL of a <meta http-equiv="refresh"> tag, if any
+function extractMetaRefreshUrl(html, baseUrl) {
+  const metaTags = html.match(/<meta\b[^>]*>/gi) || [];
+  for (const tag of metaTags) {
+    if (!/http-equiv\s*=\s*["']?refresh/i.test(tag)) continue;
+
+    const content = tag.match(/content\s*=\s*["']([^"']*)["']/i);
+    const target = content && content[1].match(/url\s*=\s*['"]?([^'";\s]+)/i);
+    if (target) {
+      try {
+        return new URL(target[1], baseUrl);
+      } catch (e) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks page content against the parked-domain fingerprints.
+ * Catches parking pages served directly on the bookmarked domain, which the
+ * PARKING_DOMAINS and redirect checks can't see.
+ * @param {object} page The page signature from fetchPageSignature.
+ * @returns {Promise<{id: string, description: string}|null>} The first matching rule.
+ */
+async function matchParkingFingerprint(page) {
+  const { maxTextLength, rules } = await loadParkingRules();
+  const text = `${page.title} ${page.text}`.toLowerCase();
+  const isShortPage = page.text.length < maxTextLength;
+
+  let resourceUrls = null;
+  let metaRefreshUrl;
+
+  for (const rule of rules) {
+    let matched = false;
+
+    if (rule.type === 'resource') {
+      resourceUrls = resourceUrls || extractResourceUrls(page.html, page.finalUrl);
+      matched = resourceUrls.some(resourceUrl =>
+        rule.patterns.some(pattern => urlMatchesHostPattern(resourceUrl, pattern))
+      );
+    } else if (rule.type === 'phrase' && isShortPage) {
+      matched = rule.match === 'all'
+        ? rule.phrases.every(phrase => text.includes(phrase))
+        : rule.phrases.some(phrase => text.includes(phrase));
+    } else if (rule.type === 'meta-refresh') {
+      if (metaRefreshUrl === undefined) {
+        metaRefreshUrl = extractMetaRefreshUrl(page.html, page.finalUrl);
+      }
+      matched = !!metaRefreshUrl && rule.hosts.some(host => urlMatchesHostPattern(metaRefreshUrl, host));
+    } else if (rule.type === 'template') {
+      matched = rule.compiled.test(page.html);
+    }
+
+    if (matched) {
+      return { id: rule.id, description: rule.description };
+    }
+  }
+
+  return null;
+}
+
+// Fetch a page that answered successfully and look for parking and soft-404 signs in its content
+async function inspectPageContent(url) {
+  const page = await fetchPageSignature(url);
+  if (!page || page.status < 200 || page.status >= 300) {
+    return null;
+  }
+
+  const parkedRule = await matchParkingFingerprint(page);
+  if (parkedRule) {
+    console.log(`[Link Check] Parking fingerprint "${parkedRule.id}" matched on ${url}`);
+    return { status: 'parked', parkedRule };
+  }
+
+  if (await isSoft404(url, page)) {
+    return { status: 'soft-404' };
+  }
+
+  return null;
+}
+
+// Domain lifecycle checks (optional, off by default): a DNS-over-HTTPS lookup tells whether the
+// domain still exists (NXDOMAIN) and an RDAP lookup gives its expiry date and registrar.
+// Both endpoints are configurable so they can point at a local resolver or RDAP stand-in.
+const DEFAULT_DOH_RESOLVER = 'https://cloudflare-dns.com/dns-query';
+const DEFAULT_RDAP_ENDPOINT = 'https://rdap.org/domain/';
+const DOMAIN_CHECK_TIMEOUT_MS = 8000;
+// Lookups run after the link check has given up its network and per-host slots, through their
+// own limiter, so slow RDAP servers don't hold up link checks on other hosts
+const MAX_CONCURRENT_DOMAIN_CHECKS = 2;
+const domainLifecycleLimiter = new ConcurrencyLimiter(MAX_CONCURRENT_DOMAIN_CHECKS);
+const domainLifecycleSettings = {
+  enabled: false,
+  dohResolver: DEFAULT_DOH_RESOLVER,
+  rdapEndpoint: DEFAULT_RDAP_ENDPOINT
+};
+
+function setDomainLifecycleSettings({ enabled, dohResolver, rdapEndpoint }) {
+  if (enabled !== undefined) domainLifecycleSettings.enabled = enabled === true;
+  if (dohResolver !== undefined) domainLifecycleSettings.dohResolver = dohResolver || DEFAULT_DOH_RESOLVER;
+  if (rdapEndpoint !== undefined) domainLifecycleSettings.rdapEndpoint = rdapEndpoint || DEFAULT_RDAP_ENDPOINT;
+}
+
+chrome.storage.local.get(['domainCheckEnabled', 'dohResolverUrl', 'rdapEndpointUrl']).then(result => {
+  setDomainLifecycleSettings({
+    enabled: result.domainCheckEnabled,
+    dohResolver: result.dohResolverUrl,
+    rdapEndpoint: result.rdapEndpointUrl
+  });
+}).catch(() => {});
+
+// Public Suffix List (bundled public_suffix_list.dat), loaded once per service worker lifetime.
+// Tells where the shared part of a hostname ends: "co.uk", but also hosting suffixes like "github.io".
+let publicSuffixList = null;
+let publicSuffixListPromise = null;
+
+function loadPublicSuffixList() {
+  if (!publicSuffixListPromise) {
+    publicSuffixListPromise = (async () => {
+      const list = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+      try {
+        const response = await fetch(chrome.runtime.getURL('public_suffix_list.dat'));
+        const text = await response.text();
+        for (const line of text.split('\n')) {
+          // A rule is the first word of a line; "//" starts a comment
+          const rule = line.trim().split(/\s/)[0].toLowerCase();
+          if (!rule || rule.startsWith('//')) continue;
+
+          const target = rule.startsWith('!') ? list.exceptions : rule.startsWith('*.') ? list.wildcards : list.rules;
+          let name = rule.replace(/^!|^\*\./, '');
+          // The list is in Unicode, URL hostnames are punycode
+          if (/[^\x00-\x7f]/.test(name)) {
+            try {
+              name = new URL(`http://${name}`).hostname;
+            } catch (e) {
+              continue;
+            }
+          }
+          target.add(name);
+        }
+        publicSuffixList = list;
+        console.log(`[PSL] Loaded ${list.rules.size + list.wildcards.size + list.exceptions.size} public suffix rules`);
+      } catch (e) {
+        console.error('[PSL] Failed to load public suffix list:', e);
+      }
+      return publicSuffixList;
+    })();
+  }
+  return publicSuffixListPromise;
+}
+
+// Number of trailing labels that form the public suffix (the list's implicit "*" rule means at least 1)
+function getPublicSuffixLength(labels) {
+  const { rules, wildcards, exceptions } = publicSuffixList;
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (exceptions.has(candidate)) return labels.length - i - 1;
+    if (rules.has(candidate)) return labels.length - i;
+    if (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join('.'))) return labels.length - i;
+  }
+  return 1;
+}
+
+// Second-level labels that sit under a two-letter country TLD ("example.co.uk")
+// (fallback for when the public suffix list isn't loaded)
+const COUNTRY_SECOND_LEVELS = ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go', 'gob'];
+
+// Registered domain of a hostname ("www.example.co.uk" -> "example.co.uk"), null for IPs, single
+// labels and hostnames that are themselves a public suffix
+function getRegisteredDomain(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (!host.includes('.') || host.includes(':') || /^\d+(\.\d+){3}$/.test(host)) {
+    return null;
+  }
+  const labels = host.split('.');
+  const keep = publicSuffixList
+    ? getPublicSuffixLength(labels) + 1
+    : labels.length > 2 && labels[labels.length - 1].length === 2 &&
+      COUNTRY_SECOND_LEVELS.includes(labels[labels.length - 2]) ? 3 : 2;
+  return labels.length >= keep ? labels.slice(-keep).join('.') : null;
+}
+
+// Parent domains of a hostname up to and including its registered domain, nearest first
+// ("a.b.example.co.uk" -> ["b.example.co.uk", "example.co.uk"]); never reaches a public suffix
+function getDomainAncestors(hostname) {
+  const registered = getRegisteredDomain(hostname);
+  if (!registered) {
+    return [];
+  }
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  const ancestors = [];
+  for (let i = 1; i <= labels.length - registered.split('.').length; i++) {
+    ancestors.push(labels.slice(i).join('.'));
+  }
+  return ancestors;
+}
+
+async function fetchJson(url, accept, timeoutMs = DOMAIN_CHECK_TIMEOUT_MS) {
+  const response = await fetch(url, {
+    headers: { accept },
+    credentials: 'omit',
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  return { status: response.status, data: response.ok ? await response.json() : null };
+}
+
+// Ask the DoH resolver (JSON API) whether the domain exists: true = NXDOMAIN, null = lookup failed
+async function lookupNxdomain(domain) {
+  try {
+    const url = new URL(domainLifecycleSettings.dohResolver);
+    url.searchParams.set('name', domain);
+    url.searchParams.set('type', 'NS');
+    const { data } = await fetchJson(url.href, 'application/dns-json');
+    return data && typeof data.Status === 'number' ? data.Status === 3 : null;
+  } catch (error) {
+    console.warn(`[Domain Check] DNS lookup failed for ${domain}:`, error.message);
+    return null;
+  }
+}
+
+// Latest date of an RDAP event ("expiration", "registration", "transfer", ...) as a timestamp
+function getRdapEventDate(events, action) {
+  const dates = (events || [])
+    .filter(event => event.eventAction === action)
+    .map(event => Date.parse(event.eventDate))
+    .filter(Number.isFinite);
+  return dates.length > 0 ? Math.max(...dates) : null;
+}
+
+// Look up the domain's registration over RDAP (null if the lookup failed)
+async function lookupRdap(domain) {
+  try {
+    const { status, data } = await fetchJson(domainLifecycleSettings.rdapEndpoint + encodeURIComponent(domain), 'application/rdap+json');
+    if (status === 404) {
+      return { registered: false };
+    }
+    if (!data) {
+      return null;
+    }
+    const registrarEntity = (data.entities || []).find(entity => (entity.roles || []).includes('registrar'));
+    const registrarName = registrarEntity?.vcardArray?.[1]?.find(field => field[0] === 'fn')?.[3];
+    return {
+      registered: true,
+      expiresAt: getRdapEventDate(data.events, 'expiration'),
+      registeredAt: getRdapEventDate(data.events, 'registration'),
+      transferredAt: getRdapEventDate(data.events, 'transfer'),
+      registrar: registrarName || registrarEntity?.handle || null
+    };
+  } catch (error) {
+    console.warn(`[Domain Check] RDAP lookup failed for ${domain}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Check a domain's lifecycle: whether it still resolves, when it expires and whether its
+ * registrar changed. Results are cached per domain in domainStatusCache; a registrar that
+ * differs from the previously recorded one is remembered as a registrar change.
+ * @param {string} domain The registered domain.
+ * @returns {Promise<object|null>} The domain info, or null if neither lookup worked.
+ */
+async function checkDomainLifecycle(domain) {
+  const [nxdomain, rdap] = await Promise.all([lookupNxdomain(domain), lookupRdap(domain)]);
+  if (nxdomain === null && rdap === null) {
+    return null;
+  }
+
+  const cache = await chrome.storage.local.get('domainStatusCache');
+  const previous = cache.domainStatusCache?.[domain];
+  const registrar = rdap?.registrar ?? previous?.registrar ?? null;
+  const registrarChanged = Boolean(rdap?.registrar && previous?.registrar && rdap.registrar !== previous.registrar);
+
+  const info = {
+    domain,
+    nxdomain,
+    registered: rdap ? rdap.registered : null,
+    expiresAt: rdap?.expiresAt ?? null,
+    registeredAt: rdap?.registeredAt ?? null,
+    transferredAt: rdap?.transferredAt ?? null,
+    registrar,
+    previousRegistrar: registrarChanged ? previous.registrar : (previous?.previousRegistrar ?? null),
+    registrarChangedAt: registrarChanged ? Date.now() : (previous?.registrarChangedAt ?? null),
+    checkedAt: Date.now()
+  };
+
+  const status = nxdomain || info.registered === false ? 'gone' : 'ok';
+  await setCachedResult(domain, status, 'domainStatusCache', info);
+  return info;
+}
+
+// Lookups in flight, so bookmarks on the same domain share one DoH/RDAP request
+const pendingDomainChecks = new Map();
+
+// Get the (cached) lifecycle info for a URL's domain, or null when the check is disabled
+async function getDomainLifecycle(url) {
+  if (!domainLifecycleSettings.enabled) {
+    return null;
+  }
+
+  let domain;
+  try {
+    await loadPublicSuffixList();
+    domain = getRegisteredDomain(new URL(url).hostname);
+  } catch (e) {
+    return null;
+  }
+  if (!domain) {
+    return null;
+  }
+
+  const cached = await getCachedEntry(domain, 'domainStatusCache');
+  if (cached) {
+    const { result, timestamp, ...info } = cached;
+    return info;
+  }
+
+  if (!pendingDomainChecks.has(domain)) {
+    pendingDomainChecks.set(domain, domainLifecycleLimiter.run(() => checkDomainLifecycle(domain))
+      .catch(error => {
+        console.warn(`[Domain Check] Lifecycle check failed for ${domain}:`, error.message);
+        return null;
+      })
+      .finally(() => pendingDomainChecks.delete(domain)));
+  }
+  return pendingDomainChecks.get(domain);
+}
+
+// Store the domain lifecycle info with a checked link's cache entry. Called once the link check
+// has released its network and per-host slots.
+async function trackDomainLifecycle(url) {
+  const domainInfo = await getDomainLifecycle(url);
+  if (!domainInfo) return;
+
+  // Cached link results usually already carry the same lookup
+  const entry = await getPreviousLinkEntry(url);
+  if (entry && entry.domainInfo?.checkedAt !== domainInfo.checkedAt) {
+    await updateCachedEntry(url, 'linkStatusCache', { domainInfo });
+  }
+}
+
+// Page change detection for bookmarks (or folders) the user watches. Each check stores the
+// page's ETag, Last-Modified and a hash of its normalized text in pageChangeState; the page
+// counts as "updated since last seen" while that hash differs from the one the user last saw.
+const PAGE_CHANGE_MAX_BODY_BYTES = 512 * 1024;
+const PAGE_CHANGE_TIMEOUT_MS = 10000;
+
+// Is this URL bookmarked under a watched bookmark or folder id?
+async function isWatchedUrl(url) {
+  const { watchedBookmarkIds } = await chrome.storage.local.get('watchedBookmarkIds');
+  if (!watchedBookmarkIds || watchedBookmarkIds.length === 0) {
+    return false;
+  }
+
+  const watched = new Set(watchedBookmarkIds);
+  const nodes = await chrome.bookmarks.search({ url });
+  for (const node of nodes) {
+    let current = node;
+    while (current) {
+      if (watched.has(current.id)) {
+        return true;
+      }
+      current = current.parentId ? (await chrome.bookmarks.get(current.parentId))[0] : null;
+    }
+  }
+  return false;
+}
+
+// Hash the text of a page with markup, scripts and clock times stripped, so only content edits count
+async function hashPageContent(body, contentType) {
+  let text = contentType.includes('html')
+    ? (({ title, text }) => `${title} ${text}`)(extractPageSignature(body.replace(/<!--[\s\S]*?-->/g, ' ')))
+    : body;
+  text = text.replace(/\b\d{1,2}:\d{2}(:\d{2})?\b/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function getPageChangeEntry(url) {
+  const { pageChangeState } = await chrome.storage.local.get('pageChangeState');
+  return pageChangeState?.[url] || null;
+}
+
+/**
+ * Fetch a watched page (conditionally, using the stored validators) and record whether its
+ * content changed. The first check only records a baseline.
+ * @param {string} url The bookmark URL.
+ * @returns {Promise<object|null>} The stored page change entry, or null if the page couldn't be read.
+ */
+async function checkPageChange(url) {
+  const previous = await getPageChangeEntry(url);
+  const headers = {};
+  if (previous?.etag) headers['If-None-Match'] = previous.etag;
+  if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+  try {
+    const response = await fetch(url, {
+      headers,
+      credentials: 'omit',
+      cache: 'no-store',
+      redirect: 'follow',
+      signal: AbortSignal.timeout(PAGE_CHANGE_TIMEOUT_MS)
+    });
+
+    if (response.status === 304 && previous) {
+      const entry = { ...previous, checkedAt: Date.now() };
+      await setCachedResult(url, previous.result, 'pageChangeState', entry);
+      return entry;
+    }
+    if (!response.ok) {
+      return previous;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const contentHash = await hashPageContent(await readResponseText(response, PAGE_CHANGE_MAX_BODY_BYTES), contentType);
+    const changed = Boolean(previous?.contentHash) && previous.contentHash !== contentHash;
+    const seenHash = previous?.seenHash || contentHash;
+    const entry = {
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      contentHash,
+      seenHash,
+      checkedAt: Date.now(),
+      changedAt: changed ? Date.now() : (previous?.changedAt || null)
+    };
+    const result = contentHash === seenHash ? 'unchanged' : 'updated';
+    if (changed) {
+      console.log(`[Page Change] ${url} changed since the last check`);
+    }
+    await setCachedResult(url, result, 'pageChangeState', entry);
+    return { ...entry, result };
+  } catch (error) {
+    console.warn(`[Page Change] Could not check ${url}:`, error.message);
+    return previous;
+  }
+}
+
+// Check a bookmark for changes if it (or a parent folder) is watched; scheduled like a link check
+async function trackPageChange(url) {
+  try {
+    if (await isWatchedUrl(url)) {
+      await hostScheduler.run(url, () => networkLimiter.run(() => checkPageChange(url)));
+    }
+  } catch (error) {
+    console.warn(`[Page Change] Watch lookup failed for ${url}:`, error.message);
+  }
+}
+
+// The user opened the page: its current content becomes the last seen version
+async function markPageSeen(url) {
+  const entry = await getPageChangeEntry(url);
+  if (entry && entry.result === 'updated') {
+    const { result, timestamp, ...state } = entry;
+    await setCachedResult(url, 'unchanged', 'pageChangeState', { ...state, seenHash: state.contentHash });
+  }
+}
+
+// Summary of the page change state for the UI (null if the page isn't tracked)
+async function getPageChangeSummary(url) {
+  const entry = await getPageChangeEntry(url);
+  return entry ? { updated: entry.result === 'updated', changedAt: entry.changedAt, checkedAt: entry.checkedAt } : null;
+}
+
+// Title refresh: read the live <title> and og:title of a bookmarked page
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', middot: '·', raquo: '»', laquo: '«' };
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Get the content of a <meta property="..."> / <meta name="..."> tag
+function extractMetaContent(html, property) {
+  const metaTags = html.match(/<meta\b[^>]*>/gi) || [];
+  for (const tag of metaTags) {
+    const key = tag.match(/(?:property|name)\s*=\s*["']([^"']*)["']/i);
+    if (!key || key[1].toLowerCase() !== property) continue;
+
+    const content = tag.match(/content\s*=\s*(["'])([\s\S]*?)\1/i);
+    if (content) {
+      return decodeHtmlEntities(content[2]).replace(/\s+/g, ' ').trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * Fetch a page's title candidates.
+ * @param {string} url The bookmark URL.
+ * @returns {Promise<{title: string, ogTitle: string}|null>} Null if the page couldn't be read or isn't HTML.
+ */
+async function fetchPageTitles(url) {
+  const page = await fetchPageSignature(url);
+  if (!page || page.status < 200 || page.status >= 300) {
+    return null;
+  }
+  return {
+    title: decodeHtmlEntities(page.title),
+    ogTitle: extractMetaContent(page.html, 'og:title')
+  };
+}
+
+// Wayback Machine fallback: look up the archived snapshot closest to when a dead bookmark was
+// last alive. The availability API base URL is configurable (e.g. a local stand-in for tests).
+const DEFAULT_WAYBACK_API = 'https://archive.org/wayback/available';
+const WAYBACK_LOOKUP_TIMEOUT_MS = 10000;
+let waybackApiUrl = DEFAULT_WAYBACK_API;
+
+// Archive lookups only go to a well-formed https:// endpoint
+function validateWaybackApiUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (error) {
+    throw new Error(`Invalid Wayback API URL: ${value}`);
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error('The Wayback API URL must use https://');
+  }
+  return url.href;
+}
+
+chrome.storage.local.get('waybackApiUrl').then(result => {
+  try {
+    waybackApiUrl = result.waybackApiUrl ? validateWaybackApiUrl(result.waybackApiUrl) : DEFAULT_WAYBACK_API;
+  } catch (error) {
+    console.warn('[Wayback] Ignoring stored API URL:', error.message);
+  }
+}).catch(() => {});
+
+/**
+ * Change the Wayback availability API endpoint (blank restores the default).
+ * @param {string} value The new endpoint URL.
+ * @returns {Promise<string>} The endpoint now in use.
+ * @throws {Error} If the URL is malformed or not https.
+ */
+async function setWaybackApiUrl(value) {
+  if (!String(value || '').trim()) {
+    await chrome.storage.local.remove('waybackApiUrl');
+    waybackApiUrl = DEFAULT_WAYBACK_API;
+    return waybackApiUrl;
+  }
+
+  const url = validateWaybackApiUrl(value);
+  await chrome.storage.local.set({ waybackApiUrl: url });
+  waybackApiUrl = url;
+  return waybackApiUrl;
+}
+
+// Wayback timestamps are UTC "YYYYMMDDhhmmss"
+function formatWaybackTimestamp(time) {
+  return new Date(time).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+function parseWaybackTimestamp(timestamp) {
+  const parts = String(timestamp).match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/);
+  if (!parts) return null;
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = parts;
+  return Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+}
+
+/**
+ * Look up the archived snapshot of a URL closest to a point in time and store it in
+ * archivedSnapshots (lookups are repeated at most once per cache TTL unless forced).
+ * @param {string} url The bookmark URL.
+ * @param {boolean} force Look up again even if a recent result is stored.
+ * @returns {Promise<{url: string, timestamp: number|null, status: string|null, checkedAt: number}|null>}
+ *   The snapshot, or null if there is none (or the lookup failed).
+ */
+async function lookupArchivedSnapshot(url, force = false) {
+  if (!force) {
+    const cached = await getCachedEntry(url, 'archivedSnapshots');
+    if (cached) {
+      return cached.snapshot || null;
+    }
+  }
+
+  // Aim for the last version before the link started failing
+  const previous = await getPreviousLinkEntry(url);
+  const aliveUntil = previous?.failureHistory?.firstFailureAt || Date.now();
+
+  try {
+    const apiUrl = new URL(waybackApiUrl);
+    apiUrl.searchParams.set('url', url);
+    apiUrl.searchParams.set('timestamp', formatWaybackTimestamp(aliveUntil));
+    const { data } = await fetchJson(apiUrl.href, 'application/json', WAYBACK_LOOKUP_TIMEOUT_MS);
+    if (!data) {
+      return null;
+    }
+
+    const closest = data.archived_snapshots?.closest;
+    const snapshot = closest?.available && closest.url ? {
+      url: closest.url.replace(/^http:\/\//i, 'https://'),
+      timestamp: parseWaybackTimestamp(closest.timestamp),
+      status: closest.status || null,
+      checkedAt: Date.now()
+    } : null;
+
+    await setCachedResult(url, snapshot ? 'archived' : 'none', 'archivedSnapshots', { snapshot });
+    return snapshot;
+  } catch (error) {
+    console.warn(`[Wayback] Lookup failed for ${url}:`, error.message);
+    return null;
+  }
+}
+
+// Find an archived copy for a link that was just confirmed dead (scheduled like a link check)
+async function trackArchivedCopy(url) {
+  await hostScheduler.run(waybackApiUrl, () => networkLimiter.run(() => lookupArchivedSnapshot(url)));
+}
+
+// Stored snapshot for a URL regardless of age (null if none was found or looked up)
+async function getArchivedSnapshot(url) {
+  const { archivedSnapshots } = await chrome.storage.local.get('archivedSnapshots');
+  return archivedSnapshots?.[url]?.snapshot || null;
+}
+
+// 429 Too Many Requests / 503 Service Unavailable: the host wants us to come back later
+const RATE_LIMIT_STATUSES = [429, 503];
+const DEFAULT_RETRY_AFTER_MS = 30 * 1000;  // When the server doesn't send Retry-After
+const MAX_RETRY_AFTER_MS = 2 * 60 * 1000;  // Longer Retry-After values are capped to this
+const MAX_RATE_LIMIT_ATTEMPTS = 3;         // Then the link is left unchecked ('unknown'), never judged from the 429/503
+
+// Get how long to wait before retrying a rate-limited response (null if not rate-limited).
+// Capped at MAX_RETRY_AFTER_MS; a host still refusing after that runs out of attempts instead.
+function getRetryAfterDelay(response) {
+  if (!RATE_LIMIT_STATUSES.includes(response.status)) {
+    return null;
+  }
+
+  let delayMs = DEFAULT_RETRY_AFTER_MS;
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    // Either delay-seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    delayMs = Number.isFinite(seconds)
+      ? seconds * 1000
+      : Date.parse(retryAfter) - Date.now();
+    if (!Number.isFinite(delayMs)) delayMs = DEFAULT_RETRY_AFTER_MS;
+  }
+
+  return Math.min(MAX_RETRY_AFTER_MS, Math.max(1000, delayMs));
+}
+
+/**
+ * Checks if a URL is reachable and resolves to the expected domain.
+ * This function runs in the background script, which has broader permissions
+ * than content scripts, allowing it to bypass CORS restrictions.
+ * @param {string} url The URL to check.
+ * @param {boolean} bypassCache Skip the cache (rescans).
+ *   A 429/503 returns 'rate-limited' (uncached) so the caller can retry after Retry-After
+ *   instead of judging the link from that response.
+ * @returns {Promise<'live' | 'dead' | 'possibly-dead' | 'parked' | 'soft-404' | 'rate-limited'>} The status of the link.
+ */
+const checkLinkStatus = async (url, bypassCache = false) => {
+  // Check if this is a privileged URL that should not be scanned
+  const privilegedInfo = isPrivilegedUrl(url);
+  if (privilegedInfo) {
+    console.log(`[Link Check] Privileged URL detected: ${privilegedInfo.label}`);
+    // Cache the result so it persists after side panel reload
+    console.log(`[Link Check] Caching privileged URL result for: ${url}`);
+    await setCachedResult(url, 'live', 'linkStatusCache');
+    console.log(`[Link Check] Privileged URL cached successfully`);
+    return 'live'; // Privileged URLs are always considered "live"
+  }
+  // Check cache first (unless bypassed for rescan)
+  if (!bypassCache) {
+    const cached = await getCachedEntry(url, 'linkStatusCache');
+    // Possibly-dead links are re-checked sooner so failures can be confirmed (or cleared)
+    if (cached && (cached.result !== 'possibly-dead' || Date.now() - cached.timestamp < POSSIBLY_DEAD_RECHECK_MS)) {
+      return cached.result;
+    }
+  } else {
+    console.log(`[Link Check] Bypassing cache for rescan of ${url}`);
+  }
+
+  let result;
+
+  // Check if the URL itself is on a parking domain
+  try {
+    const urlHost = new URL(url).hostname.toLowerCase();
+    // Skip parking check for exempt hosting platforms
+    if (!isParkingExempt(urlHost) && PARKING_DOMAINS.some(domain => urlHost.includes(domain))) {
+      result = 'parked';
+      result = await setCachedLinkResult(url, result, {
+        parkedRule: { id: 'parking-domain', description: `URL is on a known parking/marketplace domain (${urlHost})` }
+      });
+      return result;
+    }
+  } catch (e) {
+    // Invalid URL, continue with fetch attempt
+  }
+
+  try {
+    // Try fetch with cors mode first to get redirect info
+    // Fall back to no-cors if CORS blocks us
+    let response;
+    let usedCors = false;
+
+    try {
+      const corsController = new AbortController();
+      const corsTimeout = setTimeout(() => corsController.abort(), 5000);
+
+      response = await fetch(url, {
+        method: 'HEAD',
+        signal: corsController.signal,
+        mode: 'cors',
+        credentials: 'omit',
+        redirect: 'follow'
+      });
+      clearTimeout(corsTimeout);
+      usedCors = true;
+    } catch (corsError) {
+      // CORS blocked, try no-cors mode with fresh controller
+      const noCorsController = new AbortController();
+      const noCorsTimeout = setTimeout(() => noCorsController.abort(), 5000);
+
+      response = await fetch(url, {
+        method: 'HEAD',
+        signal: noCorsController.signal,
+        mode: 'no-cors',
+        credentials: 'omit',
+        redirect: 'follow'
+      });
+      clearTimeout(noCorsTimeout);
+    }
+
+    const linkDetail = describeResponse(response, url, usedCors);
+
+    // Host is rate limiting us - back off that host and let the caller retry later
+    const retryAfterMs = usedCors ? getRetryAfterDelay(response) : null;
+    if (retryAfterMs !== null) {
+      hostScheduler.backoff(url, retryAfterMs);
+      console.log(`[Link Check] ${response.status} from ${url}, host backed off for ${Math.round(retryAfterMs / 1000)}s`);
+      takeRedirectChain(url);
+      return 'rate-limited';
+    }
+
+    // Check if redirected to a parking domain (only works with cors mode)
+    if (usedCors && response.url) {
+      try {
+        const finalHost = new URL(response.url).hostname.toLowerCase();
+        const originalHost = new URL(url).hostname.toLowerCase();
+
+        // Only flag if redirected to a DIFFERENT domain that's a known parking service
+        // Skip parking check for exempt hosting platforms
+        if (finalHost !== originalHost &&
+            !isParkingExempt(finalHost) &&
+            PARKING_DOMAINS.some(domain => finalHost.includes(domain))) {
+          result = 'parked';
+          result = await setCachedLinkResult(url, result, {
+            linkDetail,
+            parkedRule: { id: 'redirect-to-parking-domain', description: `Redirects to parking/marketplace domain ${finalHost}` }
+          });
+          return result;
+        }
+      } catch (e) {
+        // URL parsing failed, continue with live status
+      }
+
+      // Check response status (only available in cors mode)
+      // 404, 410, 451 indicate the content is gone
+      if (response.status === 404 || response.status === 410 || response.status === 451) {
+        result = 'dead';
+        result = await setCachedLinkResult(url, result, { linkDetail });
+        return result;
+      }
+    }
+
+    // Site is reachable and not parked by redirect - check the content for parking pages
+    // and error pages served as 200
+    const content = (usedCors && response.ok) ? await inspectPageContent(url) : null;
+    result = content?.status || 'live';
+    result = await setCachedLinkResult(url, result, { linkDetail, parkedRule: content?.parkedRule || null });
+    return result;
+
+  } catch (error) {
+    // If timeout or abort, mark as live (slow server) and skip GET fallback
+    if (error.name === 'AbortError') {
+      console.log(`[Link Check] Timeout for ${url}, marking as live (slow server)`);
       result = 'live';
-      await setCachedResult(url, result, 'linkStatusCache');
+      result = await setCachedLinkResult(url, result, { linkDetail: describeFetchError(error, url) });
+      return result;
+    }
+
+    // If HEAD fails for other reasons, try GET as fallback
+    try {
+      let fallbackResponse;
+      let usedCorsFallback = false;
+
+      try {
+        const corsController = new AbortController();
+        const corsTimeout = setTimeout(() => corsController.abort(), 5000);
+
+        fallbackResponse = await fetch(url, {
+          method: 'GET',
+          signal: corsController.signal,
+          mode: 'cors',
+          credentials: 'omit',
+          redirect: 'follow'
+        });
+        clearTimeout(corsTimeout);
+        usedCorsFallback = true;
+      } catch (corsError) {
+        // CORS blocked, try no-cors mode with fresh controller
+        const noCorsController = new AbortController();
+        const noCorsTimeout = setTimeout(() => noCorsController.abort(), 5000);
+
+        fallbackResponse = await fetch(url, {
+          method: 'GET',
+          signal: noCorsController.signal,
+          mode: 'no-cors',
+          credentials: 'omit',
+          redirect: 'follow'
+        });
+        clearTimeout(noCorsTimeout);
+      }
+
+      const linkDetail = describeResponse(fallbackResponse, url, usedCorsFallback);
+
+      const retryAfterMs = usedCorsFallback ? getRetryAfterDelay(fallbackResponse) : null;
+      if (retryAfterMs !== null) {
+        hostScheduler.backoff(url, retryAfterMs);
+        console.log(`[Link Check] ${fallbackResponse.status} from ${url}, host backed off for ${Math.round(retryAfterMs / 1000)}s`);
+        takeRedirectChain(url);
+        return 'rate-limited';
+      }
+
+      // Check if redirected to a parking domain (only works with cors mode)
+      if (usedCorsFallback && fallbackResponse.url) {
+        try {
+          const finalHost = new URL(fallbackResponse.url).hostname.toLowerCase();
+          const originalHost = new URL(url).hostname.toLowerCase();
+
+          // Skip parking check for exempt hosting platforms
+          if (finalHost !== originalHost &&
+              !isParkingExempt(finalHost) &&
+              PARKING_DOMAINS.some(domain => finalHost.includes(domain))) {
+            result = 'parked';
+            result = await setCachedLinkResult(url, result, {
+              linkDetail,
+              parkedRule: { id: 'redirect-to-parking-domain', description: `Redirects to parking/marketplace domain ${finalHost}` }
+            });
+            return result;
+          }
+        } catch (e) {
+          // URL parsing failed, continue with live status
+        }
+
+        // Check response status (only available in cors mode)
+        // 404, 410, 451 indicate the content is gone
+        if (fallbackResponse.status === 404 || fallbackResponse.status === 410 || fallbackResponse.status === 451) {
+          result = 'dead';
+          result = await setCachedLinkResult(url, result, { linkDetail });
+          return result;
+        }
+      }
+
+      const content = (usedCorsFallback && fallbackResponse.ok) ? await inspectPageContent(url) : null;
+      result = content?.status || 'live';
+      result = await setCachedLinkResult(url, result, { linkDetail, parkedRule: content?.parkedRule || null });
       return result;
     } catch (fallbackError) {
       // If GET also timed out, mark as live (slow server)
       if (fallbackError.name === 'AbortError') {
         console.log(`[Link Check] GET fallback also timed out for ${url}, marking as live (slow server)`);
         result = 'live';
-        await setCachedResult(url, result, 'linkStatusCache');
+        result = await setCachedLinkResult(url, result, { linkDetail: describeFetchError(fallbackError, url) });
         return result;
       }
 
-      // Both HEAD and GET failed for other reasons - link is likely dead
-      console.warn('Link check failed for:', url, fallbackError.message);
-      result = 'dead';
-      await setCachedResult(url, result, 'linkStatusCache');
-      return result;
+      // Both HEAD and GET failed for other reasons - link is likely dead
+      const linkDetail = describeFetchError(fallbackError, url);
+      console.warn('Link check failed for:', url, fallbackError.message, linkDetail.netError || '');
+      result = 'dead';
+      result = await setCachedLinkResult(url, result, { linkDetail });
+      return result;
+    }
+  }
+};
+
+// Run a link check through the per-host scheduler, then the global limiter.
+// Host waits happen before taking a global slot, so spacing and backoff don't hold global slots.
+// With skipIfBackedOff, a host still in Retry-After backoff returns 'host-backed-off' right away
+// (the background scan re-queues the bookmark instead of waiting).
+async function scheduleLinkCheck(url, bypassCache, { skipIfBackedOff = false } = {}) {
+  const status = await hostScheduler.run(url, () =>
+    networkLimiter.run(() => checkLinkStatus(url, bypassCache)), { skipIfBackedOff });
+  return status === HOST_BACKED_OFF ? 'host-backed-off' : status;
+}
+
+// One-off link check that retries in place when the host rate limits us.
+// Returns 'unknown' (unchecked) if the host keeps refusing.
+async function checkLinkStatusPolitely(url, bypassCache = false) {
+  for (let attempt = 1; attempt <= MAX_RATE_LIMIT_ATTEMPTS; attempt++) {
+    const status = await scheduleLinkCheck(url, bypassCache);
+    if (status !== 'rate-limited') {
+      return status;
+    }
+  }
+  console.log(`[Link Check] ${url} still rate limited after ${MAX_RATE_LIMIT_ATTEMPTS} attempts, leaving it unchecked`);
+  return 'unknown';
+}
+
+// Malicious URL/domain database (aggregated from multiple sources)
+let maliciousUrlsSet = new Set();
+let domainSourceMap = new Map(); // Track which source(s) flagged each domain
+let domainOnlyMap = new Map(); // Map of domain:port -> sources (for entries with paths like "1.2.3.4:80/malware")
+let blocklistPathRules = new Map(); // hostname -> adblock rules scoped to a path ({prefix, boundary, sources})
+let blocklistExceptions = new Map(); // hostname -> adblock @@ exception rules (same shape)
+let blocklistLastUpdate = 0;
+let blocklistNextRefresh = 0; // When the first source is due for a refresh (sources have their own schedules)
+let blocklistLoading = false; // Flag to prevent duplicate loads
+let blocklistRestorePromise = null; // Pending/finished restore of the persisted database
+
+// The compiled database is persisted in IndexedDB so a restarted service worker doesn't have to
+// download every source again. 'current' is the latest build; 'lastKnownGood' is the latest build
+// for which every source downloaded ('current' is dropped once a complete build replaces it).
+const BLOCKLIST_DB_NAME = 'blocklistDatabase';
+const BLOCKLIST_DB_STORE = 'builds';
+const BLOCKLIST_UPLOAD_STORE = 'uploads'; // Contents of user-uploaded source files, keyed by source id
+const BLOCKLIST_SOURCE_STORE = 'sources'; // Parsed entries and ETag/Last-Modified of each source, keyed by source id
+const SAFE_BROWSING_STORE = 'safeBrowsing'; // Google Safe Browsing hash-prefix lists, keyed by threat type
+const BLOCKLIST_FORMAT_VERSION = 2; // Bump when the stored format changes; older builds are ignored
+
+function openBlocklistDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(BLOCKLIST_DB_NAME, 4);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      [BLOCKLIST_DB_STORE, BLOCKLIST_UPLOAD_STORE, BLOCKLIST_SOURCE_STORE, SAFE_BROWSING_STORE].forEach(name => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one object store request in its own transaction and resolve with its result once committed
+async function blocklistDbRequest(mode, operation, storeName = BLOCKLIST_DB_STORE) {
+  const db = await openBlocklistDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Save a compiled build. Complete builds (every source downloaded, at least one entry) become
+// the last-known-good copy.
+async function persistBlocklistBuild(build) {
+  try {
+    if (build.complete) {
+      await blocklistDbRequest('readwrite', store => store.put(build, 'lastKnownGood'));
+      await blocklistDbRequest('readwrite', store => store.delete('current'));
+    } else {
+      await blocklistDbRequest('readwrite', store => store.put(build, 'current'));
+    }
+    console.log(`[Blocklist] Saved ${build.complete ? 'last-known-good' : 'partial'} build (${build.domainSources.size} entries)`);
+  } catch (error) {
+    console.error('[Blocklist] Failed to save database:', error);
+  }
+}
+
+// Read a stored build, ignoring builds written in an older format
+async function readBlocklistBuild(key) {
+  try {
+    const build = await blocklistDbRequest('readonly', store => store.get(key));
+    if (build && build.formatVersion === BLOCKLIST_FORMAT_VERSION) {
+      return build;
+    }
+  } catch (error) {
+    console.error(`[Blocklist] Failed to read ${key} build:`, error);
+  }
+  return null;
+}
+
+function applyBlocklistBuild(build) {
+  domainSourceMap = build.domainSources;
+  domainOnlyMap = build.domainOnly;
+  blocklistPathRules = build.pathRules;
+  blocklistExceptions = build.exceptions;
+  maliciousUrlsSet = new Set(domainSourceMap.keys());
+}
+
+// Load the persisted database into memory on first use after the worker wakes up.
+// Resolves to true if a database is in memory afterwards.
+function ensureBlocklistLoaded() {
+  if (maliciousUrlsSet.size > 0) {
+    return Promise.resolve(true);
+  }
+  if (!blocklistRestorePromise) {
+    blocklistRestorePromise = (async () => {
+      const build = await readBlocklistBuild('current') || await readBlocklistBuild('lastKnownGood');
+      // An update may have filled the maps while we were reading
+      if (!build || maliciousUrlsSet.size > 0) {
+        return maliciousUrlsSet.size > 0;
+      }
+      applyBlocklistBuild(build);
+      console.log(`[Blocklist] Restored ${build.complete ? 'last-known-good' : 'partial'} database from ${new Date(build.builtAt).toISOString()}: ${maliciousUrlsSet.size} entries`);
+      return true;
+    })();
+  }
+  return blocklistRestorePromise;
+}
+
+// Record an adblock URL rule under its hostname (rules are matched against the full URL)
+function addUrlRule(rules, rule, sourceName) {
+  const hostname = rule.host.split(':')[0];
+  const prefix = rule.host + rule.path;
+  let hostRules = rules.get(hostname);
+  if (!hostRules) {
+    hostRules = [];
+    rules.set(hostname, hostRules);
+  }
+  const existing = hostRules.find(item => item.prefix === prefix && item.boundary === rule.boundary);
+  if (!existing) {
+    hostRules.push({ prefix, boundary: rule.boundary, sources: [sourceName] });
+  } else if (!existing.sources.includes(sourceName)) {
+    existing.sources.push(sourceName);
+  }
+}
+
+// Copy the URL rules of the given sources from one rule map to another
+function carryUrlRules(fromRules, toRules, sourceNames) {
+  let carried = 0;
+  for (const [hostname, hostRules] of fromRules) {
+    for (const rule of hostRules) {
+      for (const sourceName of rule.sources) {
+        if (sourceNames.includes(sourceName)) {
+          addUrlRule(toRules, { host: hostname, path: rule.prefix.slice(hostname.length), boundary: rule.boundary }, sourceName);
+          carried++;
+        }
+      }
+    }
+  }
+  return carried;
+}
+
+/**
+ * Find the URL rules that apply to a URL. Like adblock "||" rules, a rule for example.com also
+ * covers its subdomains (up to the registered domain, see getDomainAncestors).
+ * @param {Map} rules blocklistPathRules or blocklistExceptions.
+ * @param {string} normalizedUrl Lowercased URL without protocol or trailing slash.
+ * @returns {string[]|null} Sources of the first matching rule, or null.
+ */
+function matchUrlRules(rules, normalizedUrl) {
+  if (rules.size === 0) {
+    return null;
+  }
+
+  const hostname = normalizedUrl.split(/[/?#:]/)[0];
+  const rest = normalizedUrl.slice(hostname.length);
+  for (const candidate of [hostname, ...getDomainAncestors(hostname)]) {
+    const hostRules = rules.get(candidate);
+    if (!hostRules) continue;
+
+    const target = candidate + rest;
+    for (const rule of hostRules) {
+      if (!target.startsWith(rule.prefix)) continue;
+      // "^" rules must end at a separator (anything but a letter, digit or _ - . %)
+      const next = target.charAt(rule.prefix.length);
+      if (rule.boundary && next && /[\w\-.%]/.test(next)) continue;
+      return rule.sources;
+    }
+  }
+  return null;
+}
+
+// Record a blocklist entry and which source flagged it
+function addBlocklistEntry(domainSources, domainOnly, domain, sourceName) {
+  const sources = domainSources.get(domain);
+  if (!sources) {
+    domainSources.set(domain, [sourceName]);
+  } else if (!sources.includes(sourceName)) {
+    // Same domain can appear multiple times in one blocklist
+    sources.push(sourceName);
+  }
+
+  // Build domain-only index for fast lookups (handles entries with paths like "1.2.3.4:80/malware")
+  const domainPart = domain.split('/')[0]; // Extract domain:port before any path
+  if (domainPart !== domain) { // Only index if there's a path component
+    const pathSources = domainOnly.get(domainPart);
+    if (!pathSources) {
+      domainOnly.set(domainPart, [sourceName]);
+    } else if (!pathSources.includes(sourceName)) {
+      pathSources.push(sourceName);
+    }
+  }
+}
+
+// Whether a source is due for a refresh (or there is no database yet)
+function isBlocklistUpdateDue() {
+    return Date.now() >= blocklistNextRefresh || maliciousUrlsSet.size === 0;
+}
+
+// On startup, load the update timestamps from storage and update if a source is due.
+(async () => {
+    try {
+        const result = await chrome.storage.local.get(['blocklistLastUpdate', 'blocklistNextRefresh']);
+        if (result.blocklistLastUpdate) {
+            blocklistLastUpdate = result.blocklistLastUpdate;
+            blocklistNextRefresh = result.blocklistNextRefresh || 0;
+            console.log(`[Blocklist] Loaded last update timestamp from storage: ${new Date(blocklistLastUpdate).toISOString()}`);
+
+            if (Date.now() >= blocklistNextRefresh) {
+                console.log('[Startup] A blocklist source is due for a refresh. Updating in background...');
+                updateBlocklistDatabase(); // Run in background
+            }
+        } else {
+            console.log('[Blocklist] No last update timestamp found. Will load on first scan or install.');
+        }
+    } catch (e) {
+        console.error('[Blocklist] Error loading last update timestamp:', e);
+    }
+})();
+
+// On install/update, force a blocklist download.
+chrome.runtime.onInstalled.addListener((details) => {
+  if (details.reason === 'install' || details.reason === 'update') {
+    console.log(`[Setup] Extension ${details.reason}ed. Pre-loading blocklist database...`);
+    // Don't need to await, let it run in the background
+    updateBlocklistDatabase();
+  }
+});
+
+// Blocklist sources - all free, no API keys required
+const BLOCKLIST_SOURCES = [
+  {
+    id: 'urlhaus-active',
+    name: 'URLhaus (Active)',
+    weight: 0.9, // How much a match counts towards the risk score (0-1, see getSafetyScoring)
+    // Fetched from dedicated GitHub repo (updated daily via GitHub Actions)
+    url: 'https://raw.githubusercontent.com/AbsoluteXYZero/urlhaus-list/main/urlhaus-active.txt',
+    format: 'urlhaus_text' // Full URLs with paths
+  },
+  {
+    id: 'urlhaus-historical',
+    name: 'URLhaus (Historical)',
+    weight: 0.7,
+    // Using GitLab Pages CDN mirror with CORS support (updates every 12 hours from abuse.ch)
+    url: 'https://curbengh.github.io/malware-filter/urlhaus-filter.txt',
+    format: 'domains', // Domain list (one per line)
+    refreshHours: 12
+  },
+  {
+    id: 'blocklistproject-malware',
+    name: 'BlockList Project (Malware)',
+    weight: 0.5,
+    url: 'https://blocklistproject.github.io/Lists/malware.txt',
+    format: 'hosts' // Hosts file format (0.0.0.0 domain.com)
+  },
+  {
+    id: 'blocklistproject-phishing',
+    name: 'BlockList Project (Phishing)',
+    weight: 0.5,
+    url: 'https://blocklistproject.github.io/Lists/phishing.txt',
+    format: 'hosts'
+  },
+  {
+    id: 'blocklistproject-scam',
+    name: 'BlockList Project (Scam)',
+    weight: 0.5,
+    url: 'https://blocklistproject.github.io/Lists/scam.txt',
+    format: 'hosts'
+  },
+  {
+    id: 'hagezi-tif',
+    name: 'HaGeZi TIF',
+    weight: 0.8,
+    url: 'https://cdn.jsdelivr.net/gh/hagezi/dns-blocklists@latest/domains/tif.txt',
+    format: 'domains' // Plain domain list (one per line)
+  },
+  {
+    id: 'phishing-filter',
+    name: 'Phishing-Filter',
+    weight: 0.8,
+    url: 'https://malware-filter.gitlab.io/malware-filter/phishing-filter-hosts.txt',
+    format: 'hosts'
+  },
+  {
+    id: 'oisd-big',
+    name: 'OISD Big',
+    weight: 0.6,
+    // Using GitHub mirror to avoid CORS issues with oisd.nl direct download
+    url: 'https://raw.githubusercontent.com/sjhgvr/oisd/refs/heads/main/domainswild2_big.txt',
+    format: 'domains' // Wildcard domains format
+  },
+  {
+    id: 'fmhy-filterlist',
+    name: 'FMHY Filterlist',
+    weight: 0.4,
+    // FMHY unsafe sites list - fake activators, malware distributors, unsafe piracy sites
+    url: 'https://raw.githubusercontent.com/fmhy/FMHYFilterlist/main/filterlist-basic-domains.txt',
+    format: 'domains' // Plain domain list (one per line)
+  },
+  {
+    id: 'dandelion-sprout-anti-malware',
+    name: 'Dandelion Sprout Anti-Malware',
+    weight: 0.6,
+    // Curated anti-malware list - scams, phishing, malware domains
+    url: 'https://raw.githubusercontent.com/DandelionSprout/adfilt/master/Alternate%20versions%20Anti-Malware%20List/AntiMalwareHosts.txt',
+    format: 'hosts' // Hosts file format (127.0.0.1 domain.com)
+  }
+];
+
+// User-managed sources. Built-in sources can be switched off (disabledBlocklistSources holds their
+// ids); custom sources (customBlocklistSources) are fetched from a URL or read from an uploaded file.
+const BLOCKLIST_FORMATS = ['hosts', 'domains', 'urlhaus_text', 'adblock'];
+const DEFAULT_BLOCKLIST_REFRESH_HOURS = 24; // Sources may set their own refreshHours (1-168)
+const BLOCKLIST_RETRY_MS = 60 * 60 * 1000; // Failed sources are retried after an hour
+const BLOCKLIST_REBUILD_DELAY_MS = 2000;
+let blocklistRebuildTimer = null;
+const forcedBlocklistSources = new Set(); // Ids to download on the next update even if not due
+
+// All sources, built-in first, each with its enabled state
+async function getBlocklistSources() {
+  const { customBlocklistSources = [], disabledBlocklistSources = [] } =
+    await chrome.storage.local.get(['customBlocklistSources', 'disabledBlocklistSources']);
+  const disabled = new Set(disabledBlocklistSources);
+  return [
+    ...BLOCKLIST_SOURCES.map(source => ({ ...source, builtin: true, enabled: !disabled.has(source.id) })),
+    ...customBlocklistSources.map(source => ({ ...source, builtin: false }))
+  ];
+}
+
+async function getEnabledBlocklistSources() {
+  return (await getBlocklistSources()).filter(source => source.enabled);
+}
+
+/**
+ * Add or edit a custom source.
+ * @param {{id?: string, name: string, format: string, url?: string, fileName?: string, enabled?: boolean}} input
+ * @param {string|undefined} content Text of an uploaded file (replaces the URL).
+ * @returns {Promise<object>} The saved source.
+ * @throws {Error} If the source is invalid.
+ */
+async function saveCustomBlocklistSource(input, content) {
+  const { customBlocklistSources = [] } = await chrome.storage.local.get('customBlocklistSources');
+  const existing = input.id ? customBlocklistSources.find(source => source.id === input.id) : null;
+  if (input.id && !existing) {
+    throw new Error('Source not found');
+  }
+
+  // Names are what safety results credit, so they must be unique
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new Error('Name is required');
+  }
+  const allSources = await getBlocklistSources();
+  if (allSources.some(source => source.id !== input.id && source.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`A source named "${name}" already exists`);
+  }
+  if (!BLOCKLIST_FORMATS.includes(input.format)) {
+    throw new Error(`Unsupported format: ${input.format}`);
+  }
+
+  const refreshHours = parseInt(input.refreshHours, 10);
+  const source = {
+    id: existing?.id || `custom-${Date.now().toString(36)}`,
+    name,
+    format: input.format,
+    url: null,
+    fileName: null,
+    refreshHours: Number.isFinite(refreshHours) ? Math.min(168, Math.max(1, refreshHours)) : DEFAULT_BLOCKLIST_REFRESH_HOURS,
+    enabled: input.enabled ?? existing?.enabled ?? true
+  };
+
+  if (typeof content === 'string') {
+    source.fileName = String(input.fileName || 'uploaded.txt');
+    await blocklistDbRequest('readwrite', store => store.put(content, source.id), BLOCKLIST_UPLOAD_STORE);
+  } else if (input.url) {
+    const validation = validateUrl(String(input.url).trim());
+    if (!validation.valid || validation.privileged) {
+      throw new Error(validation.error || 'Only HTTP and HTTPS URLs are allowed');
+    }
+    source.url = validation.url;
+  } else if (existing?.fileName) {
+    // Editing name/format of an uploaded source keeps its file
+    source.fileName = existing.fileName;
+  } else {
+    throw new Error('Either a URL or a file is required');
+  }
+
+  if (existing?.fileName && !source.fileName) {
+    await blocklistDbRequest('readwrite', store => store.delete(source.id), BLOCKLIST_UPLOAD_STORE);
+  }
+
+  const updated = existing
+    ? customBlocklistSources.map(item => item.id === source.id ? source : item)
+    : [...customBlocklistSources, source];
+  await chrome.storage.local.set({ customBlocklistSources: updated });
+  scheduleBlocklistRebuild();
+  return source;
+}
+
+async function removeCustomBlocklistSource(id) {
+  const { customBlocklistSources = [] } = await chrome.storage.local.get('customBlocklistSources');
+  await chrome.storage.local.set({ customBlocklistSources: customBlocklistSources.filter(source => source.id !== id) });
+  await blocklistDbRequest('readwrite', store => store.delete(id), BLOCKLIST_UPLOAD_STORE).catch(() => {});
+  await blocklistDbRequest('readwrite', store => store.delete(id), BLOCKLIST_SOURCE_STORE).catch(() => {});
+  const { blocklistSourceHealth = {} } = await chrome.storage.local.get('blocklistSourceHealth');
+  delete blocklistSourceHealth[id];
+  await chrome.storage.local.set({ blocklistSourceHealth });
+  scheduleBlocklistRebuild();
+}
+
+async function setBlocklistSourceEnabled(id, enabled) {
+  if (BLOCKLIST_SOURCES.some(source => source.id === id)) {
+    const { disabledBlocklistSources = [] } = await chrome.storage.local.get('disabledBlocklistSources');
+    const disabled = new Set(disabledBlocklistSources);
+    if (enabled) disabled.delete(id); else disabled.add(id);
+    await chrome.storage.local.set({ disabledBlocklistSources: [...disabled] });
+  } else {
+    const { customBlocklistSources = [] } = await chrome.storage.local.get('customBlocklistSources');
+    await chrome.storage.local.set({
+      customBlocklistSources: customBlocklistSources.map(source => source.id === id ? { ...source, enabled } : source)
+    });
+  }
+  scheduleBlocklistRebuild();
+}
+
+// Rebuild the database shortly after the sources change (several quick edits cause one rebuild).
+// The refresh time is cleared first so the next scan rebuilds if the worker stops before then.
+// Unchanged sources are taken from their stored copy, so only new or edited ones are downloaded.
+function scheduleBlocklistRebuild() {
+  blocklistNextRefresh = 0;
+  chrome.storage.local.set({ blocklistNextRefresh: 0 }).catch(() => {});
+  clearTimeout(blocklistRebuildTimer);
+  blocklistRebuildTimer = setTimeout(() => {
+    if (blocklistLoading) {
+      scheduleBlocklistRebuild();
+    } else {
+      updateBlocklistDatabase();
+    }
+  }, BLOCKLIST_REBUILD_DELAY_MS);
+}
+
+// Request quotas of the safety APIs (free tiers). Usage is counted per provider in
+// chrome.storage.local.apiQuotaUsage so it survives service worker restarts; days are UTC like the
+// providers' own quotas. Calls wait for a free per-minute slot and are skipped once the daily
+// quota is used up or the provider answered 429, so scans carry on with the remaining sources.
+const API_QUOTAS = {
+  google: { label: 'Google Safe Browsing', perDay: 10000, perMinute: null },
+  yandex: { label: 'Yandex Safe Browsing', perDay: 100000, perMinute: null },
+  virustotal: { label: 'VirusTotal', perDay: 500, perMinute: 4 }
+};
+const API_QUOTA_MAX_WAIT_MS = 15 * 1000; // Longest a call waits for a slot before it is skipped, so scans keep moving
+const API_QUOTA_BACKOFF_MS = 60 * 1000; // Pause after the provider rejects a call with 429
+
+let apiQuotaUsage = null;
+let apiQuotaLoadPromise = null;
+const apiQuotaQueues = new Map(); // provider -> promise of the last reservation (one at a time per provider)
+
+function getQuotaDay(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+async function loadApiQuotaUsage() {
+  if (!apiQuotaLoadPromise) {
+    apiQuotaLoadPromise = chrome.storage.local.get('apiQuotaUsage')
+      .then(result => { apiQuotaUsage = result.apiQuotaUsage || {}; })
+      .catch(() => { apiQuotaUsage = {}; });
+  }
+  await apiQuotaLoadPromise;
+  return apiQuotaUsage;
+}
+
+// Usage record of one provider, starting a new count when the UTC day changed
+async function getProviderQuotaUsage(provider) {
+  const usage = await loadApiQuotaUsage();
+  const today = getQuotaDay();
+  if (!usage[provider] || usage[provider].day !== today) {
+    usage[provider] = { day: today, used: 0, recent: [], blockedUntil: usage[provider]?.blockedUntil || 0 };
+  }
+  usage[provider].recent = usage[provider].recent.filter(time => time > Date.now() - 60 * 1000);
+  return usage[provider];
+}
+
+function saveApiQuotaUsage() {
+  chrome.storage.local.set({ apiQuotaUsage }).catch(() => {});
+}
+
+// Take one request from a provider's quota. Resolves false when the call should be skipped.
+async function reserveApiQuota(provider) {
+  const limits = API_QUOTAS[provider];
+  const deadline = Date.now() + API_QUOTA_MAX_WAIT_MS;
+
+  for (;;) {
+    const usage = await getProviderQuotaUsage(provider);
+    const now = Date.now();
+    if (usage.used >= limits.perDay) {
+      console.log(`[Quota] ${limits.label} daily quota (${limits.perDay}) used up`);
+      return false;
+    }
+
+    let readyAt = usage.blockedUntil || 0;
+    if (limits.perMinute && usage.recent.length >= limits.perMinute) {
+      readyAt = Math.max(readyAt, usage.recent[usage.recent.length - limits.perMinute] + 60 * 1000);
+    }
+    if (readyAt <= now) {
+      usage.used++;
+      usage.recent.push(now);
+      saveApiQuotaUsage();
+      return true;
+    }
+    if (readyAt > deadline) {
+      console.log(`[Quota] ${limits.label} quota exhausted until ${new Date(readyAt).toLocaleTimeString()}, skipping`);
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, readyAt - now));
+  }
+}
+
+function acquireApiQuota(provider) {
+  const previous = apiQuotaQueues.get(provider) || Promise.resolve();
+  const reservation = previous.then(() => reserveApiQuota(provider), () => reserveApiQuota(provider));
+  apiQuotaQueues.set(provider, reservation);
+  return reservation;
+}
+
+// The provider rejected a call (429): pause it, honoring Retry-After when given
+async function markApiQuotaExhausted(provider, response) {
+  const retryAfter = parseInt(response?.headers?.get('Retry-After'), 10);
+  const usage = await getProviderQuotaUsage(provider);
+  usage.blockedUntil = Date.now() + (retryAfter > 0 ? retryAfter * 1000 : API_QUOTA_BACKOFF_MS);
+  saveApiQuotaUsage();
+  console.log(`[Quota] ${API_QUOTAS[provider].label} rate limited until ${new Date(usage.blockedUntil).toLocaleTimeString()}`);
+}
+
+async function getApiQuotaStatus() {
+  const status = [];
+  for (const [provider, limits] of Object.entries(API_QUOTAS)) {
+    const usage = await getProviderQuotaUsage(provider);
+    status.push({
+      provider,
+      label: limits.label,
+      perDay: limits.perDay,
+      perMinute: limits.perMinute,
+      used: usage.used,
+      remaining: Math.max(0, limits.perDay - usage.used),
+      usedThisMinute: usage.recent.length,
+      blockedUntil: usage.blockedUntil > Date.now() ? usage.blockedUntil : null
+    });
+  }
+  return status;
+}
+
+// Google Safe Browsing. Two modes (chrome.storage.local.googleSafeBrowsingMode):
+// - 'lookup' (default): every checked URL is sent to the Lookup API (threatMatches:find)
+// - 'update': the threat lists are downloaded as SHA-256 hash prefixes (threatListUpdates:fetch) and
+//   matched on the device; only the prefixes that hit are sent to Google (fullHashes:find) to confirm
+// The API base URL and timeout are the Google provider's settings (see SAFETY_PROVIDERS), so it can be
+// pointed at a local mock.
+const DEFAULT_SAFE_BROWSING_API = 'https://safebrowsing.googleapis.com/v4';
+const SAFE_BROWSING_THREAT_TYPES = ['MALWARE', 'SOCIAL_ENGINEERING', 'UNWANTED_SOFTWARE', 'POTENTIALLY_HARMFUL_APPLICATION'];
+const SAFE_BROWSING_MIN_UPDATE_INTERVAL_MS = 30 * 60 * 1000;
+const SAFE_BROWSING_MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+let safeBrowsingLists = null; // threatType -> { threatType, apiUrl, state, prefixes (sorted hex strings), sizes }
+let safeBrowsingListsApiUrl = null;
+let safeBrowsingNextUpdate = 0;
+let safeBrowsingUpdateErrors = 0;
+let safeBrowsingUpdatePromise = null;
+const safeBrowsingFullHashCache = new Map(); // full hash (hex) -> { threatType, expiresAt }
+const safeBrowsingNegativeCache = new Map(); // hash prefix (hex) -> expiresAt
+
+async function getSafeBrowsingSettings() {
+  const { googleSafeBrowsingMode } = await chrome.storage.local.get('googleSafeBrowsingMode');
+  const provider = (await getSafetyProviders()).find(item => item.id === 'google');
+  return {
+    mode: googleSafeBrowsingMode === 'update' ? 'update' : 'lookup',
+    apiUrl: provider.endpoint.replace(/\/+$/, ''),
+    timeoutMs: provider.timeoutMs
+  };
+}
+
+function getSafeBrowsingClient() {
+  return {
+    clientId: 'bookmark-manager-zero',
+    clientVersion: chrome.runtime.getManifest().version
+  };
+}
+
+// POST one Safe Browsing API method and return the parsed response; throws on HTTP errors and timeouts
+async function safeBrowsingRequest(apiUrl, apiKey, method, body, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(`${apiUrl}/${method}?key=${encodeURIComponent(apiKey)}`, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Durations come as protobuf JSON strings such as "300s" or "1.5s"
+function parseSafeBrowsingDuration(duration) {
+  const seconds = parseFloat(duration);
+  return Number.isFinite(seconds) ? seconds * 1000 : 0;
+}
+
+function base64ToHex(base64) {
+  return Array.from(atob(base64), char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBase64(hex) {
+  return btoa(hex.match(/../g).map(byte => String.fromCharCode(parseInt(byte, 16))).join(''));
+}
+
+// Repeatedly percent-unescape, leaving one character per byte (URL() has already UTF-8 encoded the rest)
+function unescapeSafeBrowsingPart(text) {
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/%([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  } while (text !== previous);
+  return text;
+}
+
+// Percent-escape control characters, spaces, non-ASCII bytes, '#' and '%'
+function escapeSafeBrowsingPart(text) {
+  return Array.from(text, char => {
+    const code = char.charCodeAt(0);
+    return code <= 32 || code >= 127 || char === '#' || char === '%'
+      ? `%${code.toString(16).toUpperCase().padStart(2, '0')}`
+      : char;
+  }).join('');
+}
+
+// Canonicalize a URL and build its host-suffix/path-prefix expressions, as described in
+// https://developers.google.com/safe-browsing/v4/urls-hashing (up to 5 hosts x 6 paths)
+function getSafeBrowsingExpressions(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.replace(/[\t\r\n]/g, '').trim());
+  } catch (e) {
+    return [];
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return [];
+
+  const host = escapeSafeBrowsingPart(unescapeSafeBrowsingPart(parsed.hostname).toLowerCase()
+    .replace(/^\.+|\.+$/g, '').replace(/\.{2,}/g, '.'));
+  if (!host) return [];
+
+  const path = escapeSafeBrowsingPart(unescapeSafeBrowsingPart(parsed.pathname).replace(/\/{2,}/g, '/'));
+  const hasQuery = parsed.href.replace(/#.*$/, '').includes('?');
+  const query = escapeSafeBrowsingPart(unescapeSafeBrowsingPart(parsed.search.replace(/^\?/, '')));
+
+  const hosts = [host];
+  if (!/^\d+\.\d+\.\d+\.\d+$/.test(host) && !host.startsWith('[')) {
+    const labels = host.split('.');
+    for (let i = Math.max(1, labels.length - 5); i < labels.length - 1; i++) {
+      hosts.push(labels.slice(i).join('.'));
+    }
+  }
+
+  const paths = new Set();
+  if (hasQuery) paths.add(`${path}?${query}`);
+  paths.add(path);
+  let prefix = '/';
+  paths.add(prefix);
+  for (const segment of path.split('/').slice(1, -1).slice(0, 3)) {
+    prefix += `${segment}/`;
+    paths.add(prefix);
+  }
+
+  return hosts.flatMap(expressionHost => [...paths].map(expressionPath => `${expressionHost}${expressionPath}`));
+}
+
+async function sha256Hex(text) {
+  const bytes = Uint8Array.from(text, char => char.charCodeAt(0));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Binary search a sorted prefix list (hex strings sort the same way as the raw bytes)
+function hasSafeBrowsingPrefix(prefixes, prefix) {
+  let low = 0;
+  let high = prefixes.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (prefixes[middle] === prefix) return true;
+    if (prefixes[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return false;
+}
+
+function getSafeBrowsingPrefixSizes(prefixes) {
+  return [...new Set(prefixes.map(prefix => prefix.length))];
+}
+
+async function loadStoredSafeBrowsingLists(apiUrl) {
+  safeBrowsingLists = new Map();
+  safeBrowsingListsApiUrl = apiUrl;
+  try {
+    const records = await blocklistDbRequest('readonly', store => store.getAll(), SAFE_BROWSING_STORE);
+    for (const record of records || []) {
+      // Lists downloaded from another endpoint (e.g. a test mock) don't belong to this one
+      if (record.apiUrl !== apiUrl || !Array.isArray(record.prefixes)) continue;
+      safeBrowsingLists.set(record.threatType, { ...record, sizes: getSafeBrowsingPrefixSizes(record.prefixes) });
+    }
+    const stored = await chrome.storage.local.get('safeBrowsingNextUpdate');
+    safeBrowsingNextUpdate = safeBrowsingLists.size > 0 ? (stored.safeBrowsingNextUpdate || 0) : 0;
+  } catch (error) {
+    console.warn('[Google SB] Could not restore the stored hash-prefix lists:', error);
+  }
+}
+
+// Apply one listUpdateResponse: removals are indices into the sorted list before the additions.
+// Returns null when the result doesn't match the server checksum, so the list is downloaded from scratch.
+async function applySafeBrowsingListUpdate(current, update, apiUrl) {
+  let prefixes = update.responseType === 'FULL_UPDATE' || !current ? [] : current.prefixes;
+
+  const removed = new Set();
+  for (const removal of update.removals || []) {
+    (removal.rawIndices?.indices || []).forEach(index => removed.add(index));
+  }
+  if (removed.size > 0) {
+    prefixes = prefixes.filter((prefix, index) => !removed.has(index));
+  }
+
+  const added = [];
+  for (const addition of update.additions || []) {
+    const raw = addition.rawHashes;
+    if (!raw?.rawHashes || !raw.prefixSize) continue;
+    const hex = base64ToHex(raw.rawHashes);
+    for (let i = 0; i + raw.prefixSize * 2 <= hex.length; i += raw.prefixSize * 2) {
+      added.push(hex.slice(i, i + raw.prefixSize * 2));
     }
   }
-};
+  if (added.length > 0) {
+    prefixes = prefixes.concat(added).sort();
+  }
 
-// Malicious URL/domain database (aggregated from multiple sources)
-let maliciousUrlsSet = new Set();
-let domainSourceMap = new Map(); // Track which source(s) flagged each domain
-let domainOnlyMap = new Map(); // Map of domain:port -> sources (for entries with paths like "1.2.3.4:80/malware")
-let blocklistLastUpdate = 0;
-let blocklistLoading = false; // Flag to prevent duplicate loads
+  if (update.checksum?.sha256) {
+    const bytes = new Uint8Array(prefixes.reduce((total, prefix) => total + prefix.length / 2, 0));
+    let offset = 0;
+    for (const prefix of prefixes) {
+      for (let i = 0; i < prefix.length; i += 2) {
+        bytes[offset++] = parseInt(prefix.slice(i, i + 2), 16);
+      }
+    }
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    if (btoa(String.fromCharCode(...digest)) !== update.checksum.sha256) {
+      console.warn(`[Google SB] Checksum mismatch for ${update.threatType}, requesting a full update next time`);
+      return null;
+    }
+  }
 
-// Helper to check if two timestamps are on the same calendar day.
-function isSameDay(timestamp1, timestamp2) {
-    if (!timestamp1 || !timestamp2 || timestamp1 === 0 || timestamp2 === 0) return false;
-    const d1 = new Date(timestamp1);
-    const d2 = new Date(timestamp2);
-    return d1.getFullYear() === d2.getFullYear() &&
-           d1.getMonth() === d2.getMonth() &&
-           d1.getDate() === d2.getDate();
+  return {
+    threatType: update.threatType,
+    apiUrl,
+    state: update.newClientState || '',
+    prefixes,
+    updatedAt: Date.now()
+  };
 }
 
-// On startup, load the last update timestamp from storage and update if stale.
-(async () => {
-    try {
-        const result = await chrome.storage.local.get(['blocklistLastUpdate']);
-        if (result.blocklistLastUpdate) {
-            blocklistLastUpdate = result.blocklistLastUpdate;
-            console.log(`[Blocklist] Loaded last update timestamp from storage: ${new Date(blocklistLastUpdate).toISOString()}`);
+// Fetch the changes to every threat list since its stored state and save the results
+async function updateSafeBrowsingLists(apiKey, apiUrl) {
+  if (safeBrowsingUpdatePromise) return safeBrowsingUpdatePromise;
 
-            const now = Date.now();
-            if (!isSameDay(now, blocklistLastUpdate)) {
-                console.log('[Startup] Blocklist is stale on startup. Pre-loading in background...');
-                updateBlocklistDatabase(); // Run in background
-            }
+  safeBrowsingUpdatePromise = (async () => {
+    try {
+      const data = await safeBrowsingRequest(apiUrl, apiKey, 'threatListUpdates:fetch', {
+        client: getSafeBrowsingClient(),
+        listUpdateRequests: SAFE_BROWSING_THREAT_TYPES.map(threatType => ({
+          threatType,
+          platformType: 'ANY_PLATFORM',
+          threatEntryType: 'URL',
+          state: safeBrowsingLists.get(threatType)?.state || '',
+          constraints: { supportedCompressions: ['RAW'] }
+        }))
+      }, 60000);
+
+      for (const update of data.listUpdateResponses || []) {
+        if (!SAFE_BROWSING_THREAT_TYPES.includes(update.threatType)) continue;
+        const list = await applySafeBrowsingListUpdate(safeBrowsingLists.get(update.threatType), update, apiUrl);
+        if (list) {
+          safeBrowsingLists.set(update.threatType, { ...list, sizes: getSafeBrowsingPrefixSizes(list.prefixes) });
+          await blocklistDbRequest('readwrite', store => store.put(list, update.threatType), SAFE_BROWSING_STORE);
         } else {
-            console.log('[Blocklist] No last update timestamp found. Will load on first scan or install.');
+          safeBrowsingLists.delete(update.threatType);
+          await blocklistDbRequest('readwrite', store => store.delete(update.threatType), SAFE_BROWSING_STORE);
         }
-    } catch (e) {
-        console.error('[Blocklist] Error loading last update timestamp:', e);
+      }
+
+      safeBrowsingUpdateErrors = 0;
+      safeBrowsingNextUpdate = Date.now() + Math.max(SAFE_BROWSING_MIN_UPDATE_INTERVAL_MS,
+        parseSafeBrowsingDuration(data.minimumWaitDuration));
+      const total = [...safeBrowsingLists.values()].reduce((sum, list) => sum + list.prefixes.length, 0);
+      console.log(`[Google SB] Hash-prefix lists updated (${total.toLocaleString()} prefixes)`);
+    } catch (error) {
+      // Back off on errors: 15 minutes, doubling up to a day
+      safeBrowsingUpdateErrors++;
+      safeBrowsingNextUpdate = Date.now() + Math.min(SAFE_BROWSING_MAX_BACKOFF_MS,
+        15 * 60 * 1000 * 2 ** (safeBrowsingUpdateErrors - 1));
+      console.error('[Google SB] List update failed:', error.message);
+    } finally {
+      chrome.storage.local.set({ safeBrowsingNextUpdate }).catch(() => {});
+      safeBrowsingUpdatePromise = null;
     }
-})();
+  })();
 
-// On install/update, force a blocklist download.
-chrome.runtime.onInstalled.addListener((details) => {
-  if (details.reason === 'install' || details.reason === 'update') {
-    console.log(`[Setup] Extension ${details.reason}ed. Pre-loading blocklist database...`);
-    // Don't need to await, let it run in the background
-    updateBlocklistDatabase();
+  return safeBrowsingUpdatePromise;
+}
+
+// Make sure the stored lists are loaded and refresh them when due. Only the first download is
+// waited for; later refreshes run while checks keep using the lists already on the device.
+async function ensureSafeBrowsingLists(apiKey, apiUrl) {
+  if (!safeBrowsingLists || safeBrowsingListsApiUrl !== apiUrl) {
+    await loadStoredSafeBrowsingLists(apiUrl);
   }
-});
+  if (Date.now() >= safeBrowsingNextUpdate) {
+    const update = updateSafeBrowsingLists(apiKey, apiUrl);
+    if (safeBrowsingLists.size === 0) await update;
+  }
+}
 
-// Blocklist sources - all free, no API keys required
-const BLOCKLIST_SOURCES = [
-  {
-    name: 'URLhaus (Active)',
-    // Fetched from dedicated GitHub repo (updated daily via GitHub Actions)
-    url: 'https://raw.githubusercontent.com/AbsoluteXYZero/urlhaus-list/main/urlhaus-active.txt',
-    format: 'urlhaus_text' // Full URLs with paths
-  },
-  {
-    name: 'URLhaus (Historical)',
-    // Using GitLab Pages CDN mirror with CORS support (updates every 12 hours from abuse.ch)
-    url: 'https://curbengh.github.io/malware-filter/urlhaus-filter.txt',
-    format: 'domains' // Domain list (one per line)
-  },
-  {
-    name: 'BlockList Project (Malware)',
-    url: 'https://blocklistproject.github.io/Lists/malware.txt',
-    format: 'hosts' // Hosts file format (0.0.0.0 domain.com)
-  },
-  {
-    name: 'BlockList Project (Phishing)',
-    url: 'https://blocklistproject.github.io/Lists/phishing.txt',
-    format: 'hosts'
-  },
-  {
-    name: 'BlockList Project (Scam)',
-    url: 'https://blocklistproject.github.io/Lists/scam.txt',
-    format: 'hosts'
-  },
-  {
-    name: 'HaGeZi TIF',
-    url: 'https://cdn.jsdelivr.net/gh/hagezi/dns-blocklists@latest/domains/tif.txt',
-    format: 'domains' // Plain domain list (one per line)
-  },
-  {
-    name: 'Phishing-Filter',
-    url: 'https://malware-filter.gitlab.io/malware-filter/phishing-filter-hosts.txt',
-    format: 'hosts'
-  },
-  {
-    name: 'OISD Big',
-    // Using GitHub mirror to avoid CORS issues with oisd.nl direct download
-    url: 'https://raw.githubusercontent.com/sjhgvr/oisd/refs/heads/main/domainswild2_big.txt',
-    format: 'domains' // Wildcard domains format
-  },
-  {
-    name: 'FMHY Filterlist',
-    // FMHY unsafe sites list - fake activators, malware distributors, unsafe piracy sites
-    url: 'https://raw.githubusercontent.com/fmhy/FMHYFilterlist/main/filterlist-basic-domains.txt',
-    format: 'domains' // Plain domain list (one per line)
-  },
-  {
-    name: 'Dandelion Sprout Anti-Malware',
-    // Curated anti-malware list - scams, phishing, malware domains
-    url: 'https://raw.githubusercontent.com/DandelionSprout/adfilt/master/Alternate%20versions%20Anti-Malware%20List/AntiMalwareHosts.txt',
-    format: 'hosts' // Hosts file format (127.0.0.1 domain.com)
+async function getSafeBrowsingListStatus() {
+  const { apiUrl } = await getSafeBrowsingSettings();
+  if (!safeBrowsingLists || safeBrowsingListsApiUrl !== apiUrl) {
+    await loadStoredSafeBrowsingLists(apiUrl);
   }
-];
+  const lists = [...safeBrowsingLists.values()];
+  return {
+    lists: lists.length,
+    prefixes: lists.reduce((sum, list) => sum + list.prefixes.length, 0),
+    updatedAt: lists.reduce((latest, list) => Math.max(latest, list.updatedAt || 0), 0) || null
+  };
+}
+
+// Update API check: hash the URL expressions locally and only ask Google about prefix hits
+async function checkGoogleSafeBrowsingLocally(url, apiKey, { apiUrl, timeoutMs }) {
+  await ensureSafeBrowsingLists(apiKey, apiUrl);
+  if (safeBrowsingLists.size === 0) {
+    console.log(`[Google SB] No hash-prefix lists available yet`);
+    return 'unknown';
+  }
+
+  const hashes = await Promise.all(getSafeBrowsingExpressions(url).map(sha256Hex));
+  const hits = [];
+  for (const hash of hashes) {
+    for (const list of safeBrowsingLists.values()) {
+      for (const size of list.sizes) {
+        const prefix = hash.slice(0, size);
+        if (hasSafeBrowsingPrefix(list.prefixes, prefix)) hits.push({ hash, prefix });
+      }
+    }
+  }
+
+  if (hits.length === 0) {
+    console.log(`[Google SB] Result: SAFE (no local prefix match)`);
+    return 'safe';
+  }
+
+  const isConfirmed = () => hits.some(hit => (safeBrowsingFullHashCache.get(hit.hash)?.expiresAt || 0) > Date.now());
+  if (isConfirmed()) {
+    console.log(`[Google SB] Result: UNSAFE (cached full-hash match)`);
+    return 'unsafe';
+  }
+
+  const pending = [...new Set(hits
+    .filter(hit => (safeBrowsingNegativeCache.get(hit.prefix) || 0) <= Date.now())
+    .map(hit => hit.prefix))];
+  if (pending.length === 0) {
+    console.log(`[Google SB] Result: SAFE (cached full-hash miss)`);
+    return 'safe';
+  }
+
+  if (!await acquireApiQuota('google')) return 'quota-exhausted';
+  console.log(`[Google SB] ${pending.length} local prefix match(es), requesting full hashes`);
+  const data = await safeBrowsingRequest(apiUrl, apiKey, 'fullHashes:find', {
+    client: getSafeBrowsingClient(),
+    clientStates: [...safeBrowsingLists.values()].map(list => list.state),
+    threatInfo: {
+      threatTypes: SAFE_BROWSING_THREAT_TYPES,
+      platformTypes: ['ANY_PLATFORM'],
+      threatEntryTypes: ['URL'],
+      threatEntries: pending.map(prefix => ({ hash: hexToBase64(prefix) }))
+    }
+  }, timeoutMs);
+
+  const now = Date.now();
+  for (const match of data.matches || []) {
+    if (!match.threat?.hash) continue;
+    safeBrowsingFullHashCache.set(base64ToHex(match.threat.hash), {
+      threatType: match.threatType,
+      expiresAt: now + parseSafeBrowsingDuration(match.cacheDuration)
+    });
+  }
+  const negativeUntil = now + parseSafeBrowsingDuration(data.negativeCacheDuration);
+  pending.forEach(prefix => safeBrowsingNegativeCache.set(prefix, negativeUntil));
+
+  if (hits.some(hit => safeBrowsingFullHashCache.has(hit.hash))) {
+    console.log(`[Google SB] Result: UNSAFE (full-hash match)`);
+    return 'unsafe';
+  }
+  console.log(`[Google SB] Result: SAFE (prefix match was not confirmed)`);
+  return 'safe';
+}
 
 // Check URL using Google Safe Browsing API (fallback/redundancy check)
 // Get a free API key at: https://developers.google.com/safe-browsing/v4/get-started
@@ -655,40 +2838,22 @@ const checkGoogleSafeBrowsing = async (url) => {
 
     console.log(`[Google SB] Starting check for ${url}`);
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 5000); // 5s timeout
-
-    const response = await fetch(
-      `https://safebrowsing.googleapis.com/v4/threatMatches:find?key=${apiKey}`,
-      {
-        method: 'POST',
-        signal: controller.signal,
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          client: {
-            clientId: 'bookmark-manager-zero',
-            clientVersion: chrome.runtime.getManifest().version
-          },
-          threatInfo: {
-            threatTypes: ['MALWARE', 'SOCIAL_ENGINEERING', 'UNWANTED_SOFTWARE', 'POTENTIALLY_HARMFUL_APPLICATION'],
-            platformTypes: ['ANY_PLATFORM'],
-            threatEntryTypes: ['URL'],
-            threatEntries: [{ url }]
-          }
-        })
-      }
-    );
-
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      console.error(`[Google SB] API error: ${response.status}`);
-      return 'unknown';
+    const settings = await getSafeBrowsingSettings();
+    if (settings.mode === 'update') {
+      return await checkGoogleSafeBrowsingLocally(url, apiKey, settings);
     }
 
-    const data = await response.json();
+    if (!await acquireApiQuota('google')) return 'quota-exhausted';
+
+    const data = await safeBrowsingRequest(settings.apiUrl, apiKey, 'threatMatches:find', {
+      client: getSafeBrowsingClient(),
+      threatInfo: {
+        threatTypes: SAFE_BROWSING_THREAT_TYPES,
+        platformTypes: ['ANY_PLATFORM'],
+        threatEntryTypes: ['URL'],
+        threatEntries: [{ url }]
+      }
+    }, settings.timeoutMs);
 
     // If matches found, URL is unsafe
     if (data.matches && data.matches.length > 0) {
@@ -701,27 +2866,32 @@ const checkGoogleSafeBrowsing = async (url) => {
 
   } catch (error) {
     console.error(`[Google SB] Error:`, error.message);
+    if (error.response?.status === 429) {
+      await markApiQuotaExhausted('google', error.response);
+      return 'quota-exhausted';
+    }
     return 'unknown';
   }
 };
 
-// Check VirusTotal by scraping public web page (no API key needed)
-// This always runs on every bookmark scan
-// WARNING: For personal use only. May violate VirusTotal ToS if distributed.
-const checkURLVoidScraping = async (url) => {
+// Check URLVoid by scraping its public scan page (no API key needed)
+// WARNING: For personal use only. May violate URLVoid ToS if distributed.
+// Public CORS proxies are only tried when the user allowed them (provider.allowProxy), since they
+// see every hostname checked.
+const checkURLVoidScraping = async (url, provider) => {
   try {
     const urlObj = new URL(url);
     const hostname = urlObj.hostname.toLowerCase();
 
     console.log(`[URLVoid Scraping] Checking ${hostname}`);
 
-    const urlvoidUrl = `https://www.urlvoid.com/scan/${encodeURIComponent(hostname)}/`;
+    const urlvoidUrl = `${provider.endpoint.replace(/\/?$/, '/')}${encodeURIComponent(hostname)}/`;
     let html = null;
 
     // Try direct fetch first (extensions have elevated privileges)
     try {
       const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 10000);
+      const timeout = setTimeout(() => controller.abort(), provider.timeoutMs);
 
       const response = await fetch(urlvoidUrl, {
         signal: controller.signal,
@@ -742,7 +2912,11 @@ const checkURLVoidScraping = async (url) => {
       console.log(`[URLVoid Scraping] Direct fetch error: ${directError.message}`);
     }
 
-    // Fallback to CORS proxies if direct fetch failed
+    if (!html && !provider.allowProxy) {
+      return 'unknown';
+    }
+
+    // Fallback to CORS proxies if direct fetch failed (opt-in)
     if (!html) {
       console.log(`[URLVoid Scraping] Trying CORS proxy fallback for ${hostname}`);
       const corsProxies = [
@@ -754,7 +2928,7 @@ const checkURLVoidScraping = async (url) => {
       // Race all proxies in parallel
       const fetchPromises = corsProxies.map(async (proxiedUrl) => {
         const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 15000);
+        const timeout = setTimeout(() => controller.abort(), provider.timeoutMs);
 
         try {
           const response = await fetch(proxiedUrl, { signal: controller.signal });
@@ -801,8 +2975,7 @@ const checkURLVoidScraping = async (url) => {
 // Get a free API key at: https://www.virustotal.com/gui/my-apikey
 // Free tier: 500 requests per day, 4 requests per minute
 // API key is stored in chrome.storage.local.virusTotalApiKey
-let virusTotalRateLimited = false;
-const checkVirusTotal = async (url) => {
+const checkVirusTotal = async (url, provider) => {
   try {
     const apiKey = await getDecryptedApiKey('virusTotalApiKey');
 
@@ -811,9 +2984,9 @@ const checkVirusTotal = async (url) => {
       return 'unknown';
     }
 
-    if (virusTotalRateLimited) {
-      console.log(`[VirusTotal API] Rate limited, skipping check for ${url}`);
-      return 'unknown';
+    if (!await acquireApiQuota('virustotal')) {
+      console.log(`[VirusTotal API] Quota exhausted, skipping check for ${url}`);
+      return 'quota-exhausted';
     }
 
     console.log(`[VirusTotal API] Starting check for ${url}`);
@@ -821,10 +2994,10 @@ const checkVirusTotal = async (url) => {
     const urlId = btoa(url).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
 
     const reportController = new AbortController();
-    const reportTimeout = setTimeout(() => reportController.abort(), 8000);
+    const reportTimeout = setTimeout(() => reportController.abort(), provider.timeoutMs);
 
     const reportResponse = await fetch(
-      `https://www.virustotal.com/api/v3/urls/${urlId}`,
+      `${provider.endpoint.replace(/\/+$/, '')}/urls/${urlId}`,
       {
         method: 'GET',
         signal: reportController.signal,
@@ -836,8 +3009,8 @@ const checkVirusTotal = async (url) => {
 
     if (!reportResponse.ok) {
       if (reportResponse.status === 429) {
-        virusTotalRateLimited = true;
-        console.log(`[VirusTotal API] Rate limit hit, will skip remaining checks`);
+        await markApiQuotaExhausted('virustotal', reportResponse);
+        return 'quota-exhausted';
       }
       return 'unknown';
     }
@@ -878,7 +3051,7 @@ const checkVirusTotal = async (url) => {
 // Register at: https://yandex.com/dev/
 // Free tier: 100,000 requests per day
 // API key is stored in chrome.storage.local.yandexApiKey
-const checkYandexSafeBrowsing = async (url) => {
+const checkYandexSafeBrowsing = async (url, provider) => {
   try {
     // Get encrypted API key from storage and decrypt it
     const apiKey = await getDecryptedApiKey('yandexApiKey');
@@ -888,13 +3061,15 @@ const checkYandexSafeBrowsing = async (url) => {
       return 'unknown';
     }
 
+    if (!await acquireApiQuota('yandex')) return 'quota-exhausted';
+
     console.log(`[Yandex SB] Starting check for ${url}`);
 
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 5000); // 5s timeout
+    const timeout = setTimeout(() => controller.abort(), provider.timeoutMs);
 
     const response = await fetch(
-      `https://sba.yandex.net/v4/threatMatches:find?key=${apiKey}`,
+      `${provider.endpoint.replace(/\/+$/, '')}/threatMatches:find?key=${apiKey}`,
       {
         method: 'POST',
         signal: controller.signal,
@@ -916,6 +3091,10 @@ const checkYandexSafeBrowsing = async (url) => {
 
     if (!response.ok) {
       console.error(`[Yandex SB] API error: ${response.status}`);
+      if (response.status === 429) {
+        await markApiQuotaExhausted('yandex', response);
+        return 'quota-exhausted';
+      }
       return 'unknown';
     }
 
@@ -936,6 +3115,197 @@ const checkYandexSafeBrowsing = async (url) => {
   }
 };
 
+// Safety providers: the external services checkURLSafety asks about each URL, in this order.
+// Every provider has an enable flag, a timeout and an endpoint override (safetyProviderSettings), and a
+// privacy label saying what leaves the device. Users can add their own reputation services
+// (customSafetyProviders); those are called as GET <endpoint>?url=<url> and must answer JSON
+// {"verdict": "safe" | "warning" | "unsafe" | "unknown"}. The name is what results credit.
+const SAFETY_PROVIDERS = [
+  {
+    id: 'google',
+    name: 'Google Safe Browsing',
+    weight: 1,
+    apiKey: 'googleSafeBrowsingApiKey',
+    defaultEndpoint: DEFAULT_SAFE_BROWSING_API,
+    defaultTimeoutMs: 5000,
+    privacy: 'Sends the full URL to Google (only hash prefixes with Private Google Checks)',
+    check: checkGoogleSafeBrowsing
+  },
+  {
+    id: 'yandex',
+    name: 'Yandex Safe Browsing',
+    weight: 0.9,
+    apiKey: 'yandexApiKey',
+    defaultEndpoint: 'https://sba.yandex.net/v4',
+    defaultTimeoutMs: 5000,
+    privacy: 'Sends the full URL to Yandex',
+    check: checkYandexSafeBrowsing
+  },
+  {
+    id: 'urlvoid',
+    name: 'URLVoid',
+    weight: 0.6,
+    apiKey: null,
+    defaultEndpoint: 'https://www.urlvoid.com/scan/',
+    defaultTimeoutMs: 10000,
+    privacy: 'Sends the hostname to urlvoid.com (and to public CORS proxies if the proxy fallback is allowed)',
+    check: checkURLVoidScraping
+  },
+  {
+    id: 'virustotal',
+    name: 'VirusTotal',
+    weight: 0.9,
+    apiKey: 'virusTotalApiKey',
+    defaultEndpoint: 'https://www.virustotal.com/api/v3',
+    defaultTimeoutMs: 8000,
+    privacy: 'Sends the full URL to VirusTotal',
+    check: checkVirusTotal
+  }
+];
+const DEFAULT_CUSTOM_PROVIDER_WEIGHT = 0.7;
+const DEFAULT_CUSTOM_PROVIDER_TIMEOUT_MS = 5000;
+const SAFETY_PROVIDER_TIMEOUT_RANGE_MS = [1000, 60000];
+
+/**
+ * Built-in and custom safety providers with their settings applied.
+ * @returns {Promise<{id: string, name: string, builtin: boolean, enabled: boolean, endpoint: string,
+ *   defaultEndpoint: string, timeoutMs: number, defaultTimeoutMs: number, privacy: string, weight: number,
+ *   apiKey: string|null, allowProxy?: boolean}[]>}
+ */
+async function getSafetyProviders() {
+  const { safetyProviderSettings = {}, customSafetyProviders = [] } =
+    await chrome.storage.local.get(['safetyProviderSettings', 'customSafetyProviders']);
+
+  const builtin = SAFETY_PROVIDERS.map(({ check, ...provider }) => {
+    const settings = safetyProviderSettings[provider.id] || {};
+    return {
+      ...provider,
+      builtin: true,
+      enabled: settings.enabled !== false,
+      endpoint: settings.endpoint || provider.defaultEndpoint,
+      timeoutMs: settings.timeoutMs || provider.defaultTimeoutMs,
+      ...(provider.id === 'urlvoid' ? { allowProxy: settings.allowProxy === true } : {})
+    };
+  });
+
+  const custom = customSafetyProviders.map(provider => ({
+    ...provider,
+    builtin: false,
+    apiKey: null,
+    defaultEndpoint: provider.endpoint,
+    defaultTimeoutMs: DEFAULT_CUSTOM_PROVIDER_TIMEOUT_MS,
+    timeoutMs: provider.timeoutMs || DEFAULT_CUSTOM_PROVIDER_TIMEOUT_MS,
+    weight: provider.weight ?? DEFAULT_CUSTOM_PROVIDER_WEIGHT,
+    privacy: `Sends the full URL to ${new URL(provider.endpoint).host}`
+  }));
+
+  return [...builtin, ...custom];
+}
+
+// Endpoints may be local (a stand-in service on localhost), unlike bookmark URLs, so validateUrl doesn't fit
+function validateProviderEndpoint(endpoint, name) {
+  let url;
+  try {
+    url = new URL(String(endpoint).trim());
+  } catch (error) {
+    throw new Error(`${name}: invalid endpoint URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${name}: only HTTP and HTTPS endpoints are allowed`);
+  }
+  return url.href;
+}
+
+function validateProviderTimeout(timeoutMs, name) {
+  const [min, max] = SAFETY_PROVIDER_TIMEOUT_RANGE_MS;
+  if (!Number.isInteger(timeoutMs) || timeoutMs < min || timeoutMs > max) {
+    throw new Error(`${name}: timeout must be between ${min / 1000} and ${max / 1000} seconds`);
+  }
+  return timeoutMs;
+}
+
+/**
+ * Save provider settings and the custom provider list.
+ * @param {{settings?: Object<string, {enabled?: boolean, endpoint?: string, timeoutMs?: number, allowProxy?: boolean}>,
+ *   custom?: {id?: string, name: string, endpoint: string, enabled?: boolean, timeoutMs?: number}[]}} input
+ * @throws {Error} If a provider is invalid; nothing is saved then.
+ */
+async function saveSafetyProviders({ settings = {}, custom = [] }) {
+  const safetyProviderSettings = {};
+  for (const provider of SAFETY_PROVIDERS) {
+    const input = settings[provider.id] || {};
+    const saved = { enabled: input.enabled !== false };
+    if (input.endpoint && input.endpoint.trim() !== provider.defaultEndpoint) {
+      saved.endpoint = validateProviderEndpoint(input.endpoint, provider.name);
+    }
+    if (input.timeoutMs !== undefined && input.timeoutMs !== provider.defaultTimeoutMs) {
+      saved.timeoutMs = validateProviderTimeout(input.timeoutMs, provider.name);
+    }
+    if (provider.id === 'urlvoid') saved.allowProxy = input.allowProxy === true;
+    safetyProviderSettings[provider.id] = saved;
+  }
+
+  // Names are what safety results credit and what risk score weights refer to, so they must be unique
+  const names = new Set(SAFETY_PROVIDERS.map(provider => provider.name.toLowerCase()));
+  const customSafetyProviders = custom.map((input, index) => {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      throw new Error('Provider name is required');
+    }
+    if (names.has(name.toLowerCase())) {
+      throw new Error(`A provider named "${name}" already exists`);
+    }
+    names.add(name.toLowerCase());
+
+    const provider = {
+      id: input.id || `custom-${Date.now().toString(36)}-${index}`,
+      name,
+      endpoint: validateProviderEndpoint(input.endpoint || '', name),
+      enabled: input.enabled !== false
+    };
+    if (input.timeoutMs !== undefined && input.timeoutMs !== DEFAULT_CUSTOM_PROVIDER_TIMEOUT_MS) {
+      provider.timeoutMs = validateProviderTimeout(input.timeoutMs, name);
+    }
+    return provider;
+  });
+
+  await chrome.storage.local.set({ safetyProviderSettings, customSafetyProviders });
+}
+
+// Ask a custom reputation service about a URL
+async function checkCustomSafetyProvider(url, provider) {
+  try {
+    const endpoint = new URL(provider.endpoint);
+    endpoint.searchParams.set('url', url);
+
+    const response = await fetch(endpoint.href, {
+      signal: AbortSignal.timeout(provider.timeoutMs),
+      headers: { 'Accept': 'application/json' }
+    });
+    if (response.status === 429) {
+      return 'quota-exhausted';
+    }
+    if (!response.ok) {
+      console.error(`[${provider.name}] API error: ${response.status}`);
+      return 'unknown';
+    }
+
+    const data = await response.json();
+    const verdict = ['safe', 'warning', 'unsafe'].includes(data?.verdict) ? data.verdict : 'unknown';
+    console.log(`[${provider.name}] Result: ${verdict.toUpperCase()}`);
+    return verdict;
+  } catch (error) {
+    console.error(`[${provider.name}] Error:`, error.message);
+    return 'unknown';
+  }
+}
+
+// Run one provider's check; resolves to 'safe', 'warning', 'unsafe', 'unknown' or 'quota-exhausted'
+function runSafetyProvider(provider, url) {
+  const builtin = SAFETY_PROVIDERS.find(item => item.id === provider.id);
+  return builtin ? builtin.check(url, provider) : checkCustomSafetyProvider(url, provider);
+}
+
 // Parse different blocklist formats
 const parseBlocklistLine = (line, format) => {
   const trimmed = line.trim();
@@ -965,39 +3335,212 @@ const parseBlocklistLine = (line, format) => {
     } else {
       return null; // Not a valid URL format
     }
-  } else if (format === 'urlhaus') {
-    // URLhaus format: plain URLs/domains
-    domain = trimmed;
-  } else if (format === 'domains') {
-    // Plain domain list format
-    domain = trimmed;
-  } else {
-    // Default: assume plain domain
-    domain = trimmed;
+  } else if (format === 'urlhaus') {
+    // URLhaus format: plain URLs/domains
+    domain = trimmed;
+  } else if (format === 'domains') {
+    // Plain domain list format
+    domain = trimmed;
+  } else {
+    // Default: assume plain domain
+    domain = trimmed;
+  }
+
+  if (!domain) {
+    return null;
+  }
+
+  // Normalize: lowercase, remove protocol, remove trailing slash, remove wildcard prefix
+  const normalized = domain.toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/$/, '')
+    .replace(/^\*\./, ''); // Remove wildcard prefix for OISD format
+
+  // Skip localhost and invalid entries
+  if (normalized === 'localhost' || normalized.startsWith('127.') || normalized.startsWith('0.0.0.0')) {
+    return null;
+  }
+
+  return normalized;
+};
+
+// Adblock options that still apply when a bookmark is opened as a page. Any other option limits a
+// rule to sub-resources (script, image...), to certain sites (domain=) or rewrites requests.
+const ADBLOCK_NAVIGATION_OPTIONS = new Set([
+  'document', 'doc', 'all', 'popup', 'important', 'match-case',
+  'third-party', '3p', 'first-party', '1p', 'strict1p', 'strict3p'
+]);
+
+/**
+ * Parse one line of an adblock filter list.
+ * Supports "||host^" and "|https://host/path" anchors, path-scoped rules, "@@" exceptions and
+ * "$" options. Cosmetic rules, regex rules and rules with wildcards inside the host are skipped.
+ * @param {string} line
+ * @returns {{exception: boolean, host: string, path: string, boundary: boolean}|null}
+ *   path is '' for rules covering the whole host; boundary means the rule ended with "^" or "|".
+ */
+const parseAdblockRule = (line) => {
+  let rule = line.trim();
+
+  // Comments, "[Adblock Plus 2.0]" headers and element hiding / scriptlet rules
+  if (!rule || rule.startsWith('!') || rule.startsWith('[') || rule.startsWith('#') || /#@?[$?%]*#/.test(rule)) {
+    return null;
+  }
+
+  const exception = rule.startsWith('@@');
+  if (exception) {
+    rule = rule.slice(2);
+  }
+
+  const optionsIndex = rule.lastIndexOf('$');
+  if (optionsIndex !== -1) {
+    const options = rule.slice(optionsIndex + 1).toLowerCase().split(',').map(option => option.trim());
+    if (options.includes('badfilter') || !options.every(option => ADBLOCK_NAVIGATION_OPTIONS.has(option))) {
+      return null;
+    }
+    rule = rule.slice(0, optionsIndex);
   }
 
-  if (!domain) {
+  if (rule.startsWith('||')) {
+    rule = rule.slice(2);
+  } else if (rule.startsWith('|')) {
+    rule = rule.slice(1).replace(/^https?:\/\//i, '');
+  } else if (rule.startsWith('/')) {
+    // Regex rules and unanchored path fragments can't be tied to a site
     return null;
   }
 
-  // Normalize: lowercase, remove protocol, remove trailing slash, remove wildcard prefix
-  const normalized = domain.toLowerCase()
-    .replace(/^https?:\/\//, '')
-    .replace(/\/$/, '')
-    .replace(/^\*\./, ''); // Remove wildcard prefix for OISD format
+  rule = rule.toLowerCase();
+  const boundary = /[\^|]$/.test(rule) || rule.endsWith('/');
+  rule = rule.replace(/[\^|/]+$/, '').replace(/^\*\./, '');
+  if (!rule || /[*^|]/.test(rule)) {
+    return null;
+  }
 
-  // Skip localhost and invalid entries
-  if (normalized === 'localhost' || normalized.startsWith('127.') || normalized.startsWith('0.0.0.0')) {
+  const hostEnd = rule.search(/[/?]/);
+  const host = hostEnd === -1 ? rule : rule.slice(0, hostEnd);
+  const path = hostEnd === -1 ? '' : rule.slice(hostEnd);
+  if (!/^[a-z0-9.-]+\.[a-z0-9-]+(:\d+)?$/.test(host) || host.startsWith('127.') || host.startsWith('0.0.0.0')) {
     return null;
   }
 
-  return normalized;
+  return { exception, host, path, boundary: path ? boundary : true };
+};
+
+// Parse a downloaded or uploaded list into plain domain entries and adblock URL rules
+const parseBlocklistText = (text, format) => {
+  // Check if response is JSON-wrapped (some proxies do this)
+  try {
+    const jsonData = JSON.parse(text);
+    if (jsonData.contents) {
+      text = jsonData.contents;
+    } else if (jsonData.data) {
+      text = jsonData.data;
+    }
+  } catch (e) {
+    // Not JSON, use text as-is
+  }
+
+  const lines = text.split('\n');
+  const domains = [];
+  const urlRules = []; // Adblock path-scoped and exception rules
+  let rejected = 0; // Lines that are neither comments nor usable entries
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    const isComment = !trimmed || trimmed.startsWith('#') || trimmed.startsWith('!') || trimmed.startsWith('[');
+
+    // Domain lists sometimes mix in adblock rules, which would otherwise be mangled
+    if (format === 'adblock' || /^(\|\||@@)/.test(trimmed)) {
+      const rule = parseAdblockRule(line);
+      if (!rule) {
+        if (!isComment) rejected++;
+        continue;
+      }
+      if (rule.exception || rule.path) {
+        urlRules.push(rule);
+      } else {
+        domains.push(rule.host);
+      }
+      continue;
+    }
+
+    const normalized = parseBlocklistLine(line, format);
+    if (normalized) {
+      domains.push(normalized);
+    } else if (!isComment) {
+      rejected++;
+    }
+  }
+
+  return { domains, urlRules, rejected };
 };
 
-// Download from a single blocklist source
-const downloadBlocklistSource = async (source) => {
+// Stored copy of a source, if it was made for the source's current URL and format
+async function readStoredBlocklistSource(source) {
+  try {
+    const stored = await blocklistDbRequest('readonly', store => store.get(source.id), BLOCKLIST_SOURCE_STORE);
+    if (stored && stored.formatVersion === BLOCKLIST_FORMAT_VERSION && stored.url === source.url && stored.format === source.format) {
+      return stored;
+    }
+  } catch (error) {
+    console.error(`[Blocklist] Failed to read stored copy of ${source.name}:`, error);
+  }
+  return null;
+}
+
+/**
+ * Get the entries of a single blocklist source. URL sources are only downloaded once their refresh
+ * interval has passed, with If-None-Match / If-Modified-Since so an unchanged list costs a 304.
+ * @param {object} source Source from getEnabledBlocklistSources.
+ * @param {boolean} force Download even if the source isn't due yet.
+ * @returns {Promise<{domains: string[], urlRules: object[], count: number, rejected: number, outcome: string,
+ *   bytes: number, durationMs: number, nextRefreshAt: number, failed?: boolean, stale?: boolean, error?: string}>}
+ *   outcome is 'downloaded', 'not-modified', 'cached' (not due yet), 'file' or 'failed';
+ *   stale means a failed source is served from its stored copy.
+ */
+const downloadBlocklistSource = async (source, force = false) => {
+  const startedAt = Date.now();
+  const refreshMs = (source.refreshHours || DEFAULT_BLOCKLIST_REFRESH_HOURS) * 60 * 60 * 1000;
+  const finish = (parsed, details) => ({
+    domains: parsed.domains,
+    urlRules: parsed.urlRules,
+    count: parsed.domains.length + parsed.urlRules.length,
+    rejected: parsed.rejected || 0,
+    bytes: 0,
+    durationMs: Date.now() - startedAt,
+    ...details
+  });
+  const empty = { domains: [], urlRules: [], rejected: 0 };
+  let stored = null;
+
   try {
-    console.log(`[Blocklist] Downloading ${source.name}...`);
+    if (source.fileName) {
+      // Uploaded file: its contents are kept in IndexedDB
+      const text = await blocklistDbRequest('readonly', store => store.get(source.id), BLOCKLIST_UPLOAD_STORE);
+      if (typeof text !== 'string') {
+        console.error(`[Blocklist] ${source.name} failed: uploaded file ${source.fileName} is missing`);
+        return finish(empty, { outcome: 'failed', failed: true, error: 'Uploaded file is missing', nextRefreshAt: Infinity });
+      }
+      console.log(`[Blocklist] ${source.name}: ${text.length} bytes read from ${source.fileName}`);
+      const parsed = parseBlocklistText(text, source.format);
+      if (parsed.domains.length + parsed.urlRules.length === 0) {
+        return finish(parsed, { outcome: 'failed', failed: true, error: `No entries found in ${source.fileName}`, nextRefreshAt: Infinity });
+      }
+      return finish(parsed, { outcome: 'file', nextRefreshAt: Infinity });
+    }
+
+    stored = await readStoredBlocklistSource(source);
+    if (stored && !force && startedAt - stored.checkedAt < refreshMs) {
+      console.log(`[Blocklist] ${source.name}: not due until ${new Date(stored.checkedAt + refreshMs).toISOString()}, using stored copy`);
+      return finish(stored, { outcome: 'cached', nextRefreshAt: stored.checkedAt + refreshMs });
+    }
+
+    console.log(`[Blocklist] Downloading ${source.name}${stored ? ' (conditional)' : ''}...`);
+
+    const headers = {};
+    if (stored?.etag) headers['If-None-Match'] = stored.etag;
+    if (stored?.lastModified) headers['If-Modified-Since'] = stored.lastModified;
 
     // Use fetch API for better CORS handling in extensions
     const controller = new AbortController();
@@ -1005,52 +3548,128 @@ const downloadBlocklistSource = async (source) => {
 
     const response = await fetch(source.url, {
       method: 'GET',
+      headers,
       signal: controller.signal,
       mode: 'cors', // Use CORS mode but extensions can bypass via host_permissions
-      cache: 'no-store',
+      cache: 'no-store', // Revalidation is done with our own stored validators
       credentials: 'omit'
     });
 
-    clearTimeout(timeoutId);
+    if (response.status === 304 && stored) {
+      clearTimeout(timeoutId);
+      stored.checkedAt = Date.now();
+      await blocklistDbRequest('readwrite', store => store.put(stored, source.id), BLOCKLIST_SOURCE_STORE);
+      console.log(`[Blocklist] ${source.name}: not modified, reusing ${stored.domains.length + stored.urlRules.length} stored entries`);
+      return finish(stored, { outcome: 'not-modified', nextRefreshAt: stored.checkedAt + refreshMs });
+    }
 
     if (!response.ok) {
-      console.error(`[Blocklist] ${source.name} failed: HTTP ${response.status}`);
-      return { domains: [], count: 0 };
+      clearTimeout(timeoutId);
+      throw new Error(`HTTP ${response.status}`);
     }
 
-    let text = await response.text();
-    console.log(`[Blocklist] ${source.name}: ${text.length} bytes downloaded`);
-
-    // Check if response is JSON-wrapped (some proxies do this)
-    try {
-      const jsonData = JSON.parse(text);
-      if (jsonData.contents) {
-        text = jsonData.contents;
-      } else if (jsonData.data) {
-        text = jsonData.data;
-      }
-    } catch (e) {
-      // Not JSON, use text as-is
+    const buffer = await response.arrayBuffer();
+    clearTimeout(timeoutId);
+    const text = new TextDecoder().decode(buffer);
+    // Content-Length is the size on the wire when the response was compressed
+    const bytes = parseInt(response.headers.get('content-length'), 10) || buffer.byteLength;
+    console.log(`[Blocklist] ${source.name}: ${bytes} bytes downloaded`);
+
+    const parsed = parseBlocklistText(text, source.format);
+    if (parsed.domains.length + parsed.urlRules.length === 0) {
+      // An error page or a changed format would otherwise silently empty the source
+      throw new Error(`No entries parsed from ${bytes} bytes (${parsed.rejected} lines rejected)`);
     }
+    const entry = {
+      formatVersion: BLOCKLIST_FORMAT_VERSION,
+      url: source.url,
+      format: source.format,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      checkedAt: Date.now(),
+      domains: parsed.domains,
+      urlRules: parsed.urlRules,
+      rejected: parsed.rejected
+    };
+    await blocklistDbRequest('readwrite', store => store.put(entry, source.id), BLOCKLIST_SOURCE_STORE);
 
-    const lines = text.split('\n');
-    const domains = [];
+    console.log(`[Blocklist] ${source.name}: ${parsed.domains.length} domains${parsed.urlRules.length > 0 ? ` and ${parsed.urlRules.length} URL/exception rules` : ''} loaded`);
+    return finish(parsed, { outcome: 'downloaded', bytes, nextRefreshAt: entry.checkedAt + refreshMs });
 
-    for (const line of lines) {
-      const normalized = parseBlocklistLine(line, source.format);
-      if (normalized) {
-        domains.push(normalized);
+  } catch (error) {
+    console.error(`[Blocklist] ${source.name} error:`, error.message);
+    // Fall back to the last copy of this source that did download
+    const reason = error.name === 'AbortError' ? 'Timed out' : error.message;
+    return finish(stored || empty, { outcome: 'failed', failed: true, stale: !!stored, error: reason, nextRefreshAt: Date.now() + BLOCKLIST_RETRY_MS });
+  }
+};
+
+/**
+ * Record the outcome of each source's download in blocklistSourceHealth, keyed by source id:
+ * {lastAttemptAt, lastSuccessAt, lastError, lastErrorAt, failingSince, count, previousCount,
+ *  rejected, bytes, durationMs, outcome}. Sources served from their stored copy without
+ * a download attempt only refresh their counts.
+ */
+async function recordBlocklistSourceHealth(sources, results) {
+  const { blocklistSourceHealth = {} } = await chrome.storage.local.get('blocklistSourceHealth');
+  const now = Date.now();
+
+  sources.forEach((source, i) => {
+    const result = results[i];
+    const health = { ...blocklistSourceHealth[source.id] };
+
+    if (result.failed) {
+      health.lastAttemptAt = now;
+      health.lastError = result.error || 'Unknown error';
+      health.lastErrorAt = now;
+      health.failingSince = health.failingSince || now;
+    } else {
+      if (result.outcome !== 'cached') {
+        health.lastAttemptAt = now;
+        health.lastSuccessAt = now;
+        delete health.failingSince;
       }
+      if (health.count !== undefined && health.count !== result.count) {
+        health.previousCount = health.count;
+      }
+      health.count = result.count;
+      health.rejected = result.rejected;
+    }
+    if (result.outcome !== 'cached') {
+      health.outcome = result.outcome;
+      health.bytes = result.bytes;
+      health.durationMs = result.durationMs;
     }
+    blocklistSourceHealth[source.id] = health;
+  });
 
-    console.log(`[Blocklist] ${source.name}: ${domains.length} domains loaded`);
-    return { domains, count: domains.length };
+  await chrome.storage.local.set({ blocklistSourceHealth });
+}
 
-  } catch (error) {
-    console.error(`[Blocklist] ${source.name} error:`, error.message);
-    return { domains: [], count: 0 };
+async function getBlocklistSourceHealth() {
+  const { blocklistSourceHealth = {} } = await chrome.storage.local.get('blocklistSourceHealth');
+  return blocklistSourceHealth;
+}
+
+/**
+ * Download one source now, regardless of its schedule, and rebuild the database with it.
+ * @returns {Promise<object|undefined>} The source's health record after the update.
+ */
+async function refreshBlocklistSource(id) {
+  const source = (await getEnabledBlocklistSources()).find(item => item.id === id);
+  if (!source) {
+    throw new Error('Source not found or disabled');
   }
-};
+
+  // Let a running update finish first, then run our own
+  while (blocklistLoading) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  forcedBlocklistSources.add(id);
+  await updateBlocklistDatabase();
+  forcedBlocklistSources.delete(id);
+  return (await getBlocklistSourceHealth())[id];
+}
 
 // Download and aggregate all blocklist sources
 const updateBlocklistDatabase = async () => {
@@ -1063,85 +3682,134 @@ const updateBlocklistDatabase = async () => {
   blocklistLoading = true;
   let success = false;
   let totalCount = 0;
+  let transferredBytes = 0;
+  let sources = [];
 
   try {
-    console.log(`[Blocklist] Starting update from ${BLOCKLIST_SOURCES.length} sources...`);
+    sources = await getEnabledBlocklistSources();
+    console.log(`[Blocklist] Starting update from ${sources.length} sources...`);
 
     // Notify UI that blocklist download is starting
     chrome.runtime.sendMessage({
       type: 'blocklistProgress',
       current: 0,
-      total: BLOCKLIST_SOURCES.length,
+      total: sources.length,
       status: 'starting'
     }).catch(() => {}); // Ignore if no listeners
 
-    // Clear existing data
-    maliciousUrlsSet.clear();
-    domainSourceMap.clear();
+    // The previous build stays in use until the new one is ready, and fills in for failed sources
+    await ensureBlocklistLoaded();
 
     // Download sources sequentially to report progress
     const results = [];
-    for (let i = 0; i < BLOCKLIST_SOURCES.length; i++) {
-      const source = BLOCKLIST_SOURCES[i];
+    for (let i = 0; i < sources.length; i++) {
+      const source = sources[i];
 
       // Notify UI of current download
       chrome.runtime.sendMessage({
         type: 'blocklistProgress',
         current: i + 1,
-        total: BLOCKLIST_SOURCES.length,
+        total: sources.length,
         sourceName: source.name,
         status: 'downloading'
       }).catch(() => {});
 
-      const result = await downloadBlocklistSource(source);
+      const result = await downloadBlocklistSource(source, forcedBlocklistSources.delete(source.id));
       results.push(result);
+
+      chrome.runtime.sendMessage({
+        type: 'blocklistProgress',
+        current: i + 1,
+        total: sources.length,
+        sourceName: source.name,
+        status: 'source-done',
+        outcome: result.outcome,
+        bytes: result.bytes,
+        durationMs: result.durationMs,
+        count: result.count
+      }).catch(() => {});
+    }
+
+    await recordBlocklistSourceHealth(sources, results);
+
+    const failedSources = sources.filter((source, i) => results[i].failed).map(source => source.name);
+    if (sources.length > 0 && failedSources.length === sources.length) {
+      // Nothing in memory (e.g. every source was disabled before): go back to the last-known-good build
+      if (maliciousUrlsSet.size === 0 && blocklistPathRules.size === 0) {
+        const lastKnownGood = await readBlocklistBuild('lastKnownGood');
+        if (lastKnownGood) {
+          applyBlocklistBuild(lastKnownGood);
+          await blocklistDbRequest('readwrite', store => store.delete('current')).catch(() => {});
+        }
+      }
+      console.error(`[Blocklist] Every source failed to download, keeping the last-known-good database (${maliciousUrlsSet.size} entries)`);
+      blocklistNextRefresh = Date.now() + BLOCKLIST_RETRY_MS;
+      return false;
     }
 
-    // Combine all domains into the Set and track sources
+    // Combine all domains into a new build and track sources
+    const domainSources = new Map();
+    const domainOnly = new Map();
+    const pathRules = new Map();
+    const exceptions = new Map();
     totalCount = 0;
     for (let i = 0; i < results.length; i++) {
-      const result = results[i];
-      const sourceName = BLOCKLIST_SOURCES[i].name;
-
-      for (const domain of result.domains) {
-        maliciousUrlsSet.add(domain);
-
-        // Track which source(s) flagged this domain
-        if (domainSourceMap.has(domain)) {
-          // Use a Set to avoid duplicates when same domain appears multiple times in one blocklist
-          const sources = domainSourceMap.get(domain);
-          if (!sources.includes(sourceName)) {
-            sources.push(sourceName);
-          }
-        } else {
-          domainSourceMap.set(domain, [sourceName]);
-        }
+      const sourceName = sources[i].name;
+      for (const domain of results[i].domains) {
+        addBlocklistEntry(domainSources, domainOnly, domain, sourceName);
+      }
+      for (const rule of results[i].urlRules || []) {
+        addUrlRule(rule.exception ? exceptions : pathRules, rule, sourceName);
+      }
+      totalCount += results[i].count;
+    }
 
-        // Build domain-only index for fast lookups (handles entries with paths like "1.2.3.4:80/malware")
-        const domainPart = domain.split('/')[0]; // Extract domain:port before any path
-        if (domainPart !== domain) { // Only index if there's a path component
-          if (domainOnlyMap.has(domainPart)) {
-            const sources = domainOnlyMap.get(domainPart);
-            if (!sources.includes(sourceName)) {
-              sources.push(sourceName);
-            }
-          } else {
-            domainOnlyMap.set(domainPart, [sourceName]);
+    // Keep the previous entries of failed sources that have no stored copy to fall back on
+    const unrecoveredSources = sources.filter((source, i) => results[i].failed && !results[i].stale).map(source => source.name);
+    if (failedSources.length > 0) {
+      let carried = 0;
+      for (const [domain, sources] of domainSourceMap) {
+        for (const sourceName of sources) {
+          if (unrecoveredSources.includes(sourceName)) {
+            addBlocklistEntry(domainSources, domainOnly, domain, sourceName);
+            carried++;
           }
         }
       }
-      totalCount += result.count;
+      carried += carryUrlRules(blocklistPathRules, pathRules, unrecoveredSources);
+      carried += carryUrlRules(blocklistExceptions, exceptions, unrecoveredSources);
+      console.warn(`[Blocklist] ${failedSources.length} source(s) failed (${failedSources.join(', ')}), using stored copies and ${carried} previous entries`);
     }
 
+    applyBlocklistBuild({ domainSources, domainOnly, pathRules, exceptions });
     blocklistLastUpdate = Date.now();
+    blocklistNextRefresh = Math.min(Date.now() + DEFAULT_BLOCKLIST_REFRESH_HOURS * 60 * 60 * 1000, ...results.map(result => result.nextRefreshAt));
+    transferredBytes = results.reduce((sum, result) => sum + result.bytes, 0);
+
+    // Only a build with entries from enabled sources may replace the last-known-good copy
+    // (with every source disabled the build is empty)
+    const hasEntries = domainSources.size > 0 || pathRules.size > 0 || exceptions.size > 0;
+    await persistBlocklistBuild({
+      formatVersion: BLOCKLIST_FORMAT_VERSION,
+      builtAt: blocklistLastUpdate,
+      complete: failedSources.length === 0 && hasEntries,
+      failedSources,
+      domainSources,
+      domainOnly,
+      pathRules,
+      exceptions
+    });
 
     console.log(`[Blocklist] ✓ Database updated: ${maliciousUrlsSet.size} unique domains from ${totalCount} total entries`);
-    const sourceNames = BLOCKLIST_SOURCES.map(s => s.name).join(', ');
+    const sourceNames = sources.map(s => s.name).join(', ');
     console.log(`[Blocklist] Sources: ${sourceNames}`);
 
-    // Store update timestamp
+    console.log(`[Blocklist] ${transferredBytes} bytes transferred, next source refresh at ${new Date(blocklistNextRefresh).toISOString()}`);
+
+    // Store update timestamps
     await chrome.storage.local.set({
-      blocklistLastUpdate: blocklistLastUpdate
+      blocklistLastUpdate: blocklistLastUpdate,
+      blocklistNextRefresh: blocklistNextRefresh
     });
 
     success = true;
@@ -1156,7 +3824,8 @@ const updateBlocklistDatabase = async () => {
       type: 'blocklistComplete',
       domains: maliciousUrlsSet.size,
       totalEntries: success ? totalCount : 0,
-      sources: BLOCKLIST_SOURCES.length,
+      sources: sources.length,
+      bytes: transferredBytes,
       success: success
     }).catch(() => {});
 
@@ -1164,79 +3833,568 @@ const updateBlocklistDatabase = async () => {
   }
 };
 
-// Check for suspicious URL patterns that aren't necessarily malicious but warrant caution
-const checkSuspiciousPatterns = async (url, domain) => {
-  const patterns = [];
+// Lookalike domains: IDN homoglyphs ("аpple.com" with a Cyrillic "а") and typosquats ("gooogle.com",
+// "paypa1.com") of popular brands (brand-domains.json) or of domains the user already bookmarks.
 
-  // 1. Check for HTTP-only (no encryption)
-  if (url.toLowerCase().startsWith('http://')) {
-    // Check if it redirects to HTTPS
-    let redirectsToHttps = false;
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
+// Characters that render (nearly) like an ASCII letter. Accents are stripped separately.
+const CONFUSABLE_CHARACTERS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'һ': 'h', 'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k', 'м': 'm',
+  'н': 'h', 'о': 'o', 'п': 'n', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'ԁ': 'd',
+  'ԛ': 'q', 'ԝ': 'w', 'ӏ': 'l', 'ɡ': 'g', 'ı': 'i', 'ɩ': 'i', 'ł': 'l', 'ǀ': 'l', 'ο': 'o', 'α': 'a', 'ρ': 'p',
+  'ν': 'v', 'ι': 'i', 'κ': 'k', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ϲ': 'c', 'ε': 'e', 'η': 'n', 'ω': 'w',
+  '0': 'o', '1': 'l', '3': 'e', '5': 's'
+};
+// Letter pairs that read as one letter in most fonts
+const CONFUSABLE_SEQUENCES = [[/rn/g, 'm'], [/vv/g, 'w'], [/cl/g, 'd']];
+
+// Typos allowed between names of a given length. Names of 5 letters or fewer must match exactly
+// after folding: one edit already turns them into unrelated words ("adobe" -> "abode")
+const LOOKALIKE_EXACT_LABEL_LENGTH = 5;
+const LOOKALIKE_TWO_EDIT_LABEL_LENGTH = 10;
+let brandDomainsPromise = null;
+let bookmarkedDomainsPromise = null; // Rebuilt when bookmarks change
+
+// Decode one punycode label ("xn--pple-43d" -> "аpple"), RFC 3492. Returns the label as-is if invalid.
+function decodePunycodeLabel(label) {
+  if (!label.startsWith('xn--')) return label;
+
+  const input = label.slice(4);
+  const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+  const delimiter = input.lastIndexOf('-');
+  const output = delimiter >= 0 ? [...input.slice(0, delimiter)] : [];
+  let n = 128, i = 0, bias = 72;
+
+  for (let pos = delimiter + 1; pos < input.length;) {
+    const oldI = i;
+    let w = 1;
+    for (let k = base; ; k += base) {
+      if (pos >= input.length) return label;
+      const c = input.charCodeAt(pos++);
+      const digit = c >= 48 && c <= 57 ? c - 22 : c >= 97 && c <= 122 ? c - 97 : c >= 65 && c <= 90 ? c - 65 : base;
+      if (digit >= base) return label;
+      i += digit * w;
+      const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+      if (digit < t) break;
+      w *= base - t;
+    }
 
-      const response = await fetch(url, {
-        method: 'HEAD',
-        signal: controller.signal,
-        credentials: 'omit',
-        redirect: 'follow'
-      });
-      clearTimeout(timeoutId);
+    // Bias adaptation
+    const length = output.length + 1;
+    let delta = oldI === 0 ? Math.floor((i - oldI) / damp) : (i - oldI) >> 1;
+    delta += Math.floor(delta / length);
+    let k = 0;
+    while (delta > ((base - tMin) * tMax) >> 1) {
+      delta = Math.floor(delta / (base - tMin));
+      k += base;
+    }
+    bias = k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+
+    n += Math.floor(i / length);
+    i %= length;
+    if (n > 0x10ffff) return label;
+    output.splice(i++, 0, String.fromCodePoint(n));
+  }
+
+  return output.join('');
+}
+
+// What a name looks like once confusable characters are replaced by the ASCII letter they imitate
+function getConfusableSkeleton(name) {
+  let skeleton = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  skeleton = [...skeleton].map(char => CONFUSABLE_CHARACTERS[char] || char).join('');
+  for (const [pattern, replacement] of CONFUSABLE_SEQUENCES) {
+    skeleton = skeleton.replace(pattern, replacement);
+  }
+  return skeleton;
+}
 
-      // Check if final URL is HTTPS
-      if (response.url && response.url.toLowerCase().startsWith('https://')) {
-        redirectsToHttps = true;
+// Edit distance counting swapped neighbours as one edit, or max + 1 once it exceeds max
+function getEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
       }
-    } catch (e) {
-      // Couldn't check redirect, assume no redirect
-      console.log(`[Suspicious Patterns] Could not check redirect for ${url}:`, e.message);
+      rowMin = Math.min(rowMin, current[j]);
     }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
 
-    if (redirectsToHttps) {
-      patterns.push('HTTP Only (redirects to HTTPS)');
-    } else {
-      patterns.push('HTTP Only (Unencrypted)');
+// Split a registered domain into what lookalike matching compares
+function describeLookalikeDomain(domain) {
+  const unicode = domain.split('.').map(decodePunycodeLabel).join('.');
+  return {
+    domain,
+    unicode,
+    label: unicode.split('.')[0].toLowerCase(),
+    suffix: domain.slice(domain.indexOf('.') + 1),
+    skeleton: getConfusableSkeleton(unicode),
+    idn: domain.includes('xn--')
+  };
+}
+
+function loadBrandDomains() {
+  if (!brandDomainsPromise) {
+    brandDomainsPromise = (async () => {
+      try {
+        const response = await fetch(chrome.runtime.getURL('brand-domains.json'));
+        const data = await response.json();
+        console.log(`[Lookalike] Loaded ${data.domains.length} brand domains`);
+        return data.domains.map(describeLookalikeDomain);
+      } catch (e) {
+        console.error('[Lookalike] Failed to load brand domains:', e);
+        return [];
+      }
+    })();
+  }
+  return brandDomainsPromise;
+}
+
+// Registered domains of all bookmarks, with how many bookmarks point at each
+function getBookmarkedDomains() {
+  if (!bookmarkedDomainsPromise) {
+    bookmarkedDomainsPromise = (async () => {
+      const counts = new Map();
+      for (const bookmark of await getAllBookmarks()) {
+        try {
+          const registered = getRegisteredDomain(new URL(bookmark.url).hostname);
+          if (registered) counts.set(registered, (counts.get(registered) || 0) + 1);
+        } catch (e) {
+          // Not a URL with a hostname
+        }
+      }
+      return [...counts].map(([domain, count]) => ({ ...describeLookalikeDomain(domain), count }));
+    })().catch(error => {
+      bookmarkedDomainsPromise = null;
+      console.error('[Lookalike] Failed to read bookmarked domains:', error);
+      return [];
+    });
+  }
+  return bookmarkedDomainsPromise;
+}
+
+chrome.bookmarks.onCreated.addListener(() => { bookmarkedDomainsPromise = null; });
+chrome.bookmarks.onChanged.addListener(() => { bookmarkedDomainsPromise = null; });
+chrome.bookmarks.onRemoved.addListener(() => { bookmarkedDomainsPromise = null; });
+
+// Whether a candidate looks like a reference: exactly the same once confusables are folded
+// (homoglyphs, digit swaps), or a typo of the unfolded name under the same suffix (none for short
+// names, 1 edit, 2 for long names). Folding is never combined with typos: "c1ose" folds to "dose".
+function isLookalikeOf(candidate, reference) {
+  if (candidate.domain === reference.domain) return false;
+  if (candidate.skeleton === reference.skeleton) return true;
+  if (candidate.suffix !== reference.suffix || reference.label.length <= LOOKALIKE_EXACT_LABEL_LENGTH) return false;
+  const max = reference.label.length >= LOOKALIKE_TWO_EDIT_LABEL_LENGTH ? 2 : 1;
+  return getEditDistance(candidate.label, reference.label, max) <= max;
+}
+
+/**
+ * Find the domain a hostname imitates.
+ * @param {string} hostname Hostname without port, punycode or Unicode.
+ * @returns {Promise<string|null>} The imitated registered domain (Unicode), or null.
+ */
+async function findLookalikeDomain(hostname) {
+  await loadPublicSuffixList();
+  let registered;
+  try {
+    registered = getRegisteredDomain(new URL(`http://${hostname}`).hostname);
+  } catch (e) {
+    return null;
+  }
+  if (!registered || isTrustedDomain(registered)) return null;
+
+  const brands = await loadBrandDomains();
+  if (brands.some(brand => brand.domain === registered)) return null;
+
+  const candidate = describeLookalikeDomain(registered);
+  const brand = brands.find(reference => isLookalikeOf(candidate, reference));
+  if (brand) return brand.unicode;
+
+  // Two bookmarked domains can look alike; the one the user bookmarks more often (or the plain
+  // ASCII one against an IDN) is taken as the real one
+  const bookmarked = await getBookmarkedDomains();
+  const candidateCount = bookmarked.find(reference => reference.domain === registered)?.count || 0;
+  const reference = bookmarked.find(reference =>
+    (reference.count > candidateCount || (candidate.idn && !reference.idn)) && isLookalikeOf(candidate, reference));
+  return reference ? reference.unicode : null;
+}
+
+// Suspicious-pattern rules: the bundled suspicious-rules.json, or the user's own set saved from
+// settings (suspiciousPatternRules in storage). See the description in suspicious-rules.json.
+const SUSPICIOUS_RULE_TYPES = ['http-only', 'host-list', 'tld', 'ip-address', 'lookalike', 'userinfo',
+  'subdomain-depth', 'hostname-length', 'query-param', 'port', 'regex'];
+const SUSPICIOUS_SEVERITIES = ['info', 'warning', 'unsafe'];
+const NETWORK_SUSPICIOUS_RULE_TYPES = ['http-only']; // Rules that fetch the URL, skipped when checks must stay offline
+let defaultSuspiciousRulesPromise = null;
+let suspiciousRules = null; // Rules in use, cleared when the user saves or resets them
+
+function loadDefaultSuspiciousRules() {
+  if (!defaultSuspiciousRulesPromise) {
+    defaultSuspiciousRulesPromise = (async () => {
+      try {
+        const response = await fetch(chrome.runtime.getURL('suspicious-rules.json'));
+        const data = await response.json();
+        return data.rules || [];
+      } catch (e) {
+        console.error('[Suspicious Patterns] Failed to load default rules:', e);
+        return [];
+      }
+    })();
+  }
+  return defaultSuspiciousRulesPromise;
+}
+
+/**
+ * The suspicious-pattern rules in use.
+ * @returns {Promise<{rules: object[], custom: boolean}>} custom is false while the bundled defaults apply.
+ */
+async function getSuspiciousPatternRules() {
+  const { suspiciousPatternRules } = await chrome.storage.local.get('suspiciousPatternRules');
+  if (Array.isArray(suspiciousPatternRules)) {
+    return { rules: suspiciousPatternRules, custom: true };
+  }
+  return { rules: await loadDefaultSuspiciousRules(), custom: false };
+}
+
+/**
+ * Check a rule set before it is saved.
+ * @param {object[]} rules
+ * @returns {object[]} The rules, with enabled defaulting to true.
+ * @throws {Error} Naming the first invalid rule.
+ */
+function validateSuspiciousPatternRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Rules must be a JSON array (or an object with a "rules" array)');
+  }
+
+  const ids = new Set();
+  const isStringList = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+  return rules.map((rule, i) => {
+    const name = `Rule ${i + 1}${rule?.id ? ` (${rule.id})` : ''}`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${name} is not an object`);
+    if (typeof rule.id !== 'string' || !rule.id.trim()) throw new Error(`${name} needs an id`);
+    if (ids.has(rule.id)) throw new Error(`${name}: id is used more than once`);
+    ids.add(rule.id);
+    if (typeof rule.label !== 'string' || !rule.label.trim()) throw new Error(`${name} needs a label`);
+    if (!SUSPICIOUS_RULE_TYPES.includes(rule.type)) throw new Error(`${name}: type must be one of ${SUSPICIOUS_RULE_TYPES.join(', ')}`);
+    if (!SUSPICIOUS_SEVERITIES.includes(rule.severity)) throw new Error(`${name}: severity must be one of ${SUSPICIOUS_SEVERITIES.join(', ')}`);
+
+    if (rule.type === 'host-list' && !isStringList(rule.hosts)) throw new Error(`${name} needs a list of hosts`);
+    if (rule.type === 'tld' && !isStringList(rule.tlds)) throw new Error(`${name} needs a list of tlds`);
+    if (rule.type === 'query-param' && !isStringList(rule.params)) throw new Error(`${name} needs a list of params`);
+    if (['subdomain-depth', 'hostname-length'].includes(rule.type) && !(Number.isInteger(rule.max) && rule.max >= 0)) {
+      throw new Error(`${name} needs a whole number max`);
+    }
+    if (rule.type === 'port' && !(Array.isArray(rule.allowedPorts) && rule.allowedPorts.every(Number.isInteger))) {
+      throw new Error(`${name} needs a list of allowedPorts`);
+    }
+    if (rule.type === 'regex') {
+      try {
+        new RegExp(rule.pattern, rule.flags || '');
+      } catch (e) {
+        throw new Error(`${name}: invalid pattern (${e.message})`);
+      }
     }
+
+    return { ...rule, enabled: rule.enabled !== false };
+  });
+}
+
+async function saveSuspiciousPatternRules(rules) {
+  const validated = validateSuspiciousPatternRules(rules);
+  await chrome.storage.local.set({ suspiciousPatternRules: validated });
+  suspiciousRules = null;
+  return validated;
+}
+
+async function resetSuspiciousPatternRules() {
+  await chrome.storage.local.remove('suspiciousPatternRules');
+  suspiciousRules = null;
+}
+
+// Enabled rules, with regex patterns compiled
+async function loadSuspiciousRules() {
+  if (!suspiciousRules) {
+    const { rules } = await getSuspiciousPatternRules();
+    suspiciousRules = rules.filter(rule => rule.enabled !== false).map(rule => ({
+      ...rule,
+      compiled: rule.type === 'regex' ? new RegExp(rule.pattern, rule.flags || '') : null
+    }));
   }
+  return suspiciousRules;
+}
 
-  // 2. Check for known URL shorteners
-  const urlShorteners = [
-    'bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'ow.ly', 'is.gd', 'buff.ly',
-    'adf.ly', 'bl.ink', 'lnkd.in', 'short.link', 'cutt.ly', 'rebrand.ly',
-    'tiny.cc', 'rb.gy', 'clck.ru', 'shorturl.at', 'v.gd'
-  ];
+// Whether a hostname is one of the hosts or a subdomain of one
+function hostMatchesList(hostname, hosts) {
+  return hosts.some(host => hostname === host.toLowerCase() || hostname.endsWith('.' + host.toLowerCase()));
+}
+
+/**
+ * Evaluate one rule.
+ * @returns {Promise<string|null>} The label to report, or null if the rule doesn't match.
+ */
+async function evaluateSuspiciousRule(rule, { url, urlObj, hostname }) {
+  const label = match => rule.label.replace('{match}', match);
+
+  switch (rule.type) {
+    case 'http-only': {
+      if (!url.toLowerCase().startsWith('http://')) return null;
+      // Check if it redirects to HTTPS
+      let redirectsToHttps = false;
+      try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+        const response = await fetch(url, {
+          method: 'HEAD',
+          signal: controller.signal,
+          credentials: 'omit',
+          redirect: 'follow'
+        });
+        clearTimeout(timeoutId);
+
+        // Check if final URL is HTTPS
+        if (response.url && response.url.toLowerCase().startsWith('https://')) {
+          redirectsToHttps = true;
+        }
+      } catch (e) {
+        // Couldn't check redirect, assume no redirect
+        console.log(`[Suspicious Patterns] Could not check redirect for ${url}:`, e.message);
+      }
+      return redirectsToHttps ? rule.redirectLabel || rule.label : rule.label;
+    }
+
+    case 'host-list':
+      return hostMatchesList(hostname, rule.hosts) ? label(hostname) : null;
+
+    case 'tld': {
+      const tld = rule.tlds.find(tld => hostname.endsWith(tld.startsWith('.') ? tld : `.${tld}`));
+      return tld ? label(tld) : null;
+    }
+
+    case 'ip-address': {
+      const ipv4Pattern = /^(\d{1,3}\.){3}\d{1,3}$/;
+      const ipv6Pattern = /^\[?([0-9a-f:]+)\]?$/i;
+      return ipv4Pattern.test(hostname) || ipv6Pattern.test(hostname) ? label(hostname) : null;
+    }
+
+    case 'lookalike': {
+      const lookalikeOf = await findLookalikeDomain(hostname);
+      return lookalikeOf ? label(lookalikeOf) : null;
+    }
+
+    case 'userinfo':
+      // "https://paypal.com@evil.example/" goes to evil.example
+      return urlObj && (urlObj.username || urlObj.password) ? label(hostname) : null;
+
+    case 'subdomain-depth': {
+      await loadPublicSuffixList();
+      const registered = getRegisteredDomain(hostname);
+      if (!registered) return null;
+      const depth = hostname.split('.').length - registered.split('.').length;
+      return depth > rule.max ? label(String(depth)) : null;
+    }
+
+    case 'hostname-length':
+      return hostname.length > rule.max ? label(String(hostname.length)) : null;
+
+    case 'query-param': {
+      if (!urlObj) return null;
+      const params = rule.params.map(param => param.toLowerCase());
+      const found = [...urlObj.searchParams.keys()].find(key => params.includes(key.toLowerCase()));
+      return found ? label(found) : null;
+    }
+
+    case 'port':
+      return urlObj?.port && !rule.allowedPorts.includes(Number(urlObj.port)) ? label(urlObj.port) : null;
+
+    case 'regex': {
+      const match = url.match(rule.compiled);
+      return match ? label(match[0]) : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check for suspicious URL patterns that aren't necessarily malicious but warrant caution.
+ * @param {{offline?: boolean, severity?: string}} [options] offline: skip rules that make network
+ *   requests; severity: only evaluate rules of this severity
+ * @returns {Promise<{label: string, severity: string}[]>} Matching rules.
+ */
+const checkSuspiciousPatterns = async (url, domain, { offline = false, severity = null } = {}) => {
+  let urlObj = null;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    // Rules that need the parsed URL are skipped
+  }
+  const hostname = (urlObj?.hostname || domain.split(':')[0]).toLowerCase();
 
-  const domainWithoutPort = domain.split(':')[0];
-  if (urlShorteners.includes(domainWithoutPort)) {
-    patterns.push('URL Shortener');
+  const patterns = [];
+  for (const rule of await loadSuspiciousRules()) {
+    if (offline && NETWORK_SUSPICIOUS_RULE_TYPES.includes(rule.type)) continue;
+    if (severity && rule.severity !== severity) continue;
+    try {
+      const label = await evaluateSuspiciousRule(rule, { url, urlObj, hostname });
+      if (label) {
+        patterns.push({ label, severity: rule.severity });
+      }
+    } catch (error) {
+      console.error(`[Suspicious Patterns] Rule ${rule.id} failed:`, error.message);
+    }
   }
 
-  // 3. Check for suspicious TLDs (commonly abused)
-  const suspiciousTlds = [
-    '.xyz', '.top', '.tk', '.ml', '.ga', '.cf', '.gq', '.pw', '.cc', '.ws',
-    '.info', '.biz', '.club', '.click', '.link', '.download', '.stream',
-    '.loan', '.win', '.bid', '.trade', '.racing', '.party', '.review',
-    '.science', '.work', '.date', '.faith', '.cricket', '.accountant'
+  return patterns;
+};
+
+// Risk scoring. Every piece of evidence scores weight × confidence × 100 points, and the points add up
+// to a 0-100 risk score that the thresholds turn into safe/warning/unsafe. The weight says how much a
+// source is trusted (blocklists and providers carry their own, see BLOCKLIST_SOURCES and
+// SAFETY_PROVIDERS), the confidence how direct the match is (a parent-domain match is weaker than an
+// exact one, a "suspicious" verdict weaker than "unsafe").
+// Users can override weights (safetySourceWeights) and thresholds (safetyScoreThresholds) in settings.
+const DEFAULT_SAFETY_THRESHOLDS = { warning: 20, unsafe: 70 };
+// Suspicious patterns are weighted by their rule's severity
+const DEFAULT_PATTERN_WEIGHTS = { info: 0, warning: 0.2, unsafe: 0.8 };
+const DEFAULT_CUSTOM_BLOCKLIST_WEIGHT = 0.5;
+const SAFETY_VERDICT_CONFIDENCE = { unsafe: 1, warning: 0.5 };
+
+/**
+ * Weights and thresholds in use.
+ * @returns {Promise<{thresholds: {warning: number, unsafe: number}, defaultThresholds: object, weights: {key: string, label: string,
+ *   group: string, weight: number, defaultWeight: number}[]}>} One weight per scanner, enabled blocklist
+ *   and pattern severity; keys are what evidence refers to.
+ */
+async function getSafetyScoring() {
+  const { safetySourceWeights = {}, safetyScoreThresholds = {} } =
+    await chrome.storage.local.get(['safetySourceWeights', 'safetyScoreThresholds']);
+
+  const defaults = [
+    ...(await getSafetyProviders()).filter(provider => provider.enabled).map(provider => ({
+      key: provider.name,
+      label: provider.name,
+      group: 'Scanner',
+      defaultWeight: provider.weight
+    })),
+    ...(await getEnabledBlocklistSources()).map(source => ({
+      key: source.name,
+      label: source.name,
+      group: 'Blocklist',
+      defaultWeight: source.weight ?? DEFAULT_CUSTOM_BLOCKLIST_WEIGHT
+    })),
+    ...Object.entries(DEFAULT_PATTERN_WEIGHTS).map(([severity, weight]) => ({
+      key: `pattern:${severity}`,
+      label: `Suspicious pattern (${severity})`,
+      group: 'Pattern',
+      defaultWeight: weight
+    }))
   ];
 
-  for (const tld of suspiciousTlds) {
-    if (domainWithoutPort.endsWith(tld)) {
-      patterns.push('Suspicious TLD');
-      break;
+  return {
+    thresholds: { ...DEFAULT_SAFETY_THRESHOLDS, ...safetyScoreThresholds },
+    defaultThresholds: DEFAULT_SAFETY_THRESHOLDS,
+    weights: defaults.map(item => ({ ...item, weight: safetySourceWeights[item.key] ?? item.defaultWeight }))
+  };
+}
+
+/**
+ * Save weight overrides and thresholds (weights equal to their default are dropped).
+ * @param {{thresholds?: {warning: number, unsafe: number}, weights?: Object<string, number>}} settings
+ * @throws {Error} If a threshold or weight is out of range.
+ */
+async function saveSafetyScoring({ thresholds, weights = {} }) {
+  const { warning, unsafe } = { ...DEFAULT_SAFETY_THRESHOLDS, ...thresholds };
+  if (![warning, unsafe].every(value => Number.isInteger(value) && value >= 1 && value <= 100) || warning >= unsafe) {
+    throw new Error('Thresholds must be whole numbers from 1 to 100, with warning below unsafe');
+  }
+
+  const { weights: current } = await getSafetyScoring();
+  const overrides = {};
+  for (const [key, weight] of Object.entries(weights)) {
+    if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+      throw new Error(`Weight for ${key} must be between 0 and 1`);
+    }
+    if (current.find(item => item.key === key)?.defaultWeight !== weight) {
+      overrides[key] = weight;
+    }
+  }
+
+  await chrome.storage.local.set({ safetySourceWeights: overrides, safetyScoreThresholds: { warning, unsafe } });
+}
+
+/**
+ * Turn collected evidence into a result.
+ * @param {{label: string, key: string, reason: string, confidence: number}[]} evidence
+ * @param {object} scoring From getSafetyScoring.
+ * @param {object[]} [notes] Sources that could not be checked; appended to the breakdown with no points.
+ * @returns {{status: string, sources: string[], score: number, breakdown: object[]}} breakdown lists
+ *   each source's points, highest first.
+ */
+function scoreSafetyEvidence(evidence, { thresholds, weights }, notes = []) {
+  const breakdown = evidence.map(item => {
+    const weight = weights.find(entry => entry.key === item.key)?.weight ?? DEFAULT_CUSTOM_BLOCKLIST_WEIGHT;
+    return {
+      source: item.label,
+      reason: item.reason,
+      weight,
+      confidence: item.confidence,
+      points: Math.round(weight * item.confidence * 100)
+    };
+  }).sort((a, b) => b.points - a.points);
+
+  const score = Math.min(100, breakdown.reduce((sum, item) => sum + item.points, 0));
+  const status = score >= thresholds.unsafe ? 'unsafe' : score >= thresholds.warning ? 'warning' : 'safe';
+  return { status, sources: [...new Set(evidence.map(item => item.label))], score, breakdown: breakdown.concat(notes) };
+}
+
+// Blocklist evidence for a URL: the first of exact URL, domain, domain:port (path-based entry),
+// parent domain and path rule that matches. Parent domains stop at the registered domain, so a
+// listed shared suffix (e.g. a hosting domain on the public suffix list) doesn't flag every site under it
+function findBlocklistEvidence(normalizedUrl, domain, hostname) {
+  const evidence = (sources, reason, confidence, via) => sources.map(source => ({
+    label: via ? `${source} (via ${via})` : source,
+    key: source,
+    reason,
+    confidence
+  }));
+
+  if (maliciousUrlsSet.has(normalizedUrl)) {
+    return evidence(domainSourceMap.get(normalizedUrl) || [], 'Full URL is listed', 1);
+  }
+  if (maliciousUrlsSet.has(domain)) {
+    return evidence(domainSourceMap.get(domain) || [], 'Domain is listed', 1);
+  }
+  // Example: If blocklist has "61.163.146.63:34343/i", catch "61.163.146.63:34343/bin.sh"
+  if (domainOnlyMap.has(domain)) {
+    return evidence(domainOnlyMap.get(domain), 'Other URLs on this host are listed', 0.7);
+  }
+  for (const ancestor of getDomainAncestors(hostname)) {
+    if (maliciousUrlsSet.has(ancestor)) {
+      return evidence(domainSourceMap.get(ancestor) || [], `Parent domain ${ancestor} is listed`, 0.8, ancestor);
     }
   }
-
-  // 4. Check for IP addresses instead of domain names
-  const ipv4Pattern = /^(\d{1,3}\.){3}\d{1,3}(:\d+)?$/;
-  const ipv6Pattern = /^\[?([0-9a-f:]+)\]?(:\d+)?$/i;
-
-  if (ipv4Pattern.test(domainWithoutPort) || ipv6Pattern.test(domainWithoutPort)) {
-    patterns.push('IP Address');
+  // Adblock rules scoped to a path only flag URLs under that path
+  const pathSources = matchUrlRules(blocklistPathRules, normalizedUrl);
+  if (pathSources) {
+    return evidence(pathSources, 'URL is under a listed path', 1);
   }
-
-  return patterns;
-};
+  return [];
+}
 
 // Check URL safety using aggregated blocklist database
 const checkURLSafety = async (url, bypassCache = false) => {
@@ -1245,7 +4403,7 @@ const checkURLSafety = async (url, bypassCache = false) => {
   if (privilegedInfo) {
     console.log(`[Safety Check] Privileged URL detected: ${privilegedInfo.label}`);
     // Cache the result so it persists after side panel reload
-    const result = { status: 'safe', sources: [privilegedInfo.label + ' (not scanned)'] };
+    const result = { status: 'safe', sources: [privilegedInfo.label + ' (not scanned)'], score: 0, breakdown: [] };
     console.log(`[Safety Check] Caching privileged URL result for: ${url}`, result);
     await setCachedResult(url, result, 'safetyStatusCache');
     console.log(`[Safety Check] Privileged URL cached successfully`);
@@ -1261,7 +4419,7 @@ const checkURLSafety = async (url, bypassCache = false) => {
       if (typeof cached === 'string') {
         return { status: cached, sources: [] };
       }
-      return { status: cached.status, sources: cached.sources || [] };
+      return { status: cached.status, sources: cached.sources || [], score: cached.score, breakdown: cached.breakdown || [] };
     }
   } else {
     console.log(`[Safety Check] Bypassing cache for rescan of ${url}`);
@@ -1269,12 +4427,10 @@ const checkURLSafety = async (url, bypassCache = false) => {
 
   console.log(`[Safety Check] Starting safety check for ${url}`);
 
-  let result;
-
   try {
-    // Quick check: if database is empty, return unknown (don't block scanning)
-    // The background scan will ensure the database is loaded before starting
-    if (maliciousUrlsSet.size === 0) {
+    // Restore the persisted database if the service worker was restarted.
+    // If there is none yet, skip the blocklist (the background scan downloads it before starting)
+    if (!await ensureBlocklistLoaded()) {
       console.log(`[Blocklist] Database not loaded yet, skipping blocklist check for ${url}`);
       // Continue with API-based checks below, don't return early
     }
@@ -1290,218 +4446,397 @@ const checkURLSafety = async (url, bypassCache = false) => {
     // Extract hostname without port for trusted domain check
     const hostname = domain.split(':')[0];
 
+    const scoring = await getSafetyScoring();
+    const evidence = [];
+
     // Check if domain is in trusted allow-list (bypass blocklist checks only)
     if (isTrustedDomain(hostname)) {
       console.log(`[Safety Check] Domain ${hostname} is in trusted allow-list, skipping local blocklist checks`);
+    } else {
+      // Parent-domain matching needs the public suffix list
+      await loadPublicSuffixList();
 
-      // Skip blocklist checks but continue with API-based scanners and suspicious pattern detection
-      let finalStatus = 'safe';
-      let allSources = [];
-
-      // Check API-based scanners if configured
-      const storage = await chrome.storage.local.get(['googleSafeBrowsingApiKey', 'yandexApiKey', 'virusTotalApiKey']);
-      const hasGoogleKey = storage.googleSafeBrowsingApiKey && storage.googleSafeBrowsingApiKey.trim() !== '';
-      const hasYandexKey = storage.yandexApiKey && storage.yandexApiKey.trim() !== '';
-      const hasVTKey = storage.virusTotalApiKey && storage.virusTotalApiKey.trim() !== '';
-
-      // Check Google Safe Browsing
-      if (hasGoogleKey) {
-        console.log(`[Safety Check] Checking Google Safe Browsing for trusted domain...`);
-        const googleResult = await checkGoogleSafeBrowsing(url);
-        if (googleResult === 'unsafe') {
-          finalStatus = 'unsafe';
-          allSources.push('Google Safe Browsing');
-        }
+      // Adblock "@@" exception rules un-flag the URL for every blocklist
+      const exceptionSources = matchUrlRules(blocklistExceptions, normalizedUrl);
+      if (exceptionSources) {
+        console.log(`[Blocklist] Exception rule from ${exceptionSources.join(', ')} matches ${normalizedUrl}, skipping blocklist checks`);
       }
 
-      // Check Yandex Safe Browsing
-      if (hasYandexKey) {
-        console.log(`[Safety Check] Checking Yandex Safe Browsing for trusted domain...`);
-        const yandexResult = await checkYandexSafeBrowsing(url);
-        if (yandexResult === 'unsafe') {
-          finalStatus = 'unsafe';
-          allSources.push('Yandex Safe Browsing');
+      // Only check blocklist if database is loaded (don't block scanning waiting for it)
+      if (!exceptionSources && (maliciousUrlsSet.size > 0 || blocklistPathRules.size > 0)) {
+        console.log(`[Blocklist] Checking ${normalizedUrl}`);
+        const blocklistEvidence = findBlocklistEvidence(normalizedUrl, domain, hostname);
+        if (blocklistEvidence.length > 0) {
+          console.log(`[Blocklist] ⚠️ ${blocklistEvidence[0].reason}, detected by: ${blocklistEvidence.map(item => item.label).join(', ')}`);
+          evidence.push(...blocklistEvidence);
+
+          // Enough to be unsafe on its own: skip the scanners (saves their quota)
+          const blocklistResult = scoreSafetyEvidence(evidence, scoring);
+          if (blocklistResult.status === 'unsafe') {
+            console.log(`[Safety Check] Final result for ${url}: unsafe (score ${blocklistResult.score})`);
+            await setCachedResult(url, blocklistResult, 'safetyStatusCache');
+            return blocklistResult;
+          }
+        } else {
+          console.log(`[Blocklist] ✓ Neither full URL nor domain found in malicious database`);
         }
       }
+    }
 
-      // Check URLVoid Scraping (always runs, no API key needed)
-      console.log(`[Safety Check] Checking URLVoid scraping for trusted domain...`);
-      const vtScrapingResult = await checkURLVoidScraping(url);
-      if (vtScrapingResult === 'unsafe') {
-        finalStatus = 'unsafe';
-        allSources.push('URLVoid');
-      } else if (vtScrapingResult === 'warning' && finalStatus !== 'unsafe') {
-        finalStatus = 'warning';
-        allSources.push('URLVoid');
+    // Continue scanning through ALL layers; every finding adds to the risk score
+    const notes = []; // Sources that could not be checked, listed in the breakdown with no points
+    const addScannerEvidence = (name, verdict) => {
+      if (verdict === 'quota-exhausted') {
+        notes.push({ source: name, reason: 'Not checked (quota exhausted)', points: 0, note: true });
+      } else if (verdict === 'unsafe' || verdict === 'warning') {
+        console.log(`[Safety Check] ${name} flagged URL as ${verdict === 'unsafe' ? 'unsafe' : 'suspicious'}!`);
+        evidence.push({
+          label: name,
+          key: name,
+          reason: verdict === 'unsafe' ? 'Flagged as unsafe' : 'Flagged as suspicious',
+          confidence: SAFETY_VERDICT_CONFIDENCE[verdict]
+        });
       }
+    };
 
-      // Check VirusTotal API (optional, requires API key)
-      const vtApiKey = await getDecryptedApiKey('virusTotalApiKey');
-      if (vtApiKey) {
-        console.log(`[Safety Check] Checking VirusTotal API for trusted domain...`);
-        const vtApiResult = await checkVirusTotal(url);
-        if (vtApiResult === 'unsafe') {
-          finalStatus = 'unsafe';
-          if (!allSources.includes('VirusTotal')) {
-            allSources.push('VirusTotal');
-          }
-        } else if (vtApiResult === 'warning' && finalStatus !== 'unsafe') {
-          finalStatus = 'warning';
-          if (!allSources.includes('VirusTotal')) {
-            allSources.push('VirusTotal');
-          }
-        }
-      }
+    // Ask every enabled provider; those that need an API key only run once one is configured
+    const providers = (await getSafetyProviders()).filter(provider => provider.enabled);
+    const storage = await chrome.storage.local.get(providers.map(provider => provider.apiKey).filter(Boolean));
+    for (const provider of providers) {
+      if (provider.apiKey && !(storage[provider.apiKey] && storage[provider.apiKey].trim() !== '')) continue;
+      console.log(`[Safety Check] Checking ${provider.name}...`);
+      addScannerEvidence(provider.name, await runSafetyProvider(provider, url));
+    }
 
-      // Check for suspicious patterns
-      const suspiciousPatterns = await checkSuspiciousPatterns(url, domain);
-      if (suspiciousPatterns.length > 0 && finalStatus !== 'unsafe') {
-        finalStatus = 'warning';
-        allSources.push(...suspiciousPatterns);
-      }
+    // Check for suspicious patterns (always check, even if already flagged)
+    const suspiciousPatterns = await checkSuspiciousPatterns(url, domain);
+    if (suspiciousPatterns.length > 0) {
+      console.log(`[Safety Check] Suspicious patterns detected: ${suspiciousPatterns.map(pattern => pattern.label).join(', ')}`);
+      evidence.push(...suspiciousPatterns.map(pattern => ({
+        label: pattern.label,
+        key: `pattern:${pattern.severity}`,
+        reason: 'Suspicious pattern',
+        confidence: 1
+      })));
+    }
 
-      const resultObj = { status: finalStatus, sources: allSources };
-      console.log(`[Safety Check] Final result for trusted domain ${url}: ${resultObj.status}`);
+    // Return aggregated result with all sources and what each contributed
+    const resultObj = scoreSafetyEvidence(evidence, scoring, notes);
+    console.log(`[Safety Check] Final result for ${url}: ${resultObj.status}, score ${resultObj.score} (sources: ${resultObj.sources.join(', ')})`);
+    // A provider skipped for quota could still have flagged the URL: don't cache the partial result
+    // (it would be served as final for CACHE_TTL), so the next check asks again. Unsafe can't get worse.
+    if (notes.length === 0 || resultObj.status === 'unsafe') {
       await setCachedResult(url, resultObj, 'safetyStatusCache');
-      return resultObj;
-    }
-
-    // Only check blocklist if database is loaded (don't block scanning waiting for it)
-    if (maliciousUrlsSet.size > 0) {
-      console.log(`[Blocklist] Checking full URL: ${normalizedUrl}`);
-      console.log(`[Blocklist] Checking domain: ${domain}`);
-
-      // Check if full URL is in the malicious set
-      if (maliciousUrlsSet.has(normalizedUrl)) {
-        const sources = domainSourceMap.get(normalizedUrl) || [];
-        console.log(`[Blocklist] ⚠️ Full URL found in malicious database!`);
-        console.log(`[Blocklist] Detected by: ${sources.join(', ')}`);
-        const resultObj = { status: 'unsafe', sources };
-        console.log(`[Safety Check] Final result for ${url}: ${resultObj.status}`);
-        await setCachedResult(url, resultObj, 'safetyStatusCache');
-        return resultObj;
-      }
+    } else {
+      console.log(`[Safety Check] Not caching result for ${url}: ${notes.map(note => note.source).join(', ')} not checked`);
+    }
+    return resultObj;
 
-      // Also check if just the domain is flagged (entire domain compromised)
-      if (maliciousUrlsSet.has(domain)) {
-        const sources = domainSourceMap.get(domain) || [];
-        console.log(`[Blocklist] ⚠️ Domain found in malicious database!`);
-        console.log(`[Blocklist] Detected by: ${sources.join(', ')}`);
-        const resultObj = { status: 'unsafe', sources };
-        console.log(`[Safety Check] Final result for ${url}: ${resultObj.status}`);
-        await setCachedResult(url, resultObj, 'safetyStatusCache');
-        return resultObj;
-      }
+  } catch (error) {
+    console.error(`[Blocklist] Error checking URL safety:`, error);
+    const resultObj = { status: 'unknown', sources: [] };
+    await setCachedResult(url, resultObj, 'safetyStatusCache');
+    return resultObj;
+  }
+};
 
-      // Check if domain:port appears in domainOnlyMap (for IP:port cases where blocklist has paths)
-      // Example: If blocklist has "61.163.146.63:34343/i", catch "61.163.146.63:34343/bin.sh"
-      if (domainOnlyMap.has(domain)) {
-        const sources = domainOnlyMap.get(domain);
-        console.log(`[Blocklist] ⚠️ Domain:port found in malicious database (via path-based entry)!`);
-        console.log(`[Blocklist] Detected by: ${sources.join(', ')}`);
-        const resultObj = { status: 'unsafe', sources };
-        console.log(`[Safety Check] Final result for ${url}: ${resultObj.status}`);
-        await setCachedResult(url, resultObj, 'safetyStatusCache');
-        return resultObj;
-      }
+// Security alerts: a bookmark whose status got worse between two checks (safe -> unsafe or warning,
+// reachable -> dead or parked) is recorded in an inbox (securityAlerts in storage), raised as a system
+// notification and counted on the toolbar badge until read. Transitions are detected where results
+// are cached, so scans raise them even while the side panel is closed. Each alert type can be
+// switched on or off (securityAlertTypes in storage); dead and parked alerts are opt-in.
+const SECURITY_ALERT_TYPES = {
+  unsafe: { label: 'Unsafe', defaultEnabled: true },
+  warning: { label: 'Suspicious', defaultEnabled: true },
+  dead: { label: 'Dead link', defaultEnabled: false },
+  parked: { label: 'Parked domain', defaultEnabled: false }
+};
+const MAX_SECURITY_ALERTS = 200; // Oldest alerts are dropped beyond this
+const SECURITY_ALERT_NOTIFICATION_PREFIX = 'security-alert:'; // + windowId:alertId
+let securityAlertsWrite = Promise.resolve(); // Inbox updates run one at a time
+
+// Which alert (if any) a change between two cached results raises
+function getStatusTransitionAlertType(cacheKey, previous, result) {
+  if (cacheKey === 'safetyStatusCache') {
+    // Old cache entries hold the status as a plain string
+    const before = typeof previous === 'string' ? previous : previous?.status;
+    const after = typeof result === 'string' ? result : result?.status;
+    if (after === 'unsafe' && (before === 'safe' || before === 'warning')) return 'unsafe';
+    if (after === 'warning' && before === 'safe') return 'warning';
+    return null;
+  }
+  if ((result === 'dead' || result === 'parked') && previous !== result) {
+    return result;
+  }
+  return null;
+}
 
-      console.log(`[Blocklist] ✓ Neither full URL nor domain found in malicious database`);
-    }
+/**
+ * Alert types with whether each is on.
+ * @returns {Promise<{type: string, label: string, enabled: boolean}[]>}
+ */
+async function getSecurityAlertTypes() {
+  const { securityAlertTypes = {} } = await chrome.storage.local.get('securityAlertTypes');
+  return Object.entries(SECURITY_ALERT_TYPES).map(([type, { label, defaultEnabled }]) => ({
+    type,
+    label,
+    enabled: securityAlertTypes[type] ?? defaultEnabled
+  }));
+}
 
-    // Continue scanning through ALL layers and aggregate findings
-    // Priority: unsafe > warning > safe
-    let finalStatus = 'safe';
-    let allSources = [];
+async function setSecurityAlertTypes(types) {
+  const { securityAlertTypes = {} } = await chrome.storage.local.get('securityAlertTypes');
+  for (const [type, enabled] of Object.entries(types || {})) {
+    if (SECURITY_ALERT_TYPES[type]) securityAlertTypes[type] = enabled === true;
+  }
+  await chrome.storage.local.set({ securityAlertTypes });
+  return getSecurityAlertTypes();
+}
 
-    // Blocklists say safe - check Google Safe Browsing, Yandex, and VirusTotal as redundancy if API keys are configured
-    const storage = await chrome.storage.local.get(['googleSafeBrowsingApiKey', 'yandexApiKey', 'virusTotalApiKey']);
-    const hasGoogleKey = storage.googleSafeBrowsingApiKey && storage.googleSafeBrowsingApiKey.trim() !== '';
-    const hasYandexKey = storage.yandexApiKey && storage.yandexApiKey.trim() !== '';
-    const hasVTKey = storage.virusTotalApiKey && storage.virusTotalApiKey.trim() !== '';
+// Change the inbox with fn(alerts) -> alerts, then refresh the badge
+function updateSecurityAlerts(fn) {
+  securityAlertsWrite = securityAlertsWrite.then(async () => {
+    const { securityAlerts = [] } = await chrome.storage.local.get('securityAlerts');
+    const updated = fn(securityAlerts).slice(-MAX_SECURITY_ALERTS);
+    await chrome.storage.local.set({ securityAlerts: updated });
+    await updateSecurityAlertBadge(updated);
+    return updated;
+  });
+  return securityAlertsWrite;
+}
 
-    // Check Google Safe Browsing (continue even if flagged)
-    if (hasGoogleKey) {
-      console.log(`[Safety Check] Blocklists say safe, checking Google Safe Browsing as redundancy...`);
-      const googleResult = await checkGoogleSafeBrowsing(url);
+async function updateSecurityAlertBadge(alerts) {
+  if (!alerts) {
+    ({ securityAlerts: alerts = [] } = await chrome.storage.local.get('securityAlerts'));
+  }
+  const unread = alerts.filter(alert => !alert.read).length;
+  try {
+    await chrome.action.setBadgeBackgroundColor({ color: '#ef4444' });
+    await chrome.action.setBadgeText({ text: unread > 0 ? String(Math.min(unread, 99)) : '' });
+  } catch (error) {
+    console.error('[Security Alerts] Failed to update badge:', error);
+  }
+}
 
-      if (googleResult === 'unsafe') {
-        console.log(`[Safety Check] Google Safe Browsing flagged URL as unsafe!`);
-        finalStatus = 'unsafe'; // Escalate to unsafe
-        allSources.push('Google Safe Browsing');
-      }
+function describeSecurityAlert(alert) {
+  const hostname = (() => {
+    try {
+      return new URL(alert.url).hostname;
+    } catch (e) {
+      return alert.url;
     }
+  })();
+  switch (alert.type) {
+    case 'unsafe':
+      return `"${hostname}" was ${alert.previousStatus === 'warning' ? 'suspicious' : 'safe'} but is now flagged as unsafe`;
+    case 'warning':
+      return `"${hostname}" was safe but is now flagged as suspicious`;
+    case 'dead':
+      return `"${hostname}" is no longer reachable`;
+    case 'parked':
+      return `"${hostname}" now shows a parking page`;
+    default:
+      return hostname;
+  }
+}
 
-    // Check Yandex Safe Browsing (continue even if flagged)
-    if (hasYandexKey) {
-      console.log(`[Safety Check] Blocklists say safe, checking Yandex Safe Browsing as redundancy...`);
-      const yandexResult = await checkYandexSafeBrowsing(url);
+// Record an alert for every bookmark with this URL (unless its type is off or the site is whitelisted)
+async function recordSecurityAlert(url, type, previous, result) {
+  const types = await getSecurityAlertTypes();
+  if (!types.find(entry => entry.type === type)?.enabled) return;
 
-      if (yandexResult === 'unsafe') {
-        console.log(`[Safety Check] Yandex Safe Browsing flagged URL as unsafe!`);
-        finalStatus = 'unsafe'; // Escalate to unsafe
-        allSources.push('Yandex Safe Browsing');
-      }
-    }
+  const { whitelistedUrls = [] } = await chrome.storage.local.get('whitelistedUrls');
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (e) {
+    return;
+  }
+  if ((type === 'unsafe' || type === 'warning') && whitelistedUrls.includes(hostname)) return;
+
+  // Results are cached by URL; alerts are about bookmarks
+  const bookmarks = await chrome.bookmarks.search({ url }).catch(() => []);
+  if (bookmarks.length === 0) return;
+
+  const timestamp = Date.now();
+  const alerts = bookmarks.map(bookmark => ({
+    id: `${timestamp}-${bookmark.id}-${type}`,
+    type,
+    url,
+    bookmarkId: bookmark.id,
+    title: bookmark.title || url,
+    previousStatus: typeof previous === 'string' ? previous : previous?.status,
+    status: typeof result === 'string' ? result : result?.status,
+    sources: result?.sources || [],
+    timestamp,
+    read: false
+  }));
+  alerts.forEach(alert => { alert.message = describeSecurityAlert(alert); });
+  await updateSecurityAlerts(existing => existing.concat(alerts));
+
+  // The window to open the side panel in is part of the notification id: sidePanel.open() has to be
+  // called straight from the click (user gesture), without awaiting a window lookup first
+  const focusedWindow = await chrome.windows.getLastFocused().catch(() => null);
+  for (const alert of alerts) {
+    console.warn(`[Security Alerts] ${alert.message}`);
+    chrome.notifications.create(`${SECURITY_ALERT_NOTIFICATION_PREFIX}${focusedWindow?.id ?? ''}:${alert.id}`, {
+      type: 'basic',
+      iconUrl: 'icons/bookmark-96.png',
+      title: `Security alert: ${alert.title}`,
+      message: alert.message,
+      contextMessage: alert.sources.length > 0 ? `Sources: ${alert.sources.join(', ')}` : '',
+      priority: type === 'unsafe' ? 2 : 0
+    }).catch(error => console.error('[Security Alerts] Failed to show notification:', error));
+  }
+}
 
-    // Check URLVoid Scraping (always runs, no API key needed)
-    console.log(`[Safety Check] Blocklists say safe, checking URLVoid scraping...`);
-    const vtScrapingResult = await checkURLVoidScraping(url);
-    if (vtScrapingResult === 'unsafe') {
-      console.log(`[Safety Check] URLVoid scraping flagged URL as unsafe!`);
-      finalStatus = 'unsafe';
-      allSources.push('URLVoid');
-    } else if (vtScrapingResult === 'warning' && finalStatus !== 'unsafe') {
-      console.log(`[Safety Check] URLVoid scraping flagged URL as suspicious!`);
-      finalStatus = 'warning';
-      allSources.push('URLVoid');
-    }
-
-    // Check VirusTotal API (optional, requires API key)
-    const vtApiKey = await getDecryptedApiKey('virusTotalApiKey');
-    if (vtApiKey) {
-      console.log(`[Safety Check] Checking VirusTotal API...`);
-      const vtApiResult = await checkVirusTotal(url);
-      if (vtApiResult === 'unsafe') {
-        console.log(`[Safety Check] VirusTotal API flagged URL as unsafe!`);
-        finalStatus = 'unsafe';
-        if (!allSources.includes('VirusTotal')) {
-          allSources.push('VirusTotal');
-        }
-      } else if (vtApiResult === 'warning') {
-        console.log(`[Safety Check] VirusTotal API flagged URL as suspicious!`);
-        if (finalStatus !== 'unsafe') {
-          finalStatus = 'warning';
-        }
-        if (!allSources.includes('VirusTotal')) {
-          allSources.push('VirusTotal');
-        }
-      }
-    }
+async function markSecurityAlertsRead(ids, read = true) {
+  const idSet = ids ? new Set(ids) : null;
+  return updateSecurityAlerts(alerts => alerts.map(alert =>
+    !idSet || idSet.has(alert.id) ? { ...alert, read } : alert));
+}
 
-    // Check for suspicious patterns (always check, even if already flagged)
-    const suspiciousPatterns = await checkSuspiciousPatterns(url, domain);
-    if (suspiciousPatterns.length > 0) {
-      console.log(`[Safety Check] Suspicious patterns detected: ${suspiciousPatterns.join(', ')}`);
-      // Only set to warning if not already unsafe
-      if (finalStatus !== 'unsafe') {
-        finalStatus = 'warning';
-      }
-      allSources.push(...suspiciousPatterns);
+// Clicking a notification marks its alert read and opens the side panel, where the inbox lists it
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(SECURITY_ALERT_NOTIFICATION_PREFIX)) return;
+  const [windowId, alertId] = notificationId.slice(SECURITY_ALERT_NOTIFICATION_PREFIX.length).split(/:(.*)/s);
+  if (windowId) {
+    chrome.sidePanel.open({ windowId: Number(windowId) }).catch(error => {
+      console.error('[Security Alerts] Failed to open side panel:', error);
+    });
+  }
+  chrome.notifications.clear(notificationId);
+  markSecurityAlertsRead([alertId]).catch(error => {
+    console.error('[Security Alerts] Failed to mark alert read:', error);
+  });
+});
+
+// The badge isn't kept across browser restarts
+updateSecurityAlertBadge().catch(() => {});
+
+// Live navigation protection (optional, off by default): every top-level navigation is checked against
+// the blocklist database and suspicious pattern rules already on the device, and matches are sent to
+// the warning page (interstitial.html). Nothing is fetched: if no blocklist has been downloaded yet,
+// only the pattern rules apply. Pattern rules only stop a navigation when their severity is unsafe.
+let navigationProtectionEnabled = false;
+
+// Hostnames the user chose to proceed to, per tab ({tabId: [hostname]} as navigationAllowedHosts in
+// session storage, so it outlives the service worker being suspended). Cleared when the tab closes.
+let navigationAllowedHostsWrite = Promise.resolve(); // Updates run one at a time
+
+async function isNavigationAllowed(tabId, hostname) {
+  const { navigationAllowedHosts = {} } = await chrome.storage.session.get('navigationAllowedHosts');
+  return navigationAllowedHosts[tabId]?.includes(hostname) === true;
+}
+
+function updateNavigationAllowedHosts(fn) {
+  navigationAllowedHostsWrite = navigationAllowedHostsWrite.catch(() => {}).then(async () => {
+    const { navigationAllowedHosts = {} } = await chrome.storage.session.get('navigationAllowedHosts');
+    fn(navigationAllowedHosts);
+    await chrome.storage.session.set({ navigationAllowedHosts });
+  });
+  return navigationAllowedHostsWrite;
+}
+
+const navigationProtectionReady = chrome.storage.local.get('navigationProtectionEnabled').then(result => {
+  navigationProtectionEnabled = result.navigationProtectionEnabled === true;
+}).catch(() => {});
+
+/**
+ * Check a URL the user is navigating to, without network requests.
+ * @returns {Promise<{status: string, sources: string[], score: number, breakdown: object[]}|null>}
+ *   The scored result, or null if nothing matched.
+ */
+async function checkNavigationSafety(url) {
+  const normalizedUrl = url.toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/$/, '');
+  const domain = normalizedUrl.split('/')[0];
+  const hostname = domain.split(':')[0];
+  const evidence = [];
+
+  if (!isTrustedDomain(hostname) && await ensureBlocklistLoaded()) {
+    await loadPublicSuffixList();
+    if (!matchUrlRules(blocklistExceptions, normalizedUrl)) {
+      evidence.push(...findBlocklistEvidence(normalizedUrl, domain, hostname));
     }
+  }
 
-    // Return aggregated result with all sources
-    const resultObj = { status: finalStatus, sources: allSources };
-    console.log(`[Safety Check] Final result for ${url}: ${resultObj.status} (sources: ${allSources.join(', ')})`);
-    await setCachedResult(url, resultObj, 'safetyStatusCache');
-    return resultObj;
+  const patterns = await checkSuspiciousPatterns(url, domain, { offline: true, severity: 'unsafe' });
+  evidence.push(...patterns.map(pattern => ({
+    label: pattern.label,
+    key: `pattern:${pattern.severity}`,
+    reason: 'Suspicious pattern',
+    confidence: 1
+  })));
+
+  if (evidence.length === 0) return null;
+
+  // Any match stops the navigation; the score decides how strongly the page warns
+  const result = scoreSafetyEvidence(evidence, await getSafetyScoring());
+  return result.status === 'safe' ? { ...result, status: 'warning' } : result;
+}
+
+// Check a top-level navigation and send the tab to the warning page if it matches
+async function protectNavigation(tabId, url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (e) {
+    return;
+  }
+  try {
+    if (await isNavigationAllowed(tabId, hostname)) return;
+
+    const result = await checkNavigationSafety(url);
+    if (!result) return;
 
+    const { whitelistedUrls = [] } = await chrome.storage.local.get('whitelistedUrls');
+    if (whitelistedUrls.includes(hostname)) return;
+
+    console.log(`[Navigation Protection] Stopped ${url}: ${result.status}, score ${result.score} (sources: ${result.sources.join(', ')})`);
+    const warningUrl = `${chrome.runtime.getURL('interstitial.html')}?url=${encodeURIComponent(url)}&reason=${result.status}&from=navigation`;
+    await chrome.tabs.update(tabId, { url: warningUrl });
   } catch (error) {
-    console.error(`[Blocklist] Error checking URL safety:`, error);
-    const resultObj = { status: 'unknown', sources: [] };
-    await setCachedResult(url, resultObj, 'safetyStatusCache');
-    return resultObj;
+    console.error('[Navigation Protection] Check failed:', error);
   }
-};
+}
+
+const navigationStartUrls = new Map(); // tabId -> URL checked when its navigation started
+
+function isProtectedNavigation(details) {
+  return details.frameId === 0 && details.tabId >= 0 && /^https?:/i.test(details.url);
+}
+
+// The URL a navigation starts with (checked before the request is sent)
+chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
+  if (!isProtectedNavigation(details)) return;
+  await navigationProtectionReady;
+  if (!navigationProtectionEnabled) return;
+  navigationStartUrls.set(details.tabId, details.url);
+  await protectNavigation(details.tabId, details.url);
+});
+
+// The URL the tab ends up on: server-side redirects (shorteners, open redirects) never
+// pass through onBeforeNavigate, so check the committed URL when it differs
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  if (!isProtectedNavigation(details)) return;
+  await navigationProtectionReady;
+  if (!navigationProtectionEnabled) return;
+  const startUrl = navigationStartUrls.get(details.tabId);
+  navigationStartUrls.delete(details.tabId);
+  if (details.url === startUrl) return;
+  await protectNavigation(details.tabId, details.url);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  navigationStartUrls.delete(tabId);
+  updateNavigationAllowedHosts(allowed => {
+    delete allowed[tabId];
+  }).catch(error => {
+    console.error('[Navigation Protection] Failed to clear allowed hosts:', error);
+  });
+});
 
 // Listen for messages from the frontend
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -1530,6 +4865,162 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === "lookupArchivedCopy") {
+    const safeUrl = sanitizeUrl(request.url);
+    if (!safeUrl) {
+      sendResponse({ snapshot: null });
+      return true;
+    }
+    networkLimiter.run(() => lookupArchivedSnapshot(safeUrl, request.force === true))
+      .then(snapshot => sendResponse({ snapshot }))
+      .catch(() => sendResponse({ snapshot: null }));
+    return true;
+  }
+
+  if (request.action === "setWaybackApiUrl") {
+    setWaybackApiUrl(request.value).then(value => {
+      sendResponse({ success: true, value });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === "fetchPageTitle") {
+    const safeUrl = sanitizeUrl(request.url);
+    if (!safeUrl || isPrivilegedUrl(safeUrl)) {
+      sendResponse(null);
+      return true;
+    }
+    hostScheduler.run(safeUrl, () => networkLimiter.run(() => fetchPageTitles(safeUrl)))
+      .then(titles => sendResponse(titles))
+      .catch(() => sendResponse(null));
+    return true;
+  }
+
+  if (request.action === "markPageSeen") {
+    markPageSeen(request.url).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === "setDomainLifecycleSettings") {
+    setDomainLifecycleSettings(request);
+    sendResponse({ success: true, ...domainLifecycleSettings });
+    return true;
+  }
+
+  if (request.action === "getSecurityAlerts") {
+    Promise.all([chrome.storage.local.get('securityAlerts'), getSecurityAlertTypes()]).then(([{ securityAlerts = [] }, types]) => {
+      sendResponse({ alerts: securityAlerts, types });
+    }).catch(error => {
+      sendResponse({ alerts: [], types: [], error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === "markSecurityAlertsRead") {
+    markSecurityAlertsRead(request.ids, request.read !== false).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === "clearStatusCaches") {
+    clearStatusCaches(['linkStatusCache', 'safetyStatusCache']).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === "clearSecurityAlerts") {
+    updateSecurityAlerts(() => []).then(() => {
+      chrome.notifications.getAll(notifications => {
+        Object.keys(notifications || {})
+          .filter(id => id.startsWith(SECURITY_ALERT_NOTIFICATION_PREFIX))
+          .forEach(id => chrome.notifications.clear(id));
+      });
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === "setSecurityAlertTypes") {
+    setSecurityAlertTypes(request.types).then(types => {
+      sendResponse({ success: true, types });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === "setNavigationProtection") {
+    navigationProtectionEnabled = request.enabled === true;
+    sendResponse({ success: true, enabled: navigationProtectionEnabled });
+    return true;
+  }
+
+  if (request.action === "checkNavigationSafety") {
+    checkNavigationSafety(request.url).then(result => {
+      sendResponse({ result });
+    }).catch(error => {
+      sendResponse({ result: null, error: error.message });
+    });
+    return true;
+  }
+
+  // The user chose to proceed from the warning page: let this tab through to the site
+  if (request.action === "allowNavigation") {
+    const tabId = sender.tab?.id;
+    let hostname;
+    try {
+      hostname = new URL(request.url).hostname;
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+      return true;
+    }
+    if (tabId === undefined) {
+      sendResponse({ success: true });
+      return true;
+    }
+    // Reply once stored, so the navigation that follows is already let through
+    updateNavigationAllowedHosts(allowed => {
+      allowed[tabId] = [...new Set([...(allowed[tabId] || []), hostname])];
+    }).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === "setDeadConfirmation") {
+    setDeadConfirmation(request.failures, request.days);
+    sendResponse({ success: true, ...deadConfirmation });
+    return true;
+  }
+
+  if (request.action === "setHostConcurrency") {
+    hostScheduler.setMaxPerHost(request.value);
+    sendResponse({ success: true, value: hostScheduler.maxPerHost });
+    return true;
+  }
+
+  if (request.action === "setHostSpacing") {
+    hostScheduler.setSpacing(request.value);
+    sendResponse({ success: true, value: hostScheduler.spacingMs });
+    return true;
+  }
+
   if (request.action === "checkLinkStatus") {
     // Validate URL before checking
     const safeUrl = sanitizeUrl(request.url);
@@ -1542,8 +5033,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     /* [ZeroLabs] 2026-06-20 10:35 AM - edited: route through global limiter (DNS) */
     // Front-end auto-check uses this handler; without the limiter it bypassed the
     // global cap and flooded DNS. Share the same limiter as the background scan.
-    networkLimiter.run(() => checkLinkStatus(safeUrl, bypassCache)).then(status => {
-      sendResponse({ status });
+    checkLinkStatusPolitely(safeUrl, bypassCache).then(async status => {
+      if (status === 'live') await trackPageChange(safeUrl);
+      if (status === 'dead') await trackArchivedCopy(safeUrl);
+      if (status !== 'unknown') await trackDomainLifecycle(safeUrl);
+      const details = await getLinkCheckDetails(safeUrl);
+      sendResponse({ status, ...details });
     });
     return true; // Required to indicate an asynchronous response.
   }
@@ -1563,7 +5058,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (typeof result === 'string') {
         sendResponse({ status: result, sources: [] });
       } else {
-        sendResponse({ status: result.status, sources: result.sources || [] });
+        sendResponse({ status: result.status, sources: result.sources || [], score: result.score, breakdown: result.breakdown || [] });
       }
     });
     return true; // Required to indicate an asynchronous response.
@@ -1592,6 +5087,114 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === "getBlocklistSources") {
+    Promise.all([getBlocklistSources(), getBlocklistSourceHealth()])
+      .then(([sources, health]) => sendResponse({ sources, health, formats: BLOCKLIST_FORMATS }))
+      .catch(error => sendResponse({ sources: [], error: error.message }));
+    return true;
+  }
+
+  if (request.action === "saveBlocklistSource") {
+    saveCustomBlocklistSource(request.source || {}, request.content)
+      .then(source => sendResponse({ success: true, source }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === "removeBlocklistSource") {
+    removeCustomBlocklistSource(request.id)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === "setBlocklistSourceEnabled") {
+    setBlocklistSourceEnabled(request.id, request.enabled === true)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === "refreshBlocklistSource") {
+    refreshBlocklistSource(request.id)
+      .then(health => sendResponse({ success: true, health }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === "getSafetyScoring") {
+    getSafetyScoring()
+      .then(scoring => sendResponse(scoring))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === "saveSafetyScoring") {
+    saveSafetyScoring(request.settings || {})
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === "getSuspiciousPatternRules") {
+    getSuspiciousPatternRules()
+      .then(({ rules, custom }) => sendResponse({ rules, custom, types: SUSPICIOUS_RULE_TYPES, severities: SUSPICIOUS_SEVERITIES }))
+      .catch(error => sendResponse({ rules: [], error: error.message }));
+    return true;
+  }
+
+  if (request.action === "saveSuspiciousPatternRules") {
+    saveSuspiciousPatternRules(request.rules)
+      .then(rules => sendResponse({ success: true, rules }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === "resetSuspiciousPatternRules") {
+    resetSuspiciousPatternRules()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Download the Safe Browsing hash-prefix lists (if due) and report what is stored on the device
+  if (request.action === "syncSafeBrowsingLists") {
+    (async () => {
+      const apiKey = await getDecryptedApiKey('googleSafeBrowsingApiKey');
+      const { apiUrl } = await getSafeBrowsingSettings();
+      if (apiKey && apiKey.trim() !== '') {
+        await ensureSafeBrowsingLists(apiKey, apiUrl);
+        if (safeBrowsingUpdatePromise) await safeBrowsingUpdatePromise;
+      }
+      return getSafeBrowsingListStatus();
+    })()
+      .then(status => sendResponse({ success: true, ...status }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === "getSafetyProviders") {
+    getSafetyProviders()
+      .then(providers => sendResponse({ success: true, providers }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === "saveSafetyProviders") {
+    saveSafetyProviders(request)
+      .then(() => getSafetyProviders())
+      .then(providers => sendResponse({ success: true, providers }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === "getApiQuotaStatus") {
+    getApiQuotaStatus()
+      .then(quotas => sendResponse({ success: true, quotas }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   if (request.action === "isBlocklistLoading") {
     sendResponse({ isLoading: blocklistLoading });
     return true;
@@ -1611,9 +5214,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "ensureBlocklistReady") {
     // Trigger blocklist update if needed, then wait for it to be ready
     (async () => {
-      const now = Date.now();
-      if (!isSameDay(now, blocklistLastUpdate) || maliciousUrlsSet.size === 0) {
-        console.log('[Blocklist] Ensuring database is up to date (stale or empty)...');
+      await ensureBlocklistLoaded();
+      if (isBlocklistUpdateDue()) {
+        console.log('[Blocklist] Ensuring database is up to date (source due or empty)...');
         await updateBlocklistDatabase();
       } else {
         console.log('[Blocklist] Using cached data from today');
@@ -1622,7 +5225,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           type: 'blocklistComplete',
           domains: maliciousUrlsSet.size,
           totalEntries: maliciousUrlsSet.size,
-          sources: BLOCKLIST_SOURCES.length
+          sources: (await getEnabledBlocklistSources()).length
         }).catch(() => {}); // Ignore if no listeners
       }
 
@@ -1684,10 +5287,6 @@ async function startBackgroundScan(options = {}) {
     return { success: false, message: 'Scan already in progress' };
   }
 
-  // Reset rate limiting for new scan
-  virusTotalRateLimited = false;
-  console.log('[VirusTotal] Rate limit reset for new scan');
-
   try {
     // Get user settings
     const settings = await chrome.storage.local.get(['linkCheckingEnabled', 'safetyCheckingEnabled']);
@@ -1701,14 +5300,16 @@ async function startBackgroundScan(options = {}) {
 
     if (bypassCache) {
         console.log('[Background Scan] Bypassing cache for rescan');
-        await chrome.storage.local.remove(['linkStatusCache', 'safetyStatusCache']);
+        // Link entries are kept: they carry the failure history used to confirm
+        // dead links, and each check overwrites its own entry anyway
+        await clearStatusCaches(['safetyStatusCache']);
     }
 
     // Ensure blocklist database is ready (triggers update if needed, then waits for completion)
     // This prevents all bookmarks from getting 'unknown' safety status
-    const now = Date.now();
-    if (!isSameDay(now, blocklistLastUpdate) || maliciousUrlsSet.size === 0) {
-      console.log('[Background Scan] Ensuring blocklist database is up to date (stale or empty)...');
+    await ensureBlocklistLoaded();
+    if (isBlocklistUpdateDue()) {
+      console.log('[Background Scan] Ensuring blocklist database is up to date (source due or empty)...');
       chrome.runtime.sendMessage({
         type: 'scanStatus',
         message: 'Loading security database...'
@@ -1811,6 +5412,24 @@ function queueResult(result) {
   }
 }
 
+// Take up to size bookmarks off the scan queue, leaving those whose host is backed off
+// (Retry-After) for later so they don't hold up the rest of the batch
+function takeScanBatch(size) {
+  const queue = backgroundScanState.bookmarksQueue;
+  if (!backgroundScanState.linkCheckingEnabled) {
+    return queue.splice(0, size);
+  }
+  const batch = [];
+  for (let i = 0; i < queue.length && batch.length < size; ) {
+    if (hostScheduler.getBackoffRemaining(queue[i].url) === 0) {
+      batch.push(...queue.splice(i, 1));
+    } else {
+      i++;
+    }
+  }
+  return batch;
+}
+
 // Process the background scan queue in batches
 async function processBackgroundScanQueue() {
   const BATCH_SIZE = 10;
@@ -1818,7 +5437,14 @@ async function processBackgroundScanQueue() {
 
   while (backgroundScanState.bookmarksQueue.length > 0 && !backgroundScanState.isCancelled) {
     // Get next batch
-    const batch = backgroundScanState.bookmarksQueue.splice(0, BATCH_SIZE);
+    const batch = takeScanBatch(BATCH_SIZE);
+
+    // Only backed-off hosts left: wait for the first one to come back (in short steps so Stop is quick)
+    if (batch.length === 0) {
+      const wait = Math.min(...backgroundScanState.bookmarksQueue.map(bookmark => hostScheduler.getBackoffRemaining(bookmark.url)));
+      await new Promise(resolve => setTimeout(resolve, Math.max(BATCH_DELAY, Math.min(wait, 1000))));
+      continue;
+    }
 
     // Process batch in parallel
     const checkPromises = batch.map(async (bookmark) => {
@@ -1840,23 +5466,37 @@ async function processBackgroundScanQueue() {
         console.log(`[Scan] Starting check for: ${bookmark.title} (${backgroundScanState.scannedCount + 1}/${backgroundScanState.totalBookmarks})`);
 
         const checks = [];
+        const attempts = bookmark.rateLimitAttempts || 0;
 
-        // Check link status
+        // Check link status (per-host scheduling, re-queued below if the host rate limits us)
         if (backgroundScanState.linkCheckingEnabled) {
           checks.push(
-            networkLimiter.run(async () => {
-              result.linkStatus = await checkLinkStatus(bookmark.url, backgroundScanState.bypassCache);
+            scheduleLinkCheck(bookmark.url, backgroundScanState.bypassCache, { skipIfBackedOff: true }).then(async linkStatus => {
+              result.linkStatus = linkStatus;
+              if (linkStatus !== 'rate-limited' && linkStatus !== 'host-backed-off') {
+                if (linkStatus === 'live') await trackPageChange(bookmark.url);
+                if (linkStatus === 'dead') await trackArchivedCopy(bookmark.url);
+                if (linkStatus !== 'unknown') await trackDomainLifecycle(bookmark.url);
+                Object.assign(result, await getLinkCheckDetails(bookmark.url));
+              }
             })
           );
         }
 
-        // Check safety status
-        if (backgroundScanState.safetyCheckingEnabled) {
+        // Check safety status (skipped when a re-queued bookmark already has it)
+        if (bookmark.pendingSafety) {
+          result.safetyStatus = bookmark.pendingSafety.status;
+          result.safetySources = bookmark.pendingSafety.sources;
+          result.safetyScore = bookmark.pendingSafety.score;
+          result.safetyBreakdown = bookmark.pendingSafety.breakdown;
+        } else if (backgroundScanState.safetyCheckingEnabled) {
           checks.push(
             networkLimiter.run(async () => {
               const safetyResult = await checkURLSafety(bookmark.url, backgroundScanState.bypassCache);
               result.safetyStatus = safetyResult.status;
               result.safetySources = safetyResult.sources;
+              result.safetyScore = safetyResult.score;
+              result.safetyBreakdown = safetyResult.breakdown;
             })
           );
         }
@@ -1864,6 +5504,25 @@ async function processBackgroundScanQueue() {
         // Wait for both to complete
         await Promise.all(checks);
 
+        // Host answered 429/503 (or another check of it just did): put the bookmark back at the
+        // end of the queue instead of recording a failure. takeScanBatch skips it until the
+        // host's Retry-After passes. A host that keeps refusing leaves the link unchecked.
+        const rateLimited = result.linkStatus === 'rate-limited';
+        if (rateLimited && attempts + 1 >= MAX_RATE_LIMIT_ATTEMPTS) {
+          console.log(`[Scan] ${bookmark.url} still rate limited after ${MAX_RATE_LIMIT_ATTEMPTS} attempts, leaving it unchecked`);
+          result.linkStatus = 'unknown';
+        } else if (rateLimited || result.linkStatus === 'host-backed-off') {
+          backgroundScanState.checkedBookmarks.delete(bookmark.id);
+          backgroundScanState.bookmarksQueue.push({
+            ...bookmark,
+            rateLimitAttempts: attempts + (rateLimited ? 1 : 0),
+            pendingSafety: result.safetyStatus
+              ? { status: result.safetyStatus, sources: result.safetySources, score: result.safetyScore, breakdown: result.safetyBreakdown }
+              : null
+          });
+          return null;
+        }
+
         console.log(`[Scan] Completed check for: ${bookmark.title}`);
 
         backgroundScanState.scannedCount++;
@@ -0,0 +1,211 @@
+// Warning page shown instead of a bookmark whose last check flagged it (see getInterstitialUrl in
+// sidepanel.js). interstitial.html?url=<bookmark URL>&reason=unsafe|warning|dead|parked
+// Everything shown comes from the caches the scans write to chrome.storage.local.
+// Live navigation protection (background.js) also sends pages here with &from=navigation; their
+// findings come from the background's on-device check instead.
+
+const params = new URLSearchParams(location.search);
+const targetUrl = params.get('url') || '';
+const reason = params.get('reason') || 'unsafe';
+const fromNavigation = params.get('from') === 'navigation';
+
+const VERDICTS = {
+  unsafe: {
+    title: 'This bookmark was flagged as unsafe',
+    summary: 'Safety checks found this site on malware or phishing lists. Opening it may put your device or accounts at risk.'
+  },
+  warning: {
+    title: 'This bookmark looks suspicious',
+    summary: 'Some safety checks flagged this site. It may be harmless, but check the findings below before opening it.'
+  },
+  dead: {
+    title: 'This bookmark appears to be dead',
+    summary: 'The last link checks could not reach this page. An archived copy may still be available.'
+  },
+  parked: {
+    title: 'This bookmark points to a parked domain',
+    summary: 'The domain now shows a parking or for-sale page, so the original site is probably gone.'
+  }
+};
+
+const NAVIGATION_VERDICTS = {
+  unsafe: {
+    title: 'This site was blocked as unsafe',
+    summary: 'The page you were opening is on a malware or phishing blocklist. Opening it may put your device or accounts at risk.'
+  },
+  warning: {
+    title: 'This site may not be safe',
+    summary: 'The page you were opening matched a blocklist or suspicious pattern rule. It may be harmless, but check the findings below before opening it.'
+  }
+};
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'unknown date';
+}
+
+function addListItem(list, text, detail) {
+  const item = document.createElement('li');
+  item.textContent = text;
+  if (detail) {
+    const detailDiv = document.createElement('div');
+    detailDiv.className = 'detail';
+    detailDiv.textContent = detail;
+    item.appendChild(detailDiv);
+  }
+  list.appendChild(item);
+}
+
+function showEmpty(list, text) {
+  const item = document.createElement('li');
+  item.className = 'empty';
+  item.textContent = text;
+  list.appendChild(item);
+}
+
+// Leave the page: back to where the user came from, or close the tab if it was opened for the bookmark
+function goBack() {
+  if (history.length > 1) {
+    history.back();
+  } else {
+    chrome.tabs.getCurrent(tab => {
+      if (tab) chrome.tabs.remove(tab.id);
+    });
+  }
+}
+
+// Tell live navigation protection to let this tab through, then open the site
+async function proceed() {
+  try {
+    await chrome.runtime.sendMessage({ action: 'allowNavigation', url: targetUrl });
+  } catch (error) {
+    // Protection isn't listening; nothing to allow
+  }
+  location.replace(targetUrl);
+}
+
+async function openArchivedCopy(snapshot) {
+  const status = document.getElementById('archiveStatus');
+  const button = document.getElementById('archiveBtn');
+  if (!snapshot) {
+    button.disabled = true;
+    status.textContent = 'Looking for an archived copy...';
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'lookupArchivedCopy', url: targetUrl });
+      snapshot = response?.snapshot || null;
+    } catch (error) {
+      snapshot = null;
+    }
+  }
+  if (!snapshot) {
+    status.textContent = 'No archived copy of this page was found.';
+    return;
+  }
+  location.replace(snapshot.url);
+}
+
+// Add the site to the whitelist the side panel uses, then open it
+async function whitelistSite() {
+  const hostname = new URL(targetUrl).hostname;
+  if (!confirm(`Add "${hostname}" to whitelist?\n\nWhitelisted sites are marked as safe regardless of security scan results.\n\nOnly whitelist sites you trust completely.`)) {
+    return;
+  }
+  const { whitelistedUrls = [] } = await chrome.storage.local.get('whitelistedUrls');
+  if (!whitelistedUrls.includes(hostname)) {
+    await chrome.storage.local.set({ whitelistedUrls: [...whitelistedUrls, hostname] });
+  }
+  proceed();
+}
+
+async function init() {
+  let parsed;
+  try {
+    parsed = new URL(targetUrl);
+  } catch (error) {
+    parsed = null;
+  }
+  // Only web pages can be opened from here (the page must not become a redirect to anything else)
+  if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+    document.getElementById('verdictTitle').textContent = 'Invalid bookmark URL';
+    document.querySelector('.actions').style.display = 'none';
+    return;
+  }
+
+  const verdicts = fromNavigation ? NAVIGATION_VERDICTS : VERDICTS;
+  const verdict = verdicts[reason] || verdicts.unsafe;
+  document.title = `${verdict.title} - Bookmark Manager Zero`;
+  document.getElementById('verdict').classList.add(`verdict-${verdicts[reason] ? reason : 'unsafe'}`);
+  document.getElementById('verdictTitle').textContent = verdict.title;
+  document.getElementById('verdictSummary').textContent = verdict.summary;
+  document.getElementById('targetUrl').textContent = targetUrl;
+
+  const stored = await chrome.storage.local.get(['safetyStatusCache', 'linkStatusCache', 'safetyHistory', 'archivedSnapshots']);
+  let safety = stored.safetyStatusCache?.[targetUrl]?.result;
+  if (fromNavigation) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'checkNavigationSafety', url: targetUrl });
+      safety = response?.result || safety;
+    } catch (error) {
+      // Fall back to the scan cache
+    }
+  }
+  const link = stored.linkStatusCache?.[targetUrl];
+  const snapshot = stored.archivedSnapshots?.[targetUrl]?.snapshot || null;
+
+  // Flagged sources with the points each added to the risk score
+  const sourcesList = document.getElementById('sourcesList');
+  const breakdown = (safety?.breakdown || []).filter(item => !item.note);
+  if (breakdown.length > 0) {
+    breakdown.forEach(item => addListItem(sourcesList, `${item.source} (+${item.points})`, item.reason));
+    if (safety.score !== undefined) {
+      addListItem(sourcesList, `Risk score: ${safety.score}/100`);
+    }
+  } else if (safety?.sources?.length > 0) {
+    safety.sources.forEach(source => addListItem(sourcesList, source));
+  } else if (reason === 'unsafe' || reason === 'warning') {
+    showEmpty(sourcesList, 'No details recorded for the last check.');
+  } else {
+    document.getElementById('sourcesSection').style.display = 'none';
+  }
+
+  if (link && (reason === 'dead' || reason === 'parked')) {
+    const linkDetails = document.getElementById('linkDetails');
+    document.getElementById('linkSection').style.display = '';
+    addListItem(linkDetails, `Last checked ${formatDate(link.timestamp)}: ${link.result}`);
+    if (link.parkedRule) {
+      addListItem(linkDetails, 'Parking page detected', link.parkedRule.description);
+    }
+    if (link.linkDetail?.httpStatus) {
+      addListItem(linkDetails, `HTTP ${link.linkDetail.httpStatus}`, link.linkDetail.errorClass);
+    } else if (link.linkDetail?.errorClass) {
+      addListItem(linkDetails, link.linkDetail.errorClass, link.linkDetail.netError);
+    }
+    if (link.failureHistory) {
+      addListItem(linkDetails, `Failed ${link.failureHistory.count} checks in a row`,
+        `First failure: ${formatDate(link.failureHistory.firstFailureAt)}`);
+    }
+  }
+
+  // Status changes recorded by the side panel, newest first
+  const historyList = document.getElementById('historyList');
+  const history = stored.safetyHistory?.[targetUrl] || [];
+  if (history.length > 0) {
+    [...history].reverse().forEach(entry => {
+      addListItem(historyList, `${formatDate(entry.timestamp)}: ${entry.status}`,
+        entry.sources?.length ? entry.sources.join(', ') : '');
+    });
+  } else {
+    showEmpty(historyList, 'No status changes recorded yet.');
+  }
+
+  // Trusting a site only overrides safety checks, not dead or parked links
+  if (reason === 'dead' || reason === 'parked') {
+    document.getElementById('whitelistBtn').style.display = 'none';
+  }
+
+  document.getElementById('goBackBtn').addEventListener('click', goBack);
+  document.getElementById('proceedBtn').addEventListener('click', proceed);
+  document.getElementById('archiveBtn').addEventListener('click', () => openArchivedCopy(snapshot));
+  document.getElementById('whitelistBtn').addEventListener('click', whitelistSite);
+}
+
+init();
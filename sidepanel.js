@@ -3398,6 +3398,7 @@ function releaseFocusTrap() {
 let bookmarkTree = [];
 let searchTerm = '';
 let activeFilters = [];
+let sortByRiskScore = localStorage.getItem('sortByRiskScore') === 'true'; // Highest risk score first within each folder
 let expandedFolders = new Set();
 let folderScanTimestamps = {}; // Track when each folder was last scanned
 const FOLDER_SCAN_CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
@@ -3440,6 +3441,8 @@ async function cancelAllScans() {
 let linkCheckingEnabled = true; // Toggle for link checking
 let safetyCheckingEnabled = true; // Toggle for safety checking
 let whitelistedUrls = new Set(); // URLs whitelisted by user
+let interstitialSettings = { enabled: true, deadLinks: false }; // Warning page before opening flagged bookmarks
+let watchedBookmarkIds = new Set(); // Bookmark and folder IDs watched for page changes
 let safetyHistory = {}; // Track safety status changes over time {url: [{timestamp, status, sources}]}
 let selectedBookmarkIndex = -1; // Currently selected bookmark for keyboard navigation
 let visibleBookmarks = []; // Flat list of visible bookmarks for keyboard navigation
@@ -3681,17 +3684,27 @@ function updateBookmarkElementStatus(bookmarkId, updates) {
   const bookmark = findBookmarkInTree(bookmarkTree, bookmarkId);
   if (!bookmark) return;
 
+  if (updates.linkStatus) {
+    bookmarkElement.classList.toggle('link-possibly-dead', updates.linkStatus === 'possibly-dead');
+
+    const titleElement = bookmarkElement.querySelector('.bookmark-title');
+    if (titleElement) {
+      titleElement.querySelectorAll('.domain-badge, .page-updated-badge').forEach(badge => badge.remove());
+      titleElement.insertAdjacentHTML('afterbegin', getTitleBadgesHtml(bookmark));
+    }
+  }
+
   // Update status indicators container (for list view)
   const statusIndicatorsContainer = bookmarkElement.querySelector('.status-indicators');
   if (statusIndicatorsContainer && (displayOptions.safetyStatus || displayOptions.liveStatus)) {
     let statusHtml = '';
 
     if (displayOptions.safetyStatus && updates.safetyStatus) {
-      statusHtml += getShieldHtml(updates.safetyStatus, bookmark.url, updates.safetySources || []);
+      statusHtml += getShieldHtml(updates.safetyStatus, bookmark.url, updates.safetySources || [], updates);
     }
 
     if (displayOptions.liveStatus && updates.linkStatus) {
-      statusHtml += getStatusDotHtml(updates.linkStatus, bookmark.url);
+      statusHtml += getStatusDotHtml(updates.linkStatus, bookmark.url, bookmark);
     }
 
     statusIndicatorsContainer.innerHTML = statusHtml;
@@ -3702,7 +3715,7 @@ function updateBookmarkElementStatus(bookmarkId, updates) {
   if (topRow) {
     // Update shield in top row
     if (displayOptions.safetyStatus && updates.safetyStatus) {
-      const shieldHtml = getShieldHtml(updates.safetyStatus, bookmark.url, updates.safetySources || []);
+      const shieldHtml = getShieldHtml(updates.safetyStatus, bookmark.url, updates.safetySources || [], updates);
       const shieldContainer = topRow.querySelector('.shield-indicator');
       if (shieldContainer) {
         const tempDiv = document.createElement('div');
@@ -3716,7 +3729,7 @@ function updateBookmarkElementStatus(bookmarkId, updates) {
 
     // Update link status in top row
     if (displayOptions.liveStatus && updates.linkStatus) {
-      const linkStatusHtml = getStatusDotHtml(updates.linkStatus, bookmark.url);
+      const linkStatusHtml = getStatusDotHtml(updates.linkStatus, bookmark.url, bookmark);
       const linkStatusContainer = topRow.querySelector('.status-icon');
       if (linkStatusContainer) {
         const tempDiv = document.createElement('div');
@@ -3730,6 +3743,25 @@ function updateBookmarkElementStatus(bookmarkId, updates) {
   }
 }
 
+// Human-readable transfer size
+function formatTransferSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+// Summary of one blocklist source in a progress message
+function formatBlocklistTransfer(message) {
+  const seconds = `${((message.durationMs || 0) / 1000).toFixed(1)}s`;
+  switch (message.outcome) {
+    case 'downloaded': return `${formatTransferSize(message.bytes || 0)} in ${seconds}`;
+    case 'not-modified': return `not modified (${seconds})`;
+    case 'cached': return 'up to date';
+    case 'file': return 'uploaded file';
+    default: return `failed after ${seconds}`;
+  }
+}
+
 //// Setup listener for blocklist download and background scan progress messages from background script
 function setupBlocklistProgressListener() {
   chrome.runtime.onMessage.addListener((message) => {
@@ -3738,14 +3770,18 @@ function setupBlocklistProgressListener() {
       if (message.status === 'starting') {
         setScanningStatus('blocklist-download', 'Downloading blocklists...');
       } else if (message.status === 'downloading') {
-        setScanningStatus('blocklist-download', `Downloading blocklists... (${message.current}/${message.total})`);
+        setScanningStatus('blocklist-download', `Downloading blocklists... (${message.current}/${message.total}) ${message.sourceName}`);
+      } else if (message.status === 'source-done') {
+        // Per-source result: transfer size and time, or why nothing was downloaded
+        setScanningStatus('blocklist-download', `Blocklists (${message.current}/${message.total}): ${message.sourceName} - ${formatBlocklistTransfer(message)}`);
       }
-      console.log(`[Blocklist Progress] ${message.current}/${message.total}${message.sourceName ? ` - ${message.sourceName}` : ''}`);
+      console.log(`[Blocklist Progress] ${message.current}/${message.total}${message.sourceName ? ` - ${message.sourceName}` : ''}${message.status === 'source-done' ? `: ${formatBlocklistTransfer(message)}` : ''}`);
     } else if (message.type === 'blocklistComplete') {
       // Clear blocklist download operation
       clearScanningStatus('blocklist-download');
+      updateBlocklistSourcesWarning();
 
-      console.log(`[Blocklist Complete] ${message.domains.toLocaleString()} unique domains from ${message.totalEntries.toLocaleString()} entries (${message.sources} sources)`);
+      console.log(`[Blocklist Complete] ${message.domains.toLocaleString()} unique domains from ${message.totalEntries.toLocaleString()} entries (${message.sources} sources, ${formatTransferSize(message.bytes || 0)} transferred)`);
     }
     // Background scan messages
     else if (message.type === 'scanStarted') {
@@ -3767,10 +3803,13 @@ function setupBlocklistProgressListener() {
         const updates = {};
         if (result.linkStatus) {
           updates.linkStatus = result.linkStatus;
+          Object.assign(updates, pickLinkDetails(result));
         }
         if (result.safetyStatus) {
           updates.safetyStatus = result.safetyStatus;
           updates.safetySources = result.safetySources || [];
+          updates.safetyScore = result.safetyScore ?? null;
+          updates.safetyBreakdown = result.safetyBreakdown || [];
         }
         updateBookmarkInTree(result.id, updates);
 
@@ -3824,8 +3863,11 @@ async function init() {
   loadGuiScale();
   loadCheckingSettings();
   loadScanConcurrency();
+  loadDomainLifecycleSettings();
   await loadSetupCardFlag();
   await loadWhitelist();
+  await loadInterstitialSettings();
+  await loadWatchedBookmarks();
   await loadSafetyHistory();
   await loadFolderScanTimestamps();
   await loadAutoClearSetting();
@@ -3853,6 +3895,8 @@ async function init() {
   await expandToDefaultFolder();
   setupEventListeners();
   setupBlocklistProgressListener();
+  updateBlocklistSourcesWarning();
+  updateSecurityAlertsUnread();
   renderBookmarks();
 
   // Check if background scan is in progress and sync UI
@@ -4288,6 +4332,125 @@ async function loadScanConcurrency() {
   // Push saved values to the background limiter (covers SW restarts)
   chrome.runtime.sendMessage({ action: 'setScanConcurrency', value: concurrency }).catch(() => {});
   chrome.runtime.sendMessage({ action: 'setScanJitter', value: jitter }).catch(() => {});
+
+  // Per-host politeness (matches background.js MAX_CONCURRENT_PER_HOST / HOST_SPACING_MS)
+  let hostConcurrency = 2;
+  let hostSpacing = 250;
+  try {
+    const result = await chrome.storage.local.get(['hostConcurrency', 'hostSpacing']);
+    if (result.hostConcurrency) hostConcurrency = result.hostConcurrency;
+    if (result.hostSpacing !== undefined) hostSpacing = result.hostSpacing;
+  } catch (e) {}
+
+  const hSlider = document.getElementById('hostConcurrencySlider');
+  const hLabel = document.getElementById('hostConcurrencyValue');
+  if (hSlider) hSlider.value = hostConcurrency;
+  if (hLabel) hLabel.textContent = hostConcurrency;
+
+  const sSlider = document.getElementById('hostSpacingSlider');
+  const sLabel = document.getElementById('hostSpacingValue');
+  if (sSlider) sSlider.value = hostSpacing;
+  if (sLabel) sLabel.textContent = hostSpacing + 'ms';
+
+  chrome.runtime.sendMessage({ action: 'setHostConcurrency', value: hostConcurrency }).catch(() => {});
+  chrome.runtime.sendMessage({ action: 'setHostSpacing', value: hostSpacing }).catch(() => {});
+
+  // Confirmed-dead mode (matches background.js DEFAULT_DEAD_CONFIRM_FAILURES / _DAYS)
+  try {
+    const result = await chrome.storage.local.get(['deadConfirmFailures', 'deadConfirmDays']);
+    if (result.deadConfirmFailures) deadConfirmSettings.failures = result.deadConfirmFailures;
+    if (result.deadConfirmDays !== undefined) deadConfirmSettings.days = result.deadConfirmDays;
+  } catch (e) {}
+  updateDeadConfirmLabels();
+
+  chrome.runtime.sendMessage({ action: 'setDeadConfirmation', ...deadConfirmSettings }).catch(() => {});
+}
+
+// Load the warning page settings
+async function loadInterstitialSettings() {
+  try {
+    const result = await chrome.storage.local.get(['interstitialEnabled', 'interstitialForDeadLinks', 'navigationProtectionEnabled']);
+    interstitialSettings.enabled = result.interstitialEnabled !== false;
+    interstitialSettings.deadLinks = result.interstitialForDeadLinks === true;
+    const navigationCheckbox = document.getElementById('enableNavigationProtection');
+    if (navigationCheckbox) navigationCheckbox.checked = result.navigationProtectionEnabled === true;
+  } catch (e) {}
+
+  const enabledCheckbox = document.getElementById('enableInterstitial');
+  const deadLinksCheckbox = document.getElementById('interstitialDeadLinks');
+  if (enabledCheckbox) enabledCheckbox.checked = interstitialSettings.enabled;
+  if (deadLinksCheckbox) deadLinksCheckbox.checked = interstitialSettings.deadLinks;
+}
+
+// Load the domain lifecycle check settings (chrome.storage so the background can read them)
+async function loadDomainLifecycleSettings() {
+  let settings = {};
+  try {
+    settings = await chrome.storage.local.get(['domainCheckEnabled', 'dohResolverUrl', 'rdapEndpointUrl']);
+  } catch (e) {}
+
+  const checkbox = document.getElementById('enableDomainChecks');
+  if (checkbox) checkbox.checked = settings.domainCheckEnabled === true;
+
+  chrome.runtime.sendMessage({
+    action: 'setDomainLifecycleSettings',
+    enabled: settings.domainCheckEnabled === true,
+    dohResolver: settings.dohResolverUrl || '',
+    rdapEndpoint: settings.rdapEndpointUrl || ''
+  }).catch(() => {});
+}
+
+// Prompt for a service endpoint URL (DoH resolver, RDAP, Wayback API) and save it.
+// Blank restores the default. Returns the saved value ('' = default), or null if cancelled/invalid.
+async function promptEndpointUrl(storageKey, label, defaultUrl, hint, save = null) {
+  const stored = await chrome.storage.local.get(storageKey);
+  const current = stored[storageKey] || defaultUrl;
+  const input = prompt(`${label}:\n\n${hint}\nCurrently: ${current}\n\nLeave blank to use the default (${defaultUrl}).`, stored[storageKey] || '');
+  if (input === null) return null;
+
+  const value = input.trim();
+  if (value) {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (e) {
+      alert(`Invalid URL: ${value}`);
+      return null;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      alert('Only HTTP and HTTPS URLs are allowed.');
+      return null;
+    }
+  }
+
+  // The background worker validates and stores settings it owns itself
+  if (save) {
+    const response = await save(value);
+    if (!response?.success) {
+      alert(response?.error || `Failed to save ${label}.`);
+      return null;
+    }
+  } else if (value) {
+    await chrome.storage.local.set({ [storageKey]: value });
+  } else {
+    await chrome.storage.local.remove(storageKey);
+  }
+  return value;
+}
+
+// Link failures needed before a bookmark is confirmed dead (shown in possibly-dead tooltips)
+const deadConfirmSettings = { failures: 3, days: 2 };
+
+function updateDeadConfirmLabels() {
+  const fSlider = document.getElementById('deadConfirmFailuresSlider');
+  const fLabel = document.getElementById('deadConfirmFailuresValue');
+  if (fSlider) fSlider.value = deadConfirmSettings.failures;
+  if (fLabel) fLabel.textContent = `${deadConfirmSettings.failures} failure${deadConfirmSettings.failures === 1 ? '' : 's'}`;
+
+  const dSlider = document.getElementById('deadConfirmDaysSlider');
+  const dLabel = document.getElementById('deadConfirmDaysValue');
+  if (dSlider) dSlider.value = deadConfirmSettings.days;
+  if (dLabel) dLabel.textContent = `${deadConfirmSettings.days} day${deadConfirmSettings.days === 1 ? '' : 's'}`;
 }
 
 // Apply zoom
@@ -4369,8 +4532,11 @@ async function loadBookmarks() {
         if (node.id && (node.linkStatus || node.safetyStatus)) {
           statusMap.set(node.id, {
             linkStatus: node.linkStatus,
+            ...pickLinkDetails(node),
             safetyStatus: node.safetyStatus,
-            safetySources: node.safetySources
+            safetySources: node.safetySources,
+            safetyScore: node.safetyScore,
+            safetyBreakdown: node.safetyBreakdown
           });
         }
         if (node.children) {
@@ -4420,9 +4586,11 @@ function isValidCache(cached) {
 async function restoreCachedBookmarkStatuses() {
   try {
     // Load both caches from storage
-    const result = await chrome.storage.local.get(['linkStatusCache', 'safetyStatusCache']);
+    const result = await chrome.storage.local.get(['linkStatusCache', 'safetyStatusCache', 'pageChangeState', 'archivedSnapshots']);
     const linkCache = result.linkStatusCache || {};
     const safetyCache = result.safetyStatusCache || {};
+    const pageChangeState = result.pageChangeState || {};
+    const archivedSnapshots = result.archivedSnapshots || {};
 
     let restored = 0;
 
@@ -4436,6 +4604,7 @@ async function restoreCachedBookmarkStatuses() {
             if (whitelistedUrls.has(hostname)) {
               node.safetyStatus = 'safe';
               node.safetySources = ['Whitelisted by user'];
+              node.safetyScore = null;
               node.linkStatus = node.linkStatus || 'unknown'; // Keep existing link status if present
               restored++;
             }
@@ -4448,16 +4617,31 @@ async function restoreCachedBookmarkStatuses() {
             const linkCached = linkCache[node.url];
             if (linkCached && isValidCache(linkCached)) {
               node.linkStatus = linkCached.result;
+              Object.assign(node, pickLinkDetails(linkCached));
               restored++;
             }
           }
 
+          // Page change state of watched bookmarks (not a TTL cache)
+          const pageChange = pageChangeState[node.url];
+          if (pageChange && !node.pageChange) {
+            node.pageChange = { updated: pageChange.result === 'updated', changedAt: pageChange.changedAt, checkedAt: pageChange.checkedAt };
+          }
+
+          // Wayback snapshot found for a dead bookmark (kept after the lookup result expires)
+          const archived = archivedSnapshots[node.url];
+          if (archived?.snapshot && !node.archivedSnapshot) {
+            node.archivedSnapshot = archived.snapshot;
+          }
+
           // Check safety status cache (only if not whitelisted)
           if (!node.safetyStatus) {
             const safetyCached = safetyCache[node.url];
             if (safetyCached && isValidCache(safetyCached)) {
               node.safetyStatus = safetyCached.result?.status || safetyCached.result;
               node.safetySources = safetyCached.result?.sources || [];
+              node.safetyScore = safetyCached.result?.score ?? null;
+              node.safetyBreakdown = safetyCached.result?.breakdown || [];
               restored++;
             }
           }
@@ -4632,13 +4816,17 @@ async function scanAllBookmarksForced() {
         const result = { id: node.id };
 
         if (linkCheckingEnabled) {
-          result.linkStatus = await checkLinkStatus(node.url, true); // Bypass cache for rescan
+          const linkResult = await checkLinkStatus(node.url, true); // Bypass cache for rescan
+          result.linkStatus = linkResult.status;
+          Object.assign(result, pickLinkDetails(linkResult));
         }
 
         if (safetyCheckingEnabled) {
           const safetyResult = await checkSafetyStatus(node.url, true); // Bypass cache for rescan
           result.safetyStatus = safetyResult.status;
           result.safetySources = safetyResult.sources;
+          result.safetyScore = safetyResult.score;
+          result.safetyBreakdown = safetyResult.breakdown;
         }
 
         return result;
@@ -4660,8 +4848,11 @@ async function scanAllBookmarksForced() {
     results.forEach((result) => {
       updateBookmarkInTree(result.id, {
         linkStatus: result.linkStatus,
+        ...pickLinkDetails(result),
         safetyStatus: result.safetyStatus,
-        safetySources: result.safetySources || []
+        safetySources: result.safetySources || [],
+        safetyScore: result.safetyScore ?? null,
+        safetyBreakdown: result.safetyBreakdown || []
       });
     });
 
@@ -4765,13 +4956,17 @@ async function autoCheckBookmarkStatuses() {
         const result = { id: item.id };
 
         if (linkCheckingEnabled) {
-          result.linkStatus = await checkLinkStatus(item.url);
+          const linkResult = await checkLinkStatus(item.url);
+          result.linkStatus = linkResult.status;
+          Object.assign(result, pickLinkDetails(linkResult));
         }
 
         if (safetyCheckingEnabled) {
           const safetyResult = await checkSafetyStatus(item.url);
           result.safetyStatus = safetyResult.status;
           result.safetySources = safetyResult.sources;
+          result.safetyScore = safetyResult.score;
+          result.safetyBreakdown = safetyResult.breakdown;
         }
 
         // Update progress immediately after each bookmark completes
@@ -4802,8 +4997,11 @@ async function autoCheckBookmarkStatuses() {
     results.forEach(result => {
       updateBookmarkInTree(result.id, {
         linkStatus: result.linkStatus,
+        ...pickLinkDetails(result),
         safetyStatus: result.safetyStatus,
-        safetySources: result.safetySources
+        safetySources: result.safetySources,
+        safetyScore: result.safetyScore ?? null,
+        safetyBreakdown: result.safetyBreakdown || []
       });
     });
 
@@ -4841,12 +5039,53 @@ async function autoCheckBookmarkStatuses() {
 }
 
 
+// Find a bookmark in the tree by URL
+function findBookmarkByUrl(nodes, url) {
+  for (const node of nodes) {
+    if (node.url === url) return node;
+    if (node.children) {
+      const found = findBookmarkByUrl(node.children, url);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the warning page URL to open instead of a bookmark whose last check flagged it.
+ * @param {string} url The bookmark URL
+ * @returns {string|null} interstitial.html URL, or null if the bookmark can be opened directly
+ */
+function getInterstitialUrl(url) {
+  if (!interstitialSettings.enabled || !/^https?:/i.test(url)) return null;
+
+  const bookmark = findBookmarkByUrl(bookmarkTree, url);
+  if (!bookmark) return null;
+
+  let reason = null;
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname;
+  } catch (e) {}
+  const whitelisted = whitelistedUrls.has(hostname) || bookmark.safetySources?.includes('Whitelisted by user');
+
+  if ((bookmark.safetyStatus === 'unsafe' || bookmark.safetyStatus === 'warning') && !whitelisted) {
+    reason = bookmark.safetyStatus;
+  } else if (interstitialSettings.deadLinks && (bookmark.linkStatus === 'dead' || bookmark.linkStatus === 'parked')) {
+    reason = bookmark.linkStatus;
+  }
+  if (!reason) return null;
+
+  return `${chrome.runtime.getURL('interstitial.html')}?url=${encodeURIComponent(url)}&reason=${reason}`;
+}
+
 /**
  * Open a URL using the most appropriate method based on the URL scheme.
  * For privileged schemes (about:, chrome:, chrome-extension:, etc.), use anchor click.
  * For regular HTTP(S) URLs, use browser tab APIs for better control.
  */
 async function openBookmarkUrl(url, openInNewTab = false) {
+  clearPageUpdatedFlag(url);
   try {
     const urlObj = new URL(url);
     const scheme = urlObj.protocol.replace(':', '').toLowerCase();
@@ -4873,15 +5112,17 @@ async function openBookmarkUrl(url, openInNewTab = false) {
       // Try window.open for other privileged URLs
       window.open(url, '_blank');
     } else {
-      // Use browser APIs for regular URLs (better control)
+      // Use browser APIs for regular URLs (better control).
+      // Flagged bookmarks go to the warning page first.
+      const targetUrl = getInterstitialUrl(url) || url;
       if (openInNewTab) {
-        chrome.tabs.create({ url: url });
+        chrome.tabs.create({ url: targetUrl });
       } else {
         const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
         if (tabs[0]) {
-          chrome.tabs.update(tabs[0].id, { url: url });
+          chrome.tabs.update(tabs[0].id, { url: targetUrl });
         } else {
-          chrome.tabs.create({ url: url });
+          chrome.tabs.create({ url: targetUrl });
         }
       }
     }
@@ -5061,8 +5302,137 @@ function renderNodes(nodes, container, parentId = '0') {
   });
 }
 
+// Human-readable names for linkDetail.errorClass (see describeResponse/describeFetchError in background.js)
+const LINK_ERROR_CLASS_LABELS = {
+  'ok': 'OK',
+  'not-found': 'Not found (404)',
+  'gone': 'Gone (410)',
+  'legal': 'Unavailable for legal reasons (451)',
+  'auth-wall': 'Login required',
+  'rate-limited': 'Rate limited',
+  'client-error': 'Client error (4xx)',
+  'server-error': 'Server error (5xx)',
+  'opaque': 'Status unreadable (no-cors)',
+  'timeout': 'Timed out',
+  'dns': 'DNS lookup failed',
+  'tls': 'TLS/certificate error',
+  'connection': 'Connection failed',
+  'blocked': 'Blocked by browser or another extension',
+  'network': 'Network error'
+};
+
+// Format the structured check result for the status details popup
+function formatLinkDetail(linkDetail) {
+  if (!linkDetail) return '';
+
+  const label = LINK_ERROR_CLASS_LABELS[linkDetail.errorClass] || linkDetail.errorClass;
+  let text = `\n\nResult: ${label}`;
+  if (linkDetail.httpStatus) text += `\nHTTP status: ${linkDetail.httpStatus}`;
+  if (linkDetail.netError) text += `\nNetwork error: ${linkDetail.netError}`;
+  if (linkDetail.finalUrl) text += `\nFinal URL: ${linkDetail.finalUrl}`;
+  return text;
+}
+
+// Format a recorded redirect chain for the status details popup
+function formatRedirectChain(redirectChain) {
+  if (!redirectChain || redirectChain.length === 0) return '';
+
+  const hops = redirectChain.map(hop => `${hop.status} ${hop.url}\n    → ${hop.redirectUrl}`);
+  return `\n\nRedirect chain (${redirectChain.length} hop${redirectChain.length === 1 ? '' : 's'}):\n${hops.join('\n')}`;
+}
+
+// Describe how far a failing link is towards being confirmed dead
+function formatFailureHistory(failureHistory, linkStatus) {
+  const since = new Date(failureHistory.firstFailureAt).toLocaleDateString();
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  if (linkStatus === 'dead') {
+    return `\n\nConfirmed: failed ${plural(failureHistory.count, 'check')} in a row since ${since}`;
+  }
+  return `\n\nFailed ${failureHistory.count} of ${deadConfirmSettings.failures} checks since ${since}` +
+    `\n(confirmed dead after ${plural(deadConfirmSettings.failures, 'failure')} over ${plural(deadConfirmSettings.days, 'day')})`;
+}
+
+// Date of a Wayback Machine snapshot for labels and tooltips
+function formatSnapshotDate(snapshot) {
+  return snapshot?.timestamp ? new Date(snapshot.timestamp).toLocaleDateString() : 'unknown date';
+}
+
+// Domain lifecycle thresholds (the background only records raw DoH/RDAP data)
+const DOMAIN_EXPIRING_DAYS = 30;
+const DOMAIN_REGISTRAR_CHANGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Work out the domain lifecycle warnings for a bookmark (null if its domain wasn't checked)
+function getDomainLifecycleFlags(bookmark) {
+  const info = bookmark.domainInfo;
+  if (!info) return null;
+
+  const now = Date.now();
+  const isRecent = timestamp => Boolean(timestamp) && now - timestamp < DOMAIN_REGISTRAR_CHANGE_DAYS * DAY_MS;
+  const gone = info.nxdomain === true || info.registered === false;
+  // Registered after the bookmark was saved: the current owner isn't who you bookmarked
+  const registeredAfterBookmark = Boolean(info.registeredAt && bookmark.dateAdded && info.registeredAt > bookmark.dateAdded);
+
+  return {
+    gone,
+    expiring: !gone && Boolean(info.expiresAt) && info.expiresAt - now < DOMAIN_EXPIRING_DAYS * DAY_MS,
+    reRegistered: !gone && (registeredAfterBookmark || isRecent(info.registrarChangedAt) || isRecent(info.transferredAt)),
+    registeredAfterBookmark
+  };
+}
+
+// Get the domain lifecycle badge shown before the bookmark title (most serious warning only)
+function getDomainBadgeHtml(bookmark) {
+  const flags = getDomainLifecycleFlags(bookmark);
+  if (!flags || !(flags.gone || flags.reRegistered || flags.expiring)) return '';
+
+  const info = bookmark.domainInfo;
+  const formatDate = timestamp => new Date(timestamp).toLocaleDateString();
+  const lines = [`Domain: ${info.domain}`];
+  if (info.nxdomain) lines.push('✗ Domain no longer resolves (NXDOMAIN)');
+  if (info.registered === false) lines.push('✗ Domain is not registered');
+  if (info.expiresAt) {
+    lines.push(`${info.expiresAt < Date.now() ? '✗ Registration expired' : 'Registration expires'} ${formatDate(info.expiresAt)}`);
+  }
+  if (flags.registeredAfterBookmark) {
+    lines.push(`⚠ Registered ${formatDate(info.registeredAt)}, after this bookmark was saved`);
+  }
+  if (info.registrarChangedAt) {
+    lines.push(`⚠ Registrar changed from ${info.previousRegistrar} on ${formatDate(info.registrarChangedAt)}`);
+  }
+  if (info.transferredAt) lines.push(`Transferred ${formatDate(info.transferredAt)}`);
+  if (info.registrar) lines.push(`Registrar: ${info.registrar}`);
+  lines.push(`Checked ${formatDate(info.checkedAt)}`);
+
+  let badge;
+  if (flags.gone) {
+    badge = { className: 'domain-gone', label: 'Gone', title: 'Domain gone' };
+  } else if (flags.reRegistered) {
+    badge = { className: 'domain-reregistered', label: 'New owner?', title: 'Domain recently re-registered' };
+  } else {
+    const days = Math.ceil((info.expiresAt - Date.now()) / DAY_MS);
+    badge = { className: 'domain-expiring', label: days > 0 ? `Exp ${days}d` : 'Expired', title: 'Domain expiring soon' };
+  }
+
+  const tooltip = escapeHtml(`${badge.title}\n\n${lines.join('\n')}`).replace(/"/g, '&quot;');
+  return `<span class="domain-badge ${badge.className}" title="${tooltip}">${badge.label}</span>`;
+}
+
+// Get the "updated since last seen" badge for a watched page
+function getPageUpdatedBadgeHtml(bookmark) {
+  if (!bookmark.pageChange?.updated) return '';
+  const since = bookmark.pageChange.changedAt ? ` on ${new Date(bookmark.pageChange.changedAt).toLocaleDateString()}` : '';
+  return `<span class="page-updated-badge" title="Page changed${since} since you last opened it">Updated</span>`;
+}
+
+// Badges shown before the bookmark title
+function getTitleBadgesHtml(bookmark) {
+  return getPageUpdatedBadgeHtml(bookmark) + getDomainBadgeHtml(bookmark);
+}
+
 // Get status icon HTML based on link status
-function getStatusDotHtml(linkStatus, url) {
+// details is the bookmark node (or any object) carrying the extra link check fields (LINK_DETAIL_FIELDS)
+function getStatusDotHtml(linkStatus, url, details = {}) {
   // Check if privileged URL
   const privilegedInfo = isPrivilegedUrl(url);
   if (privilegedInfo && linkStatus === 'live') {
@@ -5080,13 +5450,28 @@ function getStatusDotHtml(linkStatus, url) {
   const tooltips = {
     'live': 'Link Status: Live\n\n✓ Link is live and accessible\n✓ Returns successful HTTP response',
     'dead': 'Link Status: Dead\n\n✗ Link is dead or unreachable\n✗ Error, timeout, or connection failed',
-    'parked': 'Link Status: Parked\n\n⚠ Domain is parked\n⚠ Redirects to domain parking service',
+    'possibly-dead': 'Link Status: Possibly Dead\n\n✗ Latest check failed\n⏳ Not confirmed dead yet - will be rechecked',
+    'parked': 'Link Status: Parked\n\n⚠ Domain is parked\n⚠ Redirects to or shows a domain parking/for-sale page',
+    'soft-404': 'Link Status: Soft 404\n\n⚠ Server responds successfully but shows a "not found" page\n⚠ Page looks like the site\'s error page for a random URL',
     'checking': 'Link Status: Checking\n\nChecking link status...',
     'unknown': 'Link Status: Unknown\n\nStatus has not been checked yet'
   };
 
-  const tooltip = tooltips[linkStatus] || tooltips['unknown'];
-  const escapedTooltip = tooltip.replace(/"/g, '&quot;');
+  let tooltip = tooltips[linkStatus] || tooltips['unknown'];
+  if (linkStatus === 'parked' && details.parkedRule) {
+    tooltip += `\n\nMatched rule: ${details.parkedRule.description} (${details.parkedRule.id})`;
+  }
+  if ((linkStatus === 'possibly-dead' || linkStatus === 'dead') && details.failureHistory) {
+    tooltip += formatFailureHistory(details.failureHistory, linkStatus);
+  }
+  if (details.archivedSnapshot) {
+    tooltip += `\n\nArchived copy: ${formatSnapshotDate(details.archivedSnapshot)} (Wayback Machine)`;
+  }
+  if (linkStatus !== 'checking' && linkStatus !== 'unknown') {
+    tooltip += formatLinkDetail(details.linkDetail);
+    tooltip += formatRedirectChain(details.redirectChain);
+  }
+  const escapedTooltip = tooltip.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
 
   const statusIcons = {
     'live': `
@@ -5105,9 +5490,17 @@ Error, timeout, or connection failed" data-status-message="${escapedTooltip}">
         </svg>
       </span>
     `,
+    'possibly-dead': `
+      <span class="status-icon status-possibly-dead clickable-status" title="Link may be dead
+Latest check failed, not confirmed yet" data-status-message="${escapedTooltip}">
+        <svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24">
+          <path d="M3.9,12C3.9,10.29 5.29,8.9 7,8.9H11V7H7A5,5 0 0,0 2,12A5,5 0 0,0 7,17H11V15.1H7C5.29,15.1 3.9,13.71 3.9,12M8,13H16V11H8V13M17,7H13V8.9H17C18.71,8.9 20.1,10.29 20.1,12C20.1,13.71 18.71,15.1 17,15.1H13V17H17A5,5 0 0,0 22,12A5,5 0 0,0 17,7Z"/>
+        </svg>
+      </span>
+    `,
     'parked': `
       <span class="status-icon status-parked clickable-status" title="Domain is parked
-Redirects to domain parking service" data-status-message="${escapedTooltip}">
+Redirects to or shows a parking/for-sale page" data-status-message="${escapedTooltip}">
         <svg width="14" height="14" viewBox="0 0 24 24">
           <g fill="currentColor">
             <path d="M3.9,12C3.9,10.29 5.29,8.9 7,8.9H11V7H7A5,5 0 0,0 2,12A5,5 0 0,0 7,17H11V15.1H7C5.29,15.1 3.9,13.71 3.9,12M8,13H16V11H8V13M17,7H13V8.9H17C18.71,8.9 20.1,10.29 20.1,12C20.1,13.71 18.71,15.1 17,15.1H13V17H17A5,5 0 0,0 22,12A5,5 0 0,0 17,7Z"/>
@@ -5119,6 +5512,20 @@ Redirects to domain parking service" data-status-message="${escapedTooltip}">
         </svg>
       </span>
     `,
+    'soft-404': `
+      <span class="status-icon status-soft-404 clickable-status" title="Page not found (soft 404)
+Server responds successfully but shows an error page" data-status-message="${escapedTooltip}">
+        <svg width="14" height="14" viewBox="0 0 24 24">
+          <g fill="currentColor">
+            <path d="M3.9,12C3.9,10.29 5.29,8.9 7,8.9H11V7H7A5,5 0 0,0 2,12A5,5 0 0,0 7,17H11V15.1H7C5.29,15.1 3.9,13.71 3.9,12M8,13H16V11H8V13M17,7H13V8.9H17C18.71,8.9 20.1,10.29 20.1,12C20.1,13.71 18.71,15.1 17,15.1H13V17H17A5,5 0 0,0 22,12A5,5 0 0,0 17,7Z"/>
+          </g>
+          <g fill="#f97316">
+            <circle cx="18" cy="6" r="5"/>
+            <text x="18" y="9.5" text-anchor="middle" font-size="10" font-weight="bold" fill="white">?</text>
+          </g>
+        </svg>
+      </span>
+    `,
     'checking': `
       <span class="status-icon status-checking clickable-status" title="Checking link status..." data-status-message="${escapedTooltip}">
         <svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24">
@@ -5138,8 +5545,25 @@ Redirects to domain parking service" data-status-message="${escapedTooltip}">
   return statusIcons[linkStatus] || statusIcons['unknown'];
 }
 
+// Risk score and the points each source contributed, for the shield details popup
+function formatSafetyBreakdown(scoring) {
+  if (scoring?.safetyScore === null || scoring?.safetyScore === undefined) return '';
+
+  let text = `\n\nRisk score: ${scoring.safetyScore}/100`;
+  const breakdown = scoring.safetyBreakdown || [];
+  if (breakdown.length > 0) {
+    // Notes are sources that could not be checked (e.g. quota exhausted) and scored nothing
+    text += '\n' + breakdown.map(item => item.note
+      ? `–  ${item.source}: ${item.reason}`
+      : `+${item.points}  ${item.source}: ${item.reason} (weight ${item.weight} × confidence ${item.confidence})`
+    ).join('\n');
+  }
+  return text;
+}
+
 // Get shield indicator HTML based on safety status
-function getShieldHtml(safetyStatus, url, safetySources = []) {
+// scoring is the bookmark (or update) carrying safetyScore and safetyBreakdown
+function getShieldHtml(safetyStatus, url, safetySources = [], scoring = null) {
   const encodedUrl = encodeURIComponent(url);
 
   // Check if privileged URL
@@ -5184,7 +5608,9 @@ function getShieldHtml(safetyStatus, url, safetySources = []) {
     'unknown': 'Security Check: Unknown\n\nUnable to determine safety status\nNot in whitelist or blacklist'
   };
 
-  const message = isWhitelisted ? messages['whitelisted'] : (messages[safetyStatus] || messages['unknown']);
+  const message = isWhitelisted
+    ? messages['whitelisted']
+    : (messages[safetyStatus] || messages['unknown']) + (['safe', 'warning', 'unsafe'].includes(safetyStatus) ? formatSafetyBreakdown(scoring) : '');
   const escapedMessage = message.replace(/"/g, '&quot;');
 
   const shieldSvgs = {
@@ -5380,25 +5806,27 @@ function createBookmarkElement(bookmark) {
   const linkStatus = bookmark.linkStatus || 'unknown';
   const safetyStatus = bookmark.safetyStatus || 'unknown';
   const safetySources = bookmark.safetySources || [];
+  // Failing but not yet confirmed dead: render the bookmark itself differently too
+  bookmarkDiv.classList.toggle('link-possibly-dead', linkStatus === 'possibly-dead');
 
   // Build status indicators HTML based on display options
   let statusIndicatorsHtml = '';
   if (displayOptions.safetyStatus) {
-    statusIndicatorsHtml += getShieldHtml(safetyStatus, bookmark.url, safetySources);
+    statusIndicatorsHtml += getShieldHtml(safetyStatus, bookmark.url, safetySources, bookmark);
   }
   if (displayOptions.liveStatus) {
-    statusIndicatorsHtml += getStatusDotHtml(linkStatus, bookmark.url);
+    statusIndicatorsHtml += getStatusDotHtml(linkStatus, bookmark.url, bookmark);
   }
 
   // Also build separate shield and chainlink for grid view
   let shieldHtml = '';
   if (displayOptions.safetyStatus) {
-    shieldHtml = getShieldHtml(safetyStatus, bookmark.url, safetySources);
+    shieldHtml = getShieldHtml(safetyStatus, bookmark.url, safetySources, bookmark);
   }
 
   let linkStatusHtml = '';
   if (displayOptions.liveStatus) {
-    linkStatusHtml = getStatusDotHtml(linkStatus, bookmark.url);
+    linkStatusHtml = getStatusDotHtml(linkStatus, bookmark.url, bookmark);
   }
 
   // Build favicon HTML based on display options
@@ -5414,7 +5842,7 @@ function createBookmarkElement(bookmark) {
   // Build bookmark info HTML based on display options
   let bookmarkInfoHtml = '';
   if (displayOptions.title) {
-    bookmarkInfoHtml += `<div class="bookmark-title" title="${escapeHtml(bookmark.url)}">${escapeHtml(bookmark.title || bookmark.url)}</div>`;
+    bookmarkInfoHtml += `<div class="bookmark-title" title="${escapeHtml(bookmark.url)}">${getTitleBadgesHtml(bookmark)}${escapeHtml(bookmark.title || bookmark.url)}</div>`;
   }
   if (displayOptions.url) {
     bookmarkInfoHtml += `<div class="bookmark-url" title="${escapeHtml(bookmark.url)}">${escapeHtml(new URL(bookmark.url).hostname)}</div>`;
@@ -5464,7 +5892,7 @@ function createBookmarkElement(bookmark) {
     }
     // Shift+click: open in new window
     if (e.shiftKey) {
-      chrome.windows.create({ url: bookmark.url });
+      chrome.windows.create({ url: getInterstitialUrl(bookmark.url) || bookmark.url });
       return;
     }
     // Ctrl+click (Cmd+click on Mac): open in new tab
@@ -6134,6 +6562,12 @@ function toggleFolderMenu(folder) {
   openContextMenuModal(folder, true);
 }
 
+const WATCH_ICON_PATH = 'M12,9A3,3 0 0,0 9,12A3,3 0 0,0 12,15A3,3 0 0,0 15,12A3,3 0 0,0 12,9M12,17A5,5 0 0,1 7,12A5,5 0 0,1 12,7A5,5 0 0,1 17,12A5,5 0 0,1 12,17M12,4.5C7,4.5 2.73,7.61 1,12C2.73,16.39 7,19.5 12,19.5C17,19.5 21.27,16.39 23,12C21.27,7.61 17,4.5 12,4.5Z';
+
+const REFRESH_TITLES_ICON_PATH = 'M5,4V7H10.5V19H13.5V7H19V4H5Z';
+
+const ARCHIVE_ICON_PATH = 'M3,3H21V7H3V3M4,8H20V21H4V8M9.5,11A0.5,0.5 0 0,0 9,11.5V13H15V11.5A0.5,0.5 0 0,0 14.5,11H9.5Z';
+
 // Open context menu as a modal panel
 function openContextMenuModal(item, isFolder) {
   const modal = document.getElementById('contextMenuModal');
@@ -6153,6 +6587,14 @@ function openContextMenuModal(item, isFolder) {
         <span class="icon"><svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24"><path d="M12,18A6,6 0 0,1 6,12C6,11 6.25,10.03 6.7,9.2L5.24,7.74C4.46,8.97 4,10.43 4,12A8,8 0 0,0 12,20V23L16,19L12,15M12,4V1L8,5L12,9V6A6,6 0 0,1 18,12C18,13 17.75,13.97 17.3,14.8L18.76,16.26C19.54,15.03 20,13.57 20,12A8,8 0 0,0 12,4Z"/></svg></span>
         <span>Rescan Bookmarks in Folder</span>
       </button>
+      <button class="action-btn" data-action="watch-changes">
+        <span class="icon"><svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24"><path d="${WATCH_ICON_PATH}"/></svg></span>
+        <span>${watchedBookmarkIds.has(item.id) ? 'Stop Watching for Changes' : 'Watch Folder for Changes'}</span>
+      </button>
+      <button class="action-btn" data-action="refresh-titles">
+        <span class="icon"><svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24"><path d="${REFRESH_TITLES_ICON_PATH}"/></svg></span>
+        <span>Refresh Titles from Pages</span>
+      </button>
       <button class="action-btn" data-action="add-bookmark">
         <span class="icon"><svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24"><path d="M19,13H13V19H11V13H5V11H11V5H13V11H19V13Z"/></svg></span>
         <span>Add Bookmark Here</span>
@@ -6200,6 +6642,10 @@ function openContextMenuModal(item, isFolder) {
         <span class="icon"><svg width="14" height="14" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/></svg></span>
         <span>Recheck Security Status</span>
       </button>
+      <button class="action-btn" data-action="watch-changes">
+        <span class="icon"><svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24"><path d="${WATCH_ICON_PATH}"/></svg></span>
+        <span>${watchedBookmarkIds.has(item.id) ? 'Stop Watching for Changes' : 'Watch for Changes'}</span>
+      </button>
       <button class="action-btn" data-action="whitelist">
         <span class="icon"><svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24"><path d="M12,1L3,5V11C3,16.55 6.84,21.74 12,23C17.16,21.74 21,16.55 21,11V5L12,1M10,17L6,13L7.41,11.59L10,14.17L16.59,7.58L18,9L10,17Z"/></svg></span>
         <span>Whitelist (Trust Site)</span>
@@ -6212,6 +6658,11 @@ function openContextMenuModal(item, isFolder) {
         <span class="icon"><svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24"><path d="M3,11H11V3H3M5,5H9V9H5M13,3V11H21V3M19,9H15V5H19M3,21H11V13H3M5,15H9V19H5M19,19V21H21V19M13,13H15V15H13M15,15H17V17H15M17,17H19V19H17M19,13V15H21V13M13,21H15V19H13M15,19H17V21H15Z"/></svg></span>
         <span>Generate QR Code</span>
       </button>
+      ${item.archivedSnapshot || item.linkStatus === 'dead' || item.linkStatus === 'possibly-dead' ? `
+      <button class="action-btn" data-action="wayback-open">
+        <span class="icon"><svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24"><path d="${ARCHIVE_ICON_PATH}"/></svg></span>
+        <span>${item.archivedSnapshot ? `Open Archived Copy (${formatSnapshotDate(item.archivedSnapshot)})` : 'Open Archived Copy'}</span>
+      </button>` : ''}
       <button class="action-btn" data-action="wayback-save">
         <span class="icon"><svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24"><path d="M12,20A8,8 0 0,0 20,12A8,8 0 0,0 12,4A8,8 0 0,0 4,12A8,8 0 0,0 12,20M12,2A10,10 0 0,1 22,12A10,10 0 0,1 12,22C6.47,22 2,17.5 2,12A10,10 0 0,1 12,2M12.5,7V12.25L17,14.92L16.25,16.15L11,13V7H12.5Z"/></svg></span>
         <span>Save to Wayback Machine</span>
@@ -6327,6 +6778,14 @@ async function handleFolderAction(action, folder) {
     case 'rescan-folder':
       await rescanFolder(folder.id, folder.title);
       break;
+
+    case 'watch-changes':
+      await toggleWatchForChanges(folder, true);
+      break;
+
+    case 'refresh-titles':
+      await refreshBookmarkTitles(getAllBookmarksInFolder(folder));
+      break;
   }
 }
 
@@ -6547,6 +7006,26 @@ async function performUndo() {
       } else if (type === 'folder') {
         // Restore folder and its contents recursively
         await restoreFolderRecursive(data, data.parentId, data.index);
+      } else if (type === 'url-update') {
+        // Put bookmarks back on the URLs they had before the bulk update
+        for (const change of data.changes) {
+          await chrome.bookmarks.update(change.id, { url: change.oldUrl });
+          await addChangelogEntry('undo', 'bookmark', change.title || 'Untitled', change.oldUrl, {
+            undoType: 'update',
+            restoredUrl: change.oldUrl,
+            previousUrl: change.newUrl
+          });
+        }
+      } else if (type === 'title-update') {
+        // Put back the titles bookmarks had before the title refresh
+        for (const change of data.changes) {
+          await chrome.bookmarks.update(change.id, { title: change.oldTitle });
+          await addChangelogEntry('undo', 'bookmark', change.oldTitle || 'Untitled', change.url, {
+            undoType: 'update',
+            restoredTitle: change.oldTitle,
+            previousTitle: change.newTitle
+          });
+        }
       }
 
       // Reload and hide toast
@@ -6557,7 +7036,7 @@ async function performUndo() {
     }
   } catch (error) {
     console.error('Error during undo:', error);
-    alert('Failed to undo deletion');
+    alert(type === 'url-update' ? 'Failed to undo URL update' : type === 'title-update' ? 'Failed to undo title update' : 'Failed to undo deletion');
     hideUndoToast();
   }
 }
@@ -6702,7 +7181,21 @@ function closeAllMenus() {
   zoomMenu.classList.remove('show');
 }
 
+// Extra link check data kept on bookmark nodes next to linkStatus
+// (mirrors getLinkCheckDetails in background.js)
+const LINK_DETAIL_FIELDS = ['redirectChain', 'parkedRule', 'linkDetail', 'failureHistory', 'domainInfo', 'pageChange', 'archivedSnapshot'];
+
+// Copy the link detail fields from a check result or cache entry (missing fields become null)
+function pickLinkDetails(source) {
+  const details = {};
+  LINK_DETAIL_FIELDS.forEach(field => {
+    details[field] = source?.[field] ?? null;
+  });
+  return details;
+}
+
 // Check link status using background script
+// Returns the status plus the link details recorded while checking
 async function checkLinkStatus(url, bypassCache = false) {
   try {
     const response = await chrome.runtime.sendMessage({
@@ -6710,10 +7203,13 @@ async function checkLinkStatus(url, bypassCache = false) {
       url: url,
       bypassCache: bypassCache
     });
-    return response.status || 'unknown';
+    return {
+      status: response.status || 'unknown',
+      ...pickLinkDetails(response)
+    };
   } catch (error) {
     console.error('Error checking link status:', error);
-    return 'unknown';
+    return { status: 'unknown', ...pickLinkDetails(null) };
   }
 }
 
@@ -6741,7 +7237,9 @@ async function checkSafetyStatus(url, bypassCache = false) {
     });
     const result = {
       status: response.status || 'unknown',
-      sources: response.sources || []
+      sources: response.sources || [],
+      score: response.score ?? null,
+      breakdown: response.breakdown || []
     };
     // Track status change
     trackSafetyChange(url, result.status, result.sources);
@@ -6775,13 +7273,17 @@ async function recheckBookmarkStatus(bookmarkId) {
   const results = {};
 
   if (linkCheckingEnabled) {
-    results.linkStatus = await checkLinkStatus(bookmark.url, true); // Bypass cache for rescan
+    const linkResult = await checkLinkStatus(bookmark.url, true); // Bypass cache for rescan
+    results.linkStatus = linkResult.status;
+    Object.assign(results, pickLinkDetails(linkResult));
   }
 
   if (safetyCheckingEnabled) {
     const safetyStatusResult = await checkSafetyStatus(bookmark.url, true); // Bypass cache for rescan
     results.safetyStatus = safetyStatusResult.status;
     results.safetySources = safetyStatusResult.sources;
+    results.safetyScore = safetyStatusResult.score;
+    results.safetyBreakdown = safetyStatusResult.breakdown;
   }
 
   // Update bookmark with results
@@ -6869,7 +7371,9 @@ async function whitelistBookmark(bookmark) {
       // Update safety status to safe
       updateBookmarkInTree(bookmark.id, {
         safetyStatus: 'safe',
-        safetySources: ['Whitelisted by user']
+        safetySources: ['Whitelisted by user'],
+        safetyScore: null,
+        safetyBreakdown: []
       });
       renderBookmarks();
       alert(`"${hostname}" added to whitelist.\n\nAll bookmarks from this site will be marked as safe.`);
@@ -6900,6 +7404,70 @@ async function loadWhitelist() {
   }
 }
 
+// Watch a bookmark or folder for page changes (or stop watching it)
+async function toggleWatchForChanges(item, isFolder) {
+  if (watchedBookmarkIds.has(item.id)) {
+    watchedBookmarkIds.delete(item.id);
+    await saveWatchedBookmarks();
+    showToast(`Stopped watching "${item.title || item.url}" for changes`);
+    return;
+  }
+
+  watchedBookmarkIds.add(item.id);
+  await saveWatchedBookmarks();
+  showToast(isFolder
+    ? `Watching "${item.title}" for changes - pages are compared on the next scan`
+    : `Watching "${item.title || item.url}" for changes`);
+
+  // Record the current version as the baseline straight away
+  if (!isFolder && linkCheckingEnabled) {
+    await recheckBookmarkStatus(item.id);
+  }
+}
+
+// Save watched bookmark/folder IDs to storage (read by the background scan)
+async function saveWatchedBookmarks() {
+  try {
+    await chrome.storage.local.set({
+      watchedBookmarkIds: Array.from(watchedBookmarkIds)
+    });
+  } catch (error) {
+    console.error('Failed to save watched bookmarks:', error);
+  }
+}
+
+// Load watched bookmark/folder IDs from storage
+async function loadWatchedBookmarks() {
+  try {
+    const result = await chrome.storage.local.get('watchedBookmarkIds');
+    if (Array.isArray(result.watchedBookmarkIds)) {
+      watchedBookmarkIds = new Set(result.watchedBookmarkIds);
+    }
+  } catch (error) {
+    console.error('Failed to load watched bookmarks:', error);
+  }
+}
+
+// Opening a changed page counts as seeing it: clear its "updated" flag everywhere it's bookmarked
+function clearPageUpdatedFlag(url) {
+  let cleared = false;
+  function clearNodes(nodes) {
+    nodes.forEach(node => {
+      if (node.url === url && node.pageChange?.updated) {
+        node.pageChange = { ...node.pageChange, updated: false };
+        cleared = true;
+      }
+      if (node.children) clearNodes(node.children);
+    });
+  }
+  clearNodes(bookmarkTree);
+
+  if (cleared) {
+    chrome.runtime.sendMessage({ action: 'markPageSeen', url }).catch(() => {});
+    renderBookmarks();
+  }
+}
+
 // Save safety history to storage
 async function saveSafetyHistory() {
   try {
@@ -6955,7 +7523,7 @@ function cleanupSafetyHistory() {
   }
 }
 
-// Track safety status change and alert if degraded
+// Track safety status changes (degradations are raised as security alerts by background.js)
 function trackSafetyChange(url, newStatus, sources) {
   if (!url) return;
 
@@ -6982,18 +7550,6 @@ function trackSafetyChange(url, newStatus, sources) {
     history.shift();
   }
 
-  // Alert if status degraded from safe to unsafe/suspicious
-  if (lastStatus === 'safe' && (newStatus === 'unsafe' || newStatus === 'suspicious')) {
-    const hostname = new URL(url).hostname;
-    console.warn(`⚠️ Security alert: ${hostname} changed from safe to ${newStatus}`);
-
-    // Show alert to user
-    setTimeout(() => {
-      const message = `⚠️ SECURITY ALERT\n\n"${hostname}" was previously marked as SAFE but is now flagged as ${newStatus.toUpperCase()}!\n\nSources: ${sources.join(', ')}\n\nPlease verify this site before visiting.`;
-      alert(message);
-    }, 100);
-  }
-
   // Save history only when status changes
   saveSafetyHistory();
 }
@@ -7003,21 +7559,20 @@ async function handleBookmarkAction(action, bookmark) {
   switch (action) {
     case 'open':
       // Open in active tab
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs[0]) {
-        chrome.tabs.update(tabs[0].id, { url: bookmark.url });
-      } else {
-        chrome.tabs.create({ url: bookmark.url });
-      }
+      openBookmarkUrl(bookmark.url, false);
       break;
 
     case 'open-new-tab':
       openBookmarkUrl(bookmark.url, true);
       break;
 
+    case 'watch-changes':
+      await toggleWatchForChanges(bookmark, false);
+      break;
+
     case 'open-new-window':
       // Open in new window
-      chrome.windows.create({ url: bookmark.url });
+      chrome.windows.create({ url: getInterstitialUrl(bookmark.url) || bookmark.url });
       break;
 
     case 'reader-view':
@@ -7028,7 +7583,7 @@ async function handleBookmarkAction(action, bookmark) {
 
     case 'save-pdf':
       // Save page as PDF - Chrome doesn't have saveAsPDF, so we show instructions
-      window.open(bookmark.url, '_blank');
+      window.open(getInterstitialUrl(bookmark.url) || bookmark.url, '_blank');
       setTimeout(() => {
         alert('Page opened in a new tab. To save as PDF:\n\n1. Wait for the page to load\n2. Press Ctrl+P (or Cmd+P on Mac)\n3. Select "Save as PDF" as the destination\n4. Click "Save"');
       }, 500);
@@ -7085,6 +7640,18 @@ async function handleBookmarkAction(action, bookmark) {
       }
       break;
 
+    case 'wayback-open':
+      // Open the closest archived snapshot (looked up now if none is stored yet)
+      {
+        const snapshot = bookmark.archivedSnapshot || await lookupArchivedCopy(bookmark);
+        if (snapshot) {
+          chrome.tabs.create({ url: snapshot.url });
+        } else {
+          alert(`No archived copy of this page was found.\n\n${bookmark.url}`);
+        }
+      }
+      break;
+
     case 'wayback-browse':
       // Browse Wayback Machine snapshots
       {
@@ -7690,7 +8257,7 @@ async function createNewFolder() {
 
 // Filter and search bookmarks
 function filterAndSearchBookmarks(nodes) {
-  return nodes.reduce((acc, node) => {
+  const filtered = nodes.reduce((acc, node) => {
     if (node.children) {
       // It's a folder
       const filteredChildren = filterAndSearchBookmarks(node.children);
@@ -7708,6 +8275,28 @@ function filterAndSearchBookmarks(nodes) {
     }
     return acc;
   }, []);
+
+  return sortByRiskScore ? sortBookmarksByRisk(filtered) : filtered;
+}
+
+// Reorder the bookmarks of one folder level by risk score (highest first, unscored last);
+// folders keep their places
+function sortBookmarksByRisk(nodes) {
+  const positions = [];
+  const bookmarks = [];
+  nodes.forEach((node, index) => {
+    if (node.url) {
+      positions.push(index);
+      bookmarks.push(node);
+    }
+  });
+
+  bookmarks.sort((a, b) => (b.safetyScore ?? -1) - (a.safetyScore ?? -1));
+  const sorted = [...nodes];
+  positions.forEach((position, i) => {
+    sorted[position] = bookmarks[i];
+  });
+  return sorted;
 }
 
 // Check if bookmark matches search
@@ -7731,8 +8320,12 @@ function matchesFilter(bookmark) {
   const isWhitelisted = safetySources.includes('Whitelisted by user');
 
   // Separate filters by category
-  const linkFilters = activeFilters.filter(f => ['live', 'parked', 'dead'].includes(f));
+  const linkFilters = activeFilters.filter(f => ['live', 'parked', 'soft-404', 'dead', 'possibly-dead'].includes(f));
   const safetyFilters = activeFilters.filter(f => ['safe', 'suspicious', 'unsafe', 'trusted'].includes(f));
+  const reasonFilters = activeFilters.filter(f => f.startsWith('reason:'));
+  const riskFilter = activeFilters.find(f => f.startsWith('risk:'));
+  const domainFilters = activeFilters.filter(f => ['domain-gone', 'domain-expiring', 'domain-reregistered'].includes(f));
+  const changedPagesOnly = activeFilters.includes('page-updated');
 
   // Check link status (OR within category)
   let matchesLink = true;
@@ -7741,7 +8334,9 @@ function matchesFilter(bookmark) {
       switch (filter) {
         case 'live': return linkStatus === 'live';
         case 'parked': return linkStatus === 'parked';
+        case 'soft-404': return linkStatus === 'soft-404';
         case 'dead': return linkStatus === 'dead';
+        case 'possibly-dead': return linkStatus === 'possibly-dead';
         default: return false;
       }
     });
@@ -7761,8 +8356,35 @@ function matchesFilter(bookmark) {
     });
   }
 
+  // Check link failure reason, e.g. "dead" + "reason:not-found" = dead links that returned 404
+  let matchesReason = true;
+  if (reasonFilters.length > 0) {
+    const errorClass = bookmark.linkDetail?.errorClass;
+    matchesReason = reasonFilters.some(filter => filter === `reason:${errorClass}`);
+  }
+
+  // Check domain lifecycle warnings (OR within category)
+  let matchesDomain = true;
+  if (domainFilters.length > 0) {
+    const flags = getDomainLifecycleFlags(bookmark);
+    matchesDomain = Boolean(flags) && domainFilters.some(filter => {
+      switch (filter) {
+        case 'domain-gone': return flags.gone;
+        case 'domain-expiring': return flags.expiring;
+        case 'domain-reregistered': return flags.reRegistered;
+        default: return false;
+      }
+    });
+  }
+
+  // Watched pages that changed since they were last opened
+  const matchesChanged = !changedPagesOnly || bookmark.pageChange?.updated === true;
+
+  // Minimum risk score, e.g. "risk:50"
+  const matchesRisk = !riskFilter || (bookmark.safetyScore ?? -1) >= Number(riskFilter.slice('risk:'.length));
+
   // AND between categories
-  return matchesLink && matchesSafety;
+  return matchesLink && matchesSafety && matchesReason && matchesDomain && matchesChanged && matchesRisk;
 }
 
 // Count bookmarks in folder
@@ -8216,15 +8838,21 @@ async function openChangelogModal() {
         } else if (entry.type === 'undo') {
           if (entry.details.undoType === 'move') {
             detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">Restored to: ${entry.details.restoredToFolder}</div>`;
+          } else if (entry.details.undoType === 'update' && entry.details.previousUrl) {
+            detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">Reverted URL from: ${escapeHtml(entry.details.previousUrl)}</div>`;
           } else if (entry.details.undoType === 'update') {
             detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">Reverted title from: "${entry.details.previousTitle}"</div>`;
           } else {
             detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">Undid ${entry.details.undoType} operation</div>`;
           }
+        } else if (entry.details.oldUrl && entry.details.newUrl) {
+          detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">${entry.details.reason === 'permanent-redirect' ? 'Moved permanently from' : entry.details.reason === 'wayback-archive' ? 'Replaced with archived copy of' : 'URL changed from'}: ${escapeHtml(entry.details.oldUrl)}</div>`;
         } else if (entry.details.oldTitle && entry.details.newTitle) {
-          detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">Renamed from: ${entry.details.oldTitle}</div>`;
+          detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">${entry.details.reason === 'title-refresh' ? 'Title refreshed from page' : 'Renamed'} from: ${escapeHtml(entry.details.oldTitle)}</div>`;
         } else if (entry.details.fromFolder && entry.details.toFolder) {
           detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">Moved from: ${entry.details.fromFolder} → ${entry.details.toFolder}</div>`;
+        } else if (entry.details.archivedFrom) {
+          detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">Archived copy of: ${escapeHtml(entry.details.archivedFrom)}</div>`;
         } else if (entry.details.folderPath) {
           detailsHtml = `<div style="font-size: 11px; color: var(--md-sys-color-on-surface-variant); margin-top: 4px;">Location: ${entry.details.folderPath}</div>`;
         }
@@ -8565,7 +9193,32 @@ async function restoreChangelogEntry(entryId) {
       }
     }
 
-    if (entry.type === 'update') {
+    if (entry.type === 'update' && entry.details && entry.details.oldUrl) {
+      // URL updates (e.g. fixed moved bookmarks): find the bookmark by its new URL and put the old one back
+      const items = await chrome.bookmarks.search({ url: entry.url });
+      const matchingItem = items.find(item => item.url === entry.url);
+
+      if (matchingItem) {
+        try {
+          await chrome.bookmarks.update(matchingItem.id, { url: entry.details.oldUrl });
+          alert(`Restored URL of "${entry.title}" back to ${entry.details.oldUrl}`);
+
+          await addChangelogEntry('undo', 'bookmark', entry.title, entry.details.oldUrl, {
+            undoType: 'update',
+            originalOperation: entry,
+            restoredUrl: entry.details.oldUrl,
+            previousUrl: entry.url
+          });
+
+          await loadBookmarks();
+          renderBookmarks();
+        } catch (error) {
+          alert('Failed to restore URL: ' + error.message);
+        }
+      } else {
+        alert('Could not find the updated bookmark. It may have been deleted or changed again.');
+      }
+    } else if (entry.type === 'update') {
       // For update operations, try to revert the title change
       if (entry.details && entry.details.oldTitle) {
         const items = await chrome.bookmarks.search({ title: entry.title });
@@ -8702,13 +9355,16 @@ async function closeExtension() {
 // Calculate cache size in KB
 async function calculateCacheSize() {
   try {
-    const result = await chrome.storage.local.get(['linkStatusCache', 'safetyStatusCache', 'whitelistedUrls', 'safetyHistory']);
+    const result = await chrome.storage.local.get(['linkStatusCache', 'safetyStatusCache', 'domainStatusCache', 'whitelistedUrls', 'safetyHistory']);
 
     // Calculate size by stringifying the data
     let totalSize = 0;
     if (result.linkStatusCache) {
       totalSize += JSON.stringify(result.linkStatusCache).length;
     }
+    if (result.domainStatusCache) {
+      totalSize += JSON.stringify(result.domainStatusCache).length;
+    }
     if (result.safetyStatusCache) {
       totalSize += JSON.stringify(result.safetyStatusCache).length;
     }
@@ -8746,6 +9402,34 @@ async function updateCacheSizeDisplay() {
   }
 }
 
+// Remaining daily quota of each safety API that has a key, shown under the API key buttons
+const API_QUOTA_KEYS = { google: 'googleSafeBrowsingApiKey', yandex: 'yandexApiKey', virustotal: 'virusTotalApiKey' };
+
+async function updateApiQuotaDisplay() {
+  const container = document.getElementById('apiQuotaStatus');
+  if (!container) return;
+
+  try {
+    const stored = await chrome.storage.local.get(Object.values(API_QUOTA_KEYS));
+    const response = await chrome.runtime.sendMessage({ action: 'getApiQuotaStatus' });
+    const quotas = (response?.quotas || []).filter(quota => stored[API_QUOTA_KEYS[quota.provider]]);
+    container.innerHTML = quotas.map(quota => {
+      let text = `${escapeHtml(quota.label)}: ${quota.remaining.toLocaleString()} of ${quota.perDay.toLocaleString()} left today`;
+      if (quota.remaining === 0) {
+        text += ' (quota exhausted)';
+      } else if (quota.blockedUntil) {
+        text += ` (paused until ${new Date(quota.blockedUntil).toLocaleTimeString()})`;
+      } else if (quota.perMinute) {
+        text += `, ${quota.usedThisMinute}/${quota.perMinute} this minute`;
+      }
+      return `<div>${text}</div>`;
+    }).join('');
+    container.style.display = quotas.length > 0 ? '' : 'none';
+  } catch (error) {
+    container.style.display = 'none';
+  }
+}
+
 // Clear old cache entries based on auto-clear setting
 async function clearOldCacheEntries(maxAgeDays) {
   if (maxAgeDays === 'never') {
@@ -8818,8 +9502,13 @@ async function clearOldCacheEntries(maxAgeDays) {
 
 async function clearCache() {
   try {
-    // Clear storage cache (current)
-    await chrome.storage.local.remove(['linkStatusCache', 'safetyStatusCache']);
+    // Clear storage cache (current). Link and safety statuses go through the background worker,
+    // which keeps the old ones so a rescan can still raise alerts for statuses that got worse
+    const response = await chrome.runtime.sendMessage({ action: 'clearStatusCaches' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to clear status caches');
+    }
+    await chrome.storage.local.remove(['domainStatusCache']);
 
     // ALSO CLEAR: Reset in-memory bookmark statuses
     function resetStatuses(nodes) {
@@ -8828,6 +9517,8 @@ async function clearCache() {
           node.linkStatus = 'unknown';
           node.safetyStatus = 'unknown';
           node.safetySources = [];
+          node.safetyScore = null;
+          node.safetyBreakdown = [];
         }
         if (node.children) resetStatuses(node.children);
       });
@@ -9067,7 +9758,7 @@ async function bulkOpenItems() {
     return;
   }
   for (const url of urlsToOpen) {
-    chrome.tabs.create({ url, active: false });
+    chrome.tabs.create({ url: getInterstitialUrl(url) || url, active: false });
   }
 }
 
@@ -9094,39 +9785,1265 @@ async function bulkOpenInWindows() {
     return;
   }
   for (const url of urlsToOpen) {
-    chrome.windows.create({ url });
+    chrome.windows.create({ url: getInterstitialUrl(url) || url });
   }
 }
 
-// Get all bookmarks in a folder recursively
-function getAllBookmarksInFolder(folder) {
-  const bookmarks = [];
+// ============================================================================
+// FIX MOVED BOOKMARKS
+// ============================================================================
 
-  function traverse(node) {
-    if (node.url) {
-      bookmarks.push(node);
-    } else if (node.children) {
-      node.children.forEach(child => traverse(child));
-    }
-  }
+// Get the destination of the leading permanent redirects (301/308) in a chain.
+// Stops at the first temporary hop, since only permanent moves should be written back.
+function getPermanentRedirectTarget(redirectChain) {
+  if (!redirectChain || redirectChain.length === 0) return null;
 
-  if (folder.children) {
-    folder.children.forEach(child => traverse(child));
+  let target = null;
+  for (const hop of redirectChain) {
+    if (hop.status !== 301 && hop.status !== 308) break;
+    target = hop.redirectUrl;
   }
 
-  return bookmarks;
+  if (!target || target === redirectChain[0].url) return null;
+  return target;
 }
 
-// Get all folders from bookmark tree
-function getAllFolders(nodes, depth = 0) {
-  const folders = [];
+// Global storage for the current fix-moved preview
+let currentMovedBookmarks = [];
 
-  nodes.forEach(node => {
-    if (node.children) {
-      folders.push({ ...node, depth });
-      folders.push(...getAllFolders(node.children, depth + 1));
-    }
-  });
+// Bookmarks a bulk action applies to: the multi-select selection (folders expanded), or everything
+function getBulkActionBookmarks() {
+  if (!multiSelectMode || selectedItems.size === 0) {
+    return getAllBookmarksFlat(bookmarkTree);
+  }
+
+  const bookmarks = [];
+  for (const itemId of selectedItems) {
+    const item = findBookmarkById(bookmarkTree, itemId);
+    if (!item) continue;
+    if (item.url) {
+      bookmarks.push(item);
+    } else if (item.children) {
+      bookmarks.push(...getAllBookmarksInFolder(item));
+    }
+  }
+  return bookmarks;
+}
+
+// Open the "Fix Moved Bookmarks" preview for the selection, or every bookmark if nothing is selected
+function fixMovedBookmarks() {
+  const bookmarks = getBulkActionBookmarks();
+
+  const moved = [];
+  for (const bookmark of bookmarks) {
+    const newUrl = getPermanentRedirectTarget(bookmark.redirectChain);
+    if (newUrl && newUrl !== bookmark.url) {
+      moved.push({ id: bookmark.id, title: bookmark.title, oldUrl: bookmark.url, newUrl });
+    }
+  }
+
+  if (moved.length === 0) {
+    alert('No moved bookmarks found.\n\nBookmarks are listed here once a link check has seen them permanently redirect (301/308) to a new address.');
+    return;
+  }
+
+  showFixMovedModal(moved);
+}
+
+// Show the preview of bookmarks that can be rewritten to their new address
+function showFixMovedModal(moved) {
+  const modal = document.getElementById('fixMovedModal');
+  const content = document.getElementById('fixMovedContent');
+
+  currentMovedBookmarks = moved;
+
+  let html = `
+    <div style="margin-bottom: 8px;">
+      <p style="font-size: 11px;"><strong>Found ${moved.length} bookmark(s) that permanently redirect to a new address</strong></p>
+      <p style="color: #666; font-size: 9px;">Select the bookmarks to update to their final URL:</p>
+    </div>
+  `;
+
+  for (const item of moved) {
+    html += `
+      <div style="margin-bottom: 6px; padding: 8px; background: rgba(59, 130, 246, 0.05); border-radius: 4px; border: 1px solid rgba(59, 130, 246, 0.2); display: flex; align-items: flex-start; gap: 6px;">
+        <input type="checkbox"
+               id="moved-${item.id}"
+               data-bookmark-id="${item.id}"
+               class="fix-moved-checkbox"
+               checked
+               style="cursor: pointer; width: 10px; height: 10px; margin-top: 2px;">
+        <label for="moved-${item.id}" style="cursor: pointer; flex: 1; min-width: 0; font-size: 9px;">
+          <div style="font-weight: 500; margin-bottom: 2px;">${escapeHtml(item.title || 'Untitled')}</div>
+          <div style="color: #dc2626; word-break: break-all; text-decoration: line-through;">${escapeHtml(item.oldUrl)}</div>
+          <div style="color: #16a34a; word-break: break-all;">→ ${escapeHtml(item.newUrl)}</div>
+        </label>
+      </div>
+    `;
+  }
+
+  content.innerHTML = html;
+  modal.classList.remove('hidden');
+  modal.setAttribute('aria-hidden', 'false');
+  trapFocus(modal);
+}
+
+// Close fix-moved modal
+function closeFixMovedModal() {
+  const modal = document.getElementById('fixMovedModal');
+  modal.classList.add('hidden');
+  modal.setAttribute('aria-hidden', 'true');
+  releaseFocusTrap();
+}
+
+// Rewrite the selected bookmarks to their permanent-redirect destination
+async function applyFixMovedBookmarks() {
+  const checkboxes = document.querySelectorAll('.fix-moved-checkbox:checked');
+
+  if (checkboxes.length === 0) {
+    alert('Please select at least one bookmark to update.');
+    return;
+  }
+
+  const selectedIds = new Set(Array.from(checkboxes).map(cb => cb.dataset.bookmarkId));
+  const toUpdate = currentMovedBookmarks.filter(item => selectedIds.has(item.id));
+  const updated = [];
+  let failCount = 0;
+
+  for (const item of toUpdate) {
+    try {
+      await chrome.bookmarks.update(item.id, { url: item.newUrl });
+      await addChangelogEntry('update', 'bookmark', item.title || 'Untitled', item.newUrl, {
+        oldUrl: item.oldUrl,
+        newUrl: item.newUrl,
+        reason: 'permanent-redirect'
+      });
+      // The recorded chain belonged to the old URL
+      updateBookmarkInTree(item.id, pickLinkDetails(null));
+      updated.push(item);
+    } catch (error) {
+      console.error(`Failed to update moved bookmark ${item.id}:`, error);
+      failCount++;
+    }
+  }
+
+  closeFixMovedModal();
+  await loadBookmarks();
+  renderBookmarks();
+
+  if (updated.length > 0) {
+    showUndoToast({
+      type: 'url-update',
+      data: { changes: updated },
+      message: `Updated ${updated.length} moved bookmark(s)`
+    });
+  }
+
+  if (failCount > 0) {
+    alert(`⚠ Updated ${updated.length} bookmark(s).\n${failCount} failed to update.`);
+  }
+}
+
+// Global storage for the current title refresh preview
+let currentTitleChanges = [];
+
+// Pick the title to offer from a page's <title> and og:title (og:title is usually free of site suffixes)
+function pickRefreshedTitle(titles) {
+  const candidate = (titles?.ogTitle || titles?.title || '').replace(/\s+/g, ' ').trim();
+  return candidate.slice(0, 300);
+}
+
+// Fetch the live titles of the given bookmarks and preview the ones that differ
+async function refreshBookmarkTitles(bookmarks) {
+  const toFetch = bookmarks.filter(bookmark => bookmark.url && !isPrivilegedUrl(bookmark.url));
+  if (toFetch.length === 0) {
+    alert('No bookmarks with web pages to refresh.');
+    return;
+  }
+
+  // Runs like a scan so the Stop button can cancel it
+  if (autoScanDepth === 0) scanCancelled = false;
+  autoScanDepth++;
+  updateScanControls();
+  setScanningStatus('title-refresh', `Fetching titles: 0/${toFetch.length}`);
+
+  const BATCH_SIZE = 10;
+  const changes = [];
+  let fetched = 0;
+  let unreadable = 0;
+
+  try {
+    for (let i = 0; i < toFetch.length && !scanCancelled; i += BATCH_SIZE) {
+      const batch = toFetch.slice(i, i + BATCH_SIZE);
+      await Promise.all(batch.map(async bookmark => {
+        let titles = null;
+        try {
+          titles = await chrome.runtime.sendMessage({ action: 'fetchPageTitle', url: bookmark.url });
+        } catch (error) {
+          console.error(`[Title Refresh] Failed to fetch title for ${bookmark.url}:`, error);
+        }
+
+        const newTitle = pickRefreshedTitle(titles);
+        if (!newTitle) {
+          unreadable++;
+        } else if (newTitle !== bookmark.title) {
+          changes.push({
+            id: bookmark.id,
+            url: bookmark.url,
+            oldTitle: bookmark.title || '',
+            newTitle,
+            alternatives: [...new Set([titles.ogTitle, titles.title].map(t => (t || '').trim()).filter(Boolean))]
+          });
+        }
+        fetched++;
+      }));
+      setScanningStatus('title-refresh', `Fetching titles: ${fetched}/${toFetch.length}`);
+    }
+  } finally {
+    autoScanDepth = Math.max(0, autoScanDepth - 1);
+    updateScanControls();
+    clearScanningStatus('title-refresh');
+  }
+
+  if (changes.length === 0) {
+    alert(`All ${fetched - unreadable} readable title(s) are already up to date.${unreadable > 0 ? `\n\n${unreadable} page(s) could not be read.` : ''}`);
+    return;
+  }
+
+  showTitleRefreshModal(changes, unreadable);
+}
+
+// Show the old → new title diff; each change can be accepted, edited or skipped
+function showTitleRefreshModal(changes, unreadable) {
+  const modal = document.getElementById('titleRefreshModal');
+  const content = document.getElementById('titleRefreshContent');
+
+  currentTitleChanges = changes;
+
+  let html = `
+    <div style="margin-bottom: 8px;">
+      <p style="font-size: 11px;"><strong>Found ${changes.length} bookmark(s) whose page title differs</strong></p>
+      <p style="color: #666; font-size: 9px;">Select the titles to update. You can edit a new title before applying.${unreadable > 0 ? ` ${unreadable} page(s) could not be read and are not listed.` : ''}</p>
+    </div>
+  `;
+
+  for (const item of changes) {
+    const alternatives = item.alternatives.filter(title => title !== item.newTitle);
+    html += `
+      <div style="margin-bottom: 6px; padding: 8px; background: rgba(59, 130, 246, 0.05); border-radius: 4px; border: 1px solid rgba(59, 130, 246, 0.2); display: flex; align-items: flex-start; gap: 6px;">
+        <input type="checkbox"
+               id="title-${item.id}"
+               data-bookmark-id="${item.id}"
+               class="title-refresh-checkbox"
+               checked
+               style="cursor: pointer; width: 10px; height: 10px; margin-top: 2px;">
+        <div style="flex: 1; min-width: 0; font-size: 9px;">
+          <label for="title-${item.id}" style="cursor: pointer; display: block; color: #dc2626; text-decoration: line-through; word-break: break-word;">${escapeHtml(item.oldTitle || 'Untitled')}</label>
+          <input type="text" class="title-refresh-input" data-bookmark-id="${item.id}" value="${escapeHtml(item.newTitle).replace(/"/g, '&quot;')}"
+                 list="title-options-${item.id}" aria-label="New title" style="width: 100%; box-sizing: border-box; margin: 2px 0; font-size: 10px; color: #16a34a;">
+          <datalist id="title-options-${item.id}">
+            ${alternatives.map(title => `<option value="${escapeHtml(title).replace(/"/g, '&quot;')}"></option>`).join('')}
+          </datalist>
+          <div style="color: var(--md-sys-color-on-surface-variant); word-break: break-all;">${escapeHtml(item.url)}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  content.innerHTML = html;
+  modal.classList.remove('hidden');
+  modal.setAttribute('aria-hidden', 'false');
+  trapFocus(modal);
+}
+
+// Close title refresh modal
+function closeTitleRefreshModal() {
+  const modal = document.getElementById('titleRefreshModal');
+  modal.classList.add('hidden');
+  modal.setAttribute('aria-hidden', 'true');
+  releaseFocusTrap();
+}
+
+// Rename the accepted bookmarks to their refreshed title
+async function applyTitleRefresh() {
+  const checkboxes = document.querySelectorAll('.title-refresh-checkbox:checked');
+
+  if (checkboxes.length === 0) {
+    alert('Please select at least one bookmark to rename.');
+    return;
+  }
+
+  const selectedIds = new Set(Array.from(checkboxes).map(cb => cb.dataset.bookmarkId));
+  const updated = [];
+  let failCount = 0;
+
+  for (const item of currentTitleChanges.filter(change => selectedIds.has(change.id))) {
+    const input = document.querySelector(`.title-refresh-input[data-bookmark-id="${item.id}"]`);
+    const newTitle = (input ? input.value : item.newTitle).trim();
+    if (!newTitle || newTitle === item.oldTitle) continue;
+
+    try {
+      await chrome.bookmarks.update(item.id, { title: newTitle });
+      await addChangelogEntry('update', 'bookmark', newTitle, item.url, {
+        oldTitle: item.oldTitle,
+        newTitle,
+        reason: 'title-refresh'
+      });
+      updated.push({ ...item, newTitle });
+    } catch (error) {
+      console.error(`Failed to rename bookmark ${item.id}:`, error);
+      failCount++;
+    }
+  }
+
+  closeTitleRefreshModal();
+  await loadBookmarks();
+  renderBookmarks();
+
+  if (updated.length > 0) {
+    showUndoToast({
+      type: 'title-update',
+      data: { changes: updated },
+      message: `Renamed ${updated.length} bookmark(s)`
+    });
+  }
+
+  if (failCount > 0) {
+    alert(`⚠ Renamed ${updated.length} bookmark(s).\n${failCount} failed to update.`);
+  }
+}
+
+// Ask the background for the Wayback snapshot of a bookmark and keep it on the node
+async function lookupArchivedCopy(bookmark, force = false) {
+  let snapshot = null;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'lookupArchivedCopy', url: bookmark.url, force });
+    snapshot = response?.snapshot || null;
+  } catch (error) {
+    console.error(`[Wayback] Lookup failed for ${bookmark.url}:`, error);
+  }
+  if (snapshot) {
+    bookmark.archivedSnapshot = snapshot;
+    updateBookmarkInTree(bookmark.id, { archivedSnapshot: snapshot });
+  }
+  return snapshot;
+}
+
+// Global storage for the current archive preview
+let currentArchiveCandidates = [];
+
+// Find archived copies of the confirmed-dead bookmarks among the given ones and preview them
+async function archiveDeadBookmarks(bookmarks) {
+  const dead = bookmarks.filter(bookmark => bookmark.url && bookmark.linkStatus === 'dead');
+  if (dead.length === 0) {
+    alert('No confirmed-dead bookmarks found.\n\nRun a link scan first; bookmarks that are only possibly dead are not included.');
+    return;
+  }
+
+  // Runs like a scan so the Stop button can cancel it
+  if (autoScanDepth === 0) scanCancelled = false;
+  autoScanDepth++;
+  updateScanControls();
+  setScanningStatus('wayback-lookup', `Finding archived copies: 0/${dead.length}`);
+
+  const BATCH_SIZE = 5;
+  const candidates = [];
+  let looked = 0;
+
+  try {
+    for (let i = 0; i < dead.length && !scanCancelled; i += BATCH_SIZE) {
+      const batch = dead.slice(i, i + BATCH_SIZE);
+      await Promise.all(batch.map(async bookmark => {
+        const snapshot = bookmark.archivedSnapshot || await lookupArchivedCopy(bookmark);
+        if (snapshot) {
+          candidates.push({
+            id: bookmark.id,
+            title: bookmark.title || '',
+            oldUrl: bookmark.url,
+            newUrl: snapshot.url,
+            snapshotAt: snapshot.timestamp
+          });
+        }
+        looked++;
+      }));
+      setScanningStatus('wayback-lookup', `Finding archived copies: ${looked}/${dead.length}`);
+    }
+  } finally {
+    autoScanDepth = Math.max(0, autoScanDepth - 1);
+    updateScanControls();
+    clearScanningStatus('wayback-lookup');
+  }
+
+  if (candidates.length === 0) {
+    alert(`None of the ${looked} dead bookmark(s) checked have an archived copy in the Wayback Machine.`);
+    return;
+  }
+
+  showArchiveDeadModal(candidates, looked - candidates.length);
+}
+
+// Show the dead bookmarks that have an archived copy
+function showArchiveDeadModal(candidates, missing) {
+  const modal = document.getElementById('archiveDeadModal');
+  const content = document.getElementById('archiveDeadContent');
+
+  currentArchiveCandidates = candidates;
+
+  let html = `
+    <div style="margin-bottom: 8px;">
+      <p style="font-size: 11px;"><strong>Found archived copies for ${candidates.length} dead bookmark(s)</strong></p>
+      <p style="color: #666; font-size: 9px;">Select the bookmarks to update.${missing > 0 ? ` ${missing} dead bookmark(s) have no archived copy and are not listed.` : ''}</p>
+    </div>
+  `;
+
+  for (const item of candidates) {
+    html += `
+      <div style="margin-bottom: 6px; padding: 8px; background: rgba(59, 130, 246, 0.05); border-radius: 4px; border: 1px solid rgba(59, 130, 246, 0.2); display: flex; align-items: flex-start; gap: 6px;">
+        <input type="checkbox"
+               id="archive-${item.id}"
+               data-bookmark-id="${item.id}"
+               class="archive-dead-checkbox"
+               checked
+               style="cursor: pointer; width: 10px; height: 10px; margin-top: 2px;">
+        <label for="archive-${item.id}" style="flex: 1; cursor: pointer; font-size: 9px; min-width: 0;">
+          <div style="font-weight: 500; margin-bottom: 2px;">${escapeHtml(item.title || 'Untitled')}</div>
+          <div style="color: #dc2626; text-decoration: line-through; word-break: break-all;">${escapeHtml(item.oldUrl)}</div>
+          <div style="color: #16a34a; word-break: break-all;">→ ${escapeHtml(item.newUrl)}</div>
+          <div style="color: var(--md-sys-color-on-surface-variant);">Snapshot from ${formatSnapshotDate({ timestamp: item.snapshotAt })}</div>
+        </label>
+      </div>
+    `;
+  }
+
+  content.innerHTML = html;
+  modal.classList.remove('hidden');
+  modal.setAttribute('aria-hidden', 'false');
+  trapFocus(modal);
+}
+
+// Close archive dead bookmarks modal
+function closeArchiveDeadModal() {
+  const modal = document.getElementById('archiveDeadModal');
+  modal.classList.add('hidden');
+  modal.setAttribute('aria-hidden', 'true');
+  releaseFocusTrap();
+}
+
+// Point the selected dead bookmarks at their archived copy, or add the copy next to them
+async function applyArchiveDead() {
+  const checkboxes = document.querySelectorAll('.archive-dead-checkbox:checked');
+
+  if (checkboxes.length === 0) {
+    alert('Please select at least one bookmark to update.');
+    return;
+  }
+
+  const mode = document.querySelector('input[name="archiveDeadMode"]:checked')?.value || 'replace';
+  const selectedIds = new Set(Array.from(checkboxes).map(cb => cb.dataset.bookmarkId));
+  const updated = [];
+  let annotated = 0;
+  let failCount = 0;
+
+  for (const item of currentArchiveCandidates.filter(candidate => selectedIds.has(candidate.id))) {
+    try {
+      if (mode === 'annotate') {
+        // Insert right after the original so the pair stays together
+        const [original] = await chrome.bookmarks.get(item.id);
+        const title = `${item.title || 'Untitled'} (archived ${formatSnapshotDate({ timestamp: item.snapshotAt })})`;
+        await chrome.bookmarks.create({
+          parentId: original.parentId,
+          index: original.index + 1,
+          title,
+          url: item.newUrl
+        });
+        const folderPath = original.parentId ? await getFolderPath(original.parentId) : 'Root';
+        await addChangelogEntry('create', 'bookmark', title, item.newUrl, { folderPath, archivedFrom: item.oldUrl });
+        annotated++;
+      } else {
+        await chrome.bookmarks.update(item.id, { url: item.newUrl });
+        await addChangelogEntry('update', 'bookmark', item.title || 'Untitled', item.newUrl, {
+          oldUrl: item.oldUrl,
+          newUrl: item.newUrl,
+          reason: 'wayback-archive'
+        });
+        // The recorded checks belonged to the dead URL
+        updateBookmarkInTree(item.id, pickLinkDetails(null));
+        updated.push(item);
+      }
+    } catch (error) {
+      console.error(`Failed to archive dead bookmark ${item.id}:`, error);
+      failCount++;
+    }
+  }
+
+  closeArchiveDeadModal();
+  await loadBookmarks();
+  renderBookmarks();
+
+  if (updated.length > 0) {
+    showUndoToast({
+      type: 'url-update',
+      data: { changes: updated },
+      message: `Replaced ${updated.length} dead bookmark(s) with archived copies`
+    });
+  }
+
+  const done = mode === 'annotate' ? `Added ${annotated} archived cop${annotated === 1 ? 'y' : 'ies'}` : `Updated ${updated.length} bookmark(s)`;
+  if (failCount > 0) {
+    alert(`⚠ ${done}.\n${failCount} failed to update.`);
+  } else if (mode === 'annotate') {
+    alert(`✓ ${done} next to the dead bookmarks.`);
+  }
+}
+
+// Id of the custom blocklist source being edited in the sources modal (null = adding a new one)
+let editingBlocklistSourceId = null;
+let blocklistSourcesList = [];
+let blocklistSourceHealth = {}; // Per-source download health from the background, keyed by source id
+
+// Sources that have failed for this many days get a warning badge
+const BLOCKLIST_FAILING_WARN_DAYS = 2;
+
+// Days a source has been failing, or 0 if it isn't (or only just started)
+function getBlocklistFailingDays(health) {
+  if (!health?.failingSince) return 0;
+  return Math.floor((Date.now() - health.failingSince) / (24 * 60 * 60 * 1000));
+}
+
+// Show how many enabled sources have been failing for days on the "Manage Blocklist Sources" button
+async function updateBlocklistSourcesWarning() {
+  const badge = document.getElementById('blocklistSourcesWarning');
+  if (!badge) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getBlocklistSources' });
+    const health = response?.health || {};
+    const failing = (response?.sources || []).filter(source =>
+      source.enabled && getBlocklistFailingDays(health[source.id]) >= BLOCKLIST_FAILING_WARN_DAYS);
+    badge.textContent = `⚠ ${failing.length}`;
+    badge.title = failing.length > 0 ? `Failing for days: ${failing.map(source => source.name).join(', ')}` : '';
+    badge.style.display = failing.length > 0 ? '' : 'none';
+  } catch (error) {
+    console.error('[Blocklist Sources] Failed to check source health:', error);
+  }
+}
+
+// Health summary shown under a source: last success, entry count and its change, rejects, last error
+function renderBlocklistSourceHealth(source) {
+  const health = blocklistSourceHealth[source.id];
+  if (!health) {
+    return `<div style="color: var(--md-sys-color-on-surface-variant);">Not downloaded yet</div>`;
+  }
+
+  const parts = [];
+  parts.push(health.lastSuccessAt ? `Last success ${getTimeAgo(new Date(health.lastSuccessAt))}` : 'Never succeeded');
+  if (health.count !== undefined) {
+    const delta = health.previousCount !== undefined ? health.count - health.previousCount : 0;
+    parts.push(`${health.count.toLocaleString()} entries${delta !== 0 ? ` (${delta > 0 ? '+' : ''}${delta.toLocaleString()})` : ''}`);
+  }
+  if (health.rejected > 0) {
+    parts.push(`${health.rejected.toLocaleString()} lines rejected`);
+  }
+
+  const failingDays = getBlocklistFailingDays(health);
+  return `
+    <div style="color: var(--md-sys-color-on-surface-variant);">${parts.join(' · ')}</div>
+    ${failingDays >= BLOCKLIST_FAILING_WARN_DAYS ? `<span class="domain-badge domain-expiring" style="font-size: 9px;">⚠ Failing for ${failingDays} days</span>` : ''}
+    ${health.failingSince && health.lastError ? `<div style="color: var(--md-sys-color-error);">Last error (${getTimeAgo(new Date(health.lastErrorAt))}): ${escapeHtml(health.lastError)}</div>` : ''}
+  `;
+}
+
+// Open the blocklist sources manager
+async function openBlocklistSourcesModal() {
+  const modal = document.getElementById('blocklistSourcesModal');
+  resetBlocklistSourceForm();
+  await renderBlocklistSources();
+  modal.classList.remove('hidden');
+  modal.setAttribute('aria-hidden', 'false');
+  trapFocus(modal);
+}
+
+// Close blocklist sources modal
+function closeBlocklistSourcesModal() {
+  const modal = document.getElementById('blocklistSourcesModal');
+  modal.classList.add('hidden');
+  modal.setAttribute('aria-hidden', 'true');
+  releaseFocusTrap();
+}
+
+// List built-in and custom sources; built-in ones can only be switched on or off
+async function renderBlocklistSources() {
+  const list = document.getElementById('blocklistSourcesList');
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getBlocklistSources' });
+    blocklistSourcesList = response?.sources || [];
+    blocklistSourceHealth = response?.health || {};
+  } catch (error) {
+    console.error('[Blocklist Sources] Failed to load sources:', error);
+    blocklistSourcesList = [];
+    blocklistSourceHealth = {};
+  }
+
+  list.innerHTML = `
+    <p style="color: #666; font-size: 9px; margin-bottom: 8px;">Unchecked sources are left out of the next database update. Changes are applied a few seconds after you make them.</p>
+  ` + blocklistSourcesList.map(source => `
+    <div style="margin-bottom: 6px; padding: 8px; background: rgba(59, 130, 246, 0.05); border-radius: 4px; border: 1px solid rgba(59, 130, 246, 0.2); display: flex; align-items: center; gap: 6px;">
+      <input type="checkbox" class="blocklist-source-toggle" data-source-id="${escapeHtml(source.id)}" ${source.enabled ? 'checked' : ''}
+             aria-label="Use ${escapeHtml(source.name).replace(/"/g, '&quot;')}" style="cursor: pointer; width: 10px; height: 10px;">
+      <div style="flex: 1; min-width: 0; font-size: 9px;">
+        <div style="font-weight: 500;">${escapeHtml(source.name)}
+          <span style="font-weight: normal; color: var(--md-sys-color-on-surface-variant);">${source.builtin ? 'Built-in' : 'Custom'} · ${escapeHtml(source.format)}${source.fileName ? '' : ` · every ${source.refreshHours || 24}h`}</span>
+        </div>
+        <div style="color: var(--md-sys-color-on-surface-variant); word-break: break-all;">${escapeHtml(source.url || `File: ${source.fileName}`)}</div>
+        ${renderBlocklistSourceHealth(source)}
+      </div>
+      <button class="btn blocklist-source-refresh" data-source-id="${escapeHtml(source.id)}" ${source.enabled ? '' : 'disabled'}
+              title="Download this source now" style="font-size: 10px; padding: 2px 8px;">Refresh</button>
+      ${source.builtin ? '' : `
+        <button class="btn blocklist-source-edit" data-source-id="${escapeHtml(source.id)}" style="font-size: 10px; padding: 2px 8px;">Edit</button>
+        <button class="btn blocklist-source-remove" data-source-id="${escapeHtml(source.id)}" style="font-size: 10px; padding: 2px 8px; color: var(--md-sys-color-error);">Remove</button>
+      `}
+    </div>
+  `).join('');
+}
+
+// Clear the add/edit form back to "add a new source"
+function resetBlocklistSourceForm() {
+  editingBlocklistSourceId = null;
+  document.getElementById('blocklistSourceName').value = '';
+  document.getElementById('blocklistSourceFormat').value = 'domains';
+  document.getElementById('blocklistSourceUrl').value = '';
+  document.getElementById('blocklistSourceRefresh').value = '24';
+  document.getElementById('blocklistSourceFile').value = '';
+  document.getElementById('blocklistSourceFileHint').textContent = '';
+  document.getElementById('blocklistSourceSave').textContent = 'Add Source';
+  document.getElementById('blocklistSourceCancelEdit').style.display = 'none';
+}
+
+// Load a custom source into the form for editing
+function editBlocklistSource(sourceId) {
+  const source = blocklistSourcesList.find(item => item.id === sourceId);
+  if (!source) return;
+
+  editingBlocklistSourceId = source.id;
+  document.getElementById('blocklistSourceName').value = source.name;
+  document.getElementById('blocklistSourceFormat').value = source.format;
+  document.getElementById('blocklistSourceUrl').value = source.url || '';
+  document.getElementById('blocklistSourceRefresh').value = String(source.refreshHours || 24);
+  document.getElementById('blocklistSourceFile').value = '';
+  document.getElementById('blocklistSourceFileHint').textContent = source.fileName
+    ? `Currently using ${source.fileName}. Choose a new file to replace it, or enter a URL instead.`
+    : '';
+  document.getElementById('blocklistSourceSave').textContent = 'Save Changes';
+  document.getElementById('blocklistSourceCancelEdit').style.display = '';
+  document.getElementById('blocklistSourceName').focus();
+}
+
+// Add a new source or save the one being edited (an uploaded file takes precedence over the URL)
+async function saveBlocklistSourceForm() {
+  const name = document.getElementById('blocklistSourceName').value.trim();
+  const format = document.getElementById('blocklistSourceFormat').value;
+  const url = document.getElementById('blocklistSourceUrl').value.trim();
+  const refreshHours = parseInt(document.getElementById('blocklistSourceRefresh').value, 10);
+  const file = document.getElementById('blocklistSourceFile').files[0];
+  const editing = blocklistSourcesList.find(item => item.id === editingBlocklistSourceId);
+
+  if (!name) {
+    alert('Please enter a name for the source.');
+    return;
+  }
+  if (!file && !url && !editing?.fileName) {
+    alert('Please enter a URL or choose a file.');
+    return;
+  }
+
+  const message = {
+    action: 'saveBlocklistSource',
+    source: { id: editingBlocklistSourceId || undefined, name, format, url: file ? null : url, fileName: file?.name, refreshHours }
+  };
+  if (file) {
+    message.content = await file.text();
+  }
+
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    alert(`Could not save the source: ${response?.error || 'Unknown error'}`);
+    return;
+  }
+
+  showToast(`${editing ? 'Updated' : 'Added'} blocklist source "${name}"`);
+  resetBlocklistSourceForm();
+  await renderBlocklistSources();
+}
+
+// Suspicious-pattern rules being edited in the rules modal (saved to the background on "Save Rules")
+let suspiciousRulesDraft = [];
+let suspiciousRuleSeverities = ['info', 'warning', 'unsafe'];
+let suspiciousRulesJsonDirty = false; // JSON textarea edited since it was last applied
+
+// Open the suspicious pattern rules editor
+async function openSuspiciousRulesModal() {
+  const modal = document.getElementById('suspiciousRulesModal');
+  const response = await chrome.runtime.sendMessage({ action: 'getSuspiciousPatternRules' });
+  if (!response || response.error) {
+    alert(`Could not load the rules: ${response?.error || 'Unknown error'}`);
+    return;
+  }
+  suspiciousRulesDraft = JSON.parse(JSON.stringify(response.rules));
+  suspiciousRuleSeverities = response.severities || suspiciousRuleSeverities;
+  document.getElementById('suspiciousRulesReset').disabled = !response.custom;
+  renderSuspiciousRules();
+  modal.classList.remove('hidden');
+  modal.setAttribute('aria-hidden', 'false');
+  trapFocus(modal);
+}
+
+// Close suspicious pattern rules modal (unsaved edits are dropped)
+function closeSuspiciousRulesModal() {
+  const modal = document.getElementById('suspiciousRulesModal');
+  modal.classList.add('hidden');
+  modal.setAttribute('aria-hidden', 'true');
+  releaseFocusTrap();
+}
+
+// One-line summary of what a rule matches
+function describeSuspiciousRule(rule) {
+  switch (rule.type) {
+    case 'http-only': return 'http:// URLs';
+    case 'host-list': return `${rule.hosts?.length || 0} hosts and their subdomains`;
+    case 'tld': return `${rule.tlds?.length || 0} TLDs`;
+    case 'ip-address': return 'IP address instead of a domain';
+    case 'lookalike': return 'Imitates a popular or bookmarked domain';
+    case 'userinfo': return '"@" in the URL authority';
+    case 'subdomain-depth': return `More than ${rule.max} subdomain levels`;
+    case 'hostname-length': return `Hostname longer than ${rule.max} characters`;
+    case 'query-param': return `Query parameters: ${(rule.params || []).join(', ')}`;
+    case 'port': return `Ports other than ${(rule.allowedPorts || []).join(', ') || 'the default'}`;
+    case 'regex': return `URL matches /${rule.pattern}/${rule.flags || ''}`;
+    default: return rule.type;
+  }
+}
+
+// Rule list (enable toggle and severity per rule) and the JSON view of the same draft
+function renderSuspiciousRules() {
+  const list = document.getElementById('suspiciousRulesList');
+  list.innerHTML = `
+    <p style="color: #666; font-size: 9px; margin-bottom: 8px;">Severity sets how much a match adds to the risk score (weights in Risk Score Settings); "info" only lists the pattern. Saved changes apply to new checks; rescan to update existing results.</p>
+  ` + suspiciousRulesDraft.map((rule, index) => `
+    <div style="margin-bottom: 6px; padding: 8px; background: rgba(59, 130, 246, 0.05); border-radius: 4px; border: 1px solid rgba(59, 130, 246, 0.2); display: flex; align-items: center; gap: 6px;">
+      <input type="checkbox" class="suspicious-rule-toggle" data-rule-index="${index}" ${rule.enabled !== false ? 'checked' : ''}
+             aria-label="Use ${escapeHtml(rule.label).replace(/"/g, '&quot;')}" style="cursor: pointer; width: 10px; height: 10px;">
+      <div style="flex: 1; min-width: 0; font-size: 9px;">
+        <div style="font-weight: 500;">${escapeHtml(rule.label)}
+          <span style="font-weight: normal; color: var(--md-sys-color-on-surface-variant);">${escapeHtml(rule.id)} · ${escapeHtml(rule.type)}</span>
+        </div>
+        <div style="color: var(--md-sys-color-on-surface-variant); word-break: break-all;">${escapeHtml(describeSuspiciousRule(rule))}</div>
+      </div>
+      <select class="form-input suspicious-rule-severity" data-rule-index="${index}" aria-label="Severity" style="width: auto; font-size: 10px; padding: 2px 4px;">
+        ${suspiciousRuleSeverities.map(severity => `<option value="${severity}" ${rule.severity === severity ? 'selected' : ''}>${severity}</option>`).join('')}
+      </select>
+    </div>
+  `).join('');
+
+  document.getElementById('suspiciousRulesJson').value = JSON.stringify(suspiciousRulesDraft, null, 2);
+  document.getElementById('suspiciousRulesJsonError').textContent = '';
+  suspiciousRulesJsonDirty = false;
+}
+
+// Rules from exported or hand-written JSON: a rules array, or an object with a "rules" array
+function parseSuspiciousRulesJson(text) {
+  const data = JSON.parse(text);
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('Expected a JSON array of rules or an object with a "rules" array');
+  }
+  return rules;
+}
+
+// Take the JSON textarea into the draft; returns false (and shows why) if it doesn't parse
+function applySuspiciousRulesJson() {
+  if (!suspiciousRulesJsonDirty) return true;
+  try {
+    suspiciousRulesDraft = parseSuspiciousRulesJson(document.getElementById('suspiciousRulesJson').value);
+    renderSuspiciousRules();
+    return true;
+  } catch (error) {
+    document.getElementById('suspiciousRulesJsonError').textContent = `Invalid JSON: ${error.message}`;
+    return false;
+  }
+}
+
+// Save the draft; the background validates every rule
+async function saveSuspiciousRules() {
+  if (!applySuspiciousRulesJson()) return;
+
+  const response = await chrome.runtime.sendMessage({ action: 'saveSuspiciousPatternRules', rules: suspiciousRulesDraft });
+  if (!response?.success) {
+    alert(`Could not save the rules: ${response?.error || 'Unknown error'}`);
+    return;
+  }
+
+  showToast(`Saved ${response.rules.length} suspicious pattern rules`);
+  closeSuspiciousRulesModal();
+}
+
+// Download the draft as JSON
+function exportSuspiciousRules() {
+  if (!applySuspiciousRulesJson()) return;
+
+  const date = new Date().toISOString().split('T')[0];
+  const blob = new Blob([JSON.stringify({ version: 1, rules: suspiciousRulesDraft }, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `suspicious-rules-${date}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Load rules from an exported file into the draft (not saved until "Save Rules")
+async function importSuspiciousRules(file) {
+  try {
+    suspiciousRulesDraft = parseSuspiciousRulesJson(await file.text());
+    renderSuspiciousRules();
+    showToast(`Imported ${suspiciousRulesDraft.length} rules from ${file.name}. Save to apply them.`);
+  } catch (error) {
+    alert(`Could not import ${file.name}: ${error.message}`);
+  }
+}
+
+// Drop the saved rules and go back to the bundled defaults
+async function resetSuspiciousRules() {
+  if (!confirm('Replace your suspicious pattern rules with the defaults?')) return;
+
+  const response = await chrome.runtime.sendMessage({ action: 'resetSuspiciousPatternRules' });
+  if (!response?.success) {
+    alert(`Could not reset the rules: ${response?.error || 'Unknown error'}`);
+    return;
+  }
+  closeSuspiciousRulesModal();
+  await openSuspiciousRulesModal();
+  showToast('Suspicious pattern rules reset to defaults');
+}
+
+// Weights shown in the risk score settings modal (from getSafetyScoring in background.js)
+let riskScoringWeights = [];
+let riskScoringDefaultThresholds = null;
+
+// Open the risk score settings
+async function openRiskScoringModal() {
+  const modal = document.getElementById('riskScoringModal');
+  const response = await chrome.runtime.sendMessage({ action: 'getSafetyScoring' });
+  if (!response || response.error) {
+    alert(`Could not load the risk score settings: ${response?.error || 'Unknown error'}`);
+    return;
+  }
+  renderRiskScoring(response);
+  modal.classList.remove('hidden');
+  modal.setAttribute('aria-hidden', 'false');
+  trapFocus(modal);
+}
+
+// Close risk score settings modal
+function closeRiskScoringModal() {
+  const modal = document.getElementById('riskScoringModal');
+  modal.classList.add('hidden');
+  modal.setAttribute('aria-hidden', 'true');
+  releaseFocusTrap();
+}
+
+// Thresholds and one weight input per scanner, blocklist and pattern severity
+function renderRiskScoring({ thresholds, defaultThresholds, weights }) {
+  riskScoringWeights = weights;
+  riskScoringDefaultThresholds = defaultThresholds;
+  document.getElementById('riskWarningThreshold').value = thresholds.warning;
+  document.getElementById('riskUnsafeThreshold').value = thresholds.unsafe;
+
+  const groups = [...new Set(weights.map(item => item.group))];
+  document.getElementById('riskScoringWeights').innerHTML = groups.map(group => `
+    <div style="font-size: 11px; font-weight: 500; margin: 10px 0 4px;">${escapeHtml(group)} weights</div>
+    ${weights.map((item, index) => item.group !== group ? '' : `
+      <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px; font-size: 10px;">
+        <label for="riskWeight${index}" style="flex: 1; min-width: 0;">${escapeHtml(item.label)}</label>
+        <input type="number" id="riskWeight${index}" class="form-input risk-weight-input" data-weight-index="${index}"
+               min="0" max="1" step="0.05" value="${item.weight}" title="Default: ${item.defaultWeight}" style="width: 70px; padding: 2px 4px;">
+      </div>
+    `).join('')}
+  `).join('');
+}
+
+// Save thresholds and weights; the background rejects out-of-range values
+async function saveRiskScoring() {
+  const weights = {};
+  document.querySelectorAll('#riskScoringWeights .risk-weight-input').forEach(input => {
+    weights[riskScoringWeights[input.dataset.weightIndex].key] = parseFloat(input.value);
+  });
+  const settings = {
+    thresholds: {
+      warning: parseInt(document.getElementById('riskWarningThreshold').value, 10),
+      unsafe: parseInt(document.getElementById('riskUnsafeThreshold').value, 10)
+    },
+    weights
+  };
+
+  const response = await chrome.runtime.sendMessage({ action: 'saveSafetyScoring', settings });
+  if (!response?.success) {
+    alert(`Could not save the risk score settings: ${response?.error || 'Unknown error'}`);
+    return;
+  }
+  showToast('Risk score settings saved. Rescan to apply them to existing results.');
+  closeRiskScoringModal();
+}
+
+// Put the default weights and thresholds back into the form (saved with "Save")
+function resetRiskScoringForm() {
+  renderRiskScoring({
+    thresholds: riskScoringDefaultThresholds,
+    defaultThresholds: riskScoringDefaultThresholds,
+    weights: riskScoringWeights.map(item => ({ ...item, weight: item.defaultWeight }))
+  });
+}
+
+// Providers being edited in the safety providers modal (from getSafetyProviders in background.js)
+let safetyProvidersDraft = [];
+
+// Open the safety providers settings
+async function openSafetyProvidersModal() {
+  const modal = document.getElementById('safetyProvidersModal');
+  const response = await chrome.runtime.sendMessage({ action: 'getSafetyProviders' });
+  if (!response || response.error) {
+    alert(`Could not load the safety providers: ${response?.error || 'Unknown error'}`);
+    return;
+  }
+  safetyProvidersDraft = response.providers;
+  document.getElementById('safetyProviderName').value = '';
+  document.getElementById('safetyProviderEndpoint').value = '';
+  await renderSafetyProviders();
+  modal.classList.remove('hidden');
+  modal.setAttribute('aria-hidden', 'false');
+  trapFocus(modal);
+}
+
+// Close safety providers modal (unsaved edits are dropped)
+function closeSafetyProvidersModal() {
+  const modal = document.getElementById('safetyProvidersModal');
+  modal.classList.add('hidden');
+  modal.setAttribute('aria-hidden', 'true');
+  releaseFocusTrap();
+}
+
+// One row per provider: enable toggle, privacy label, endpoint and timeout
+async function renderSafetyProviders() {
+  const keys = await chrome.storage.local.get(safetyProvidersDraft.map(provider => provider.apiKey).filter(Boolean));
+  const list = document.getElementById('safetyProvidersList');
+  list.innerHTML = `
+    <p style="color: #666; font-size: 9px; margin-bottom: 8px;">Providers are asked about every checked URL, in this order. Leave the endpoint blank to use the default. Weights are in Risk Score Settings.</p>
+  ` + safetyProvidersDraft.map((provider, index) => {
+    const name = escapeHtml(provider.name).replace(/"/g, '&quot;');
+    const missingKey = provider.apiKey && !keys[provider.apiKey];
+    return `
+      <div style="margin-bottom: 6px; padding: 8px; background: rgba(59, 130, 246, 0.05); border-radius: 4px; border: 1px solid rgba(59, 130, 246, 0.2); font-size: 9px;">
+        <div style="display: flex; align-items: center; gap: 6px;">
+          <input type="checkbox" class="safety-provider-toggle" data-provider-index="${index}" ${provider.enabled ? 'checked' : ''}
+                 aria-label="Use ${name}" style="cursor: pointer; width: 10px; height: 10px;">
+          <div style="flex: 1; min-width: 0; font-weight: 500;">${escapeHtml(provider.name)}
+            <span style="font-weight: normal; color: var(--md-sys-color-on-surface-variant);">${provider.builtin ? 'built-in' : 'custom'}${missingKey ? ' · needs an API key' : ''}</span>
+          </div>
+          ${provider.builtin ? '' : `<button class="btn safety-provider-remove" data-provider-index="${index}" style="font-size: 9px; padding: 2px 6px;">Remove</button>`}
+        </div>
+        <div style="color: var(--md-sys-color-on-surface-variant); margin: 2px 0 4px 16px;">${escapeHtml(provider.privacy)}</div>
+        <div style="display: flex; align-items: center; gap: 6px; margin-left: 16px;">
+          <input type="text" class="form-input safety-provider-endpoint" data-provider-index="${index}" aria-label="${name} endpoint"
+                 value="${provider.endpoint === provider.defaultEndpoint && provider.builtin ? '' : escapeHtml(provider.endpoint).replace(/"/g, '&quot;')}"
+                 placeholder="${escapeHtml(provider.defaultEndpoint).replace(/"/g, '&quot;')}" style="flex: 1; min-width: 0; font-size: 10px; padding: 2px 4px;">
+          <input type="number" class="form-input safety-provider-timeout" data-provider-index="${index}" aria-label="${name} timeout in seconds"
+                 min="1" max="60" step="1" value="${provider.timeoutMs / 1000}" title="Timeout in seconds (default ${provider.defaultTimeoutMs / 1000})" style="width: 55px; font-size: 10px; padding: 2px 4px;">
+          <span>s</span>
+        </div>
+        ${provider.allowProxy === undefined ? '' : `
+          <label style="display: flex; align-items: center; gap: 6px; margin: 4px 0 0 16px; cursor: pointer;">
+            <input type="checkbox" class="safety-provider-proxy" data-provider-index="${index}" ${provider.allowProxy ? 'checked' : ''} style="width: 10px; height: 10px;">
+            Allow public CORS proxy fallback (corsproxy.io, allorigins.win and codetabs.com see every hostname checked)
+          </label>
+        `}
+      </div>
+    `;
+  }).join('');
+}
+
+// Copy the row inputs into the draft
+function readSafetyProvidersForm() {
+  const list = document.getElementById('safetyProvidersList');
+  list.querySelectorAll('.safety-provider-toggle').forEach(input => {
+    safetyProvidersDraft[input.dataset.providerIndex].enabled = input.checked;
+  });
+  list.querySelectorAll('.safety-provider-endpoint').forEach(input => {
+    const provider = safetyProvidersDraft[input.dataset.providerIndex];
+    provider.endpoint = input.value.trim() || provider.defaultEndpoint;
+  });
+  list.querySelectorAll('.safety-provider-timeout').forEach(input => {
+    safetyProvidersDraft[input.dataset.providerIndex].timeoutMs = Math.round(parseFloat(input.value) * 1000);
+  });
+  list.querySelectorAll('.safety-provider-proxy').forEach(input => {
+    safetyProvidersDraft[input.dataset.providerIndex].allowProxy = input.checked;
+  });
+}
+
+// Add a custom provider to the draft (saved with "Save")
+async function addSafetyProvider() {
+  const name = document.getElementById('safetyProviderName').value.trim();
+  const endpoint = document.getElementById('safetyProviderEndpoint').value.trim();
+  if (!name || !endpoint) {
+    alert('Enter a name and an endpoint for the provider.');
+    return;
+  }
+  try {
+    const parsed = new URL(endpoint);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error();
+  } catch (e) {
+    alert('The endpoint must be an HTTP or HTTPS URL.');
+    return;
+  }
+
+  readSafetyProvidersForm();
+  safetyProvidersDraft.push({
+    name,
+    endpoint,
+    defaultEndpoint: endpoint,
+    enabled: true,
+    builtin: false,
+    timeoutMs: 5000,
+    defaultTimeoutMs: 5000,
+    privacy: `Sends the full URL to ${new URL(endpoint).host}`
+  });
+  document.getElementById('safetyProviderName').value = '';
+  document.getElementById('safetyProviderEndpoint').value = '';
+  await renderSafetyProviders();
+}
+
+async function removeSafetyProvider(index) {
+  readSafetyProvidersForm();
+  safetyProvidersDraft.splice(index, 1);
+  await renderSafetyProviders();
+}
+
+// Save the draft; the background validates endpoints, timeouts and names
+async function saveSafetyProviders() {
+  readSafetyProvidersForm();
+  const settings = {};
+  const custom = [];
+  safetyProvidersDraft.forEach(provider => {
+    if (provider.builtin) {
+      settings[provider.id] = {
+        enabled: provider.enabled,
+        endpoint: provider.endpoint,
+        timeoutMs: provider.timeoutMs,
+        allowProxy: provider.allowProxy
+      };
+    } else {
+      custom.push({ id: provider.id, name: provider.name, endpoint: provider.endpoint, enabled: provider.enabled, timeoutMs: provider.timeoutMs });
+    }
+  });
+
+  const response = await chrome.runtime.sendMessage({ action: 'saveSafetyProviders', settings, custom });
+  if (!response?.success) {
+    alert(`Could not save the safety providers: ${response?.error || 'Unknown error'}`);
+    return;
+  }
+  showToast('Safety providers saved. Rescan to apply them to existing results.');
+  closeSafetyProvidersModal();
+}
+
+// Security alert inbox (kept by background.js, see recordSecurityAlert)
+let securityAlerts = [];
+let securityAlertTypes = [];
+
+const SECURITY_ALERT_COLORS = {
+  unsafe: 'var(--md-sys-color-error)',
+  warning: 'var(--md-sys-color-warning)',
+  dead: '#6b7280',
+  parked: '#6b7280'
+};
+
+// Show the unread count on the "Security Alerts" button
+async function updateSecurityAlertsUnread() {
+  const badge = document.getElementById('securityAlertsUnread');
+  if (!badge) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSecurityAlerts' });
+    const unread = (response?.alerts || []).filter(item => !item.read).length;
+    badge.textContent = unread;
+    badge.style.display = unread > 0 ? '' : 'none';
+  } catch (error) {
+    console.error('[Security Alerts] Failed to load alerts:', error);
+  }
+}
+
+// Open the security alert inbox
+async function openSecurityAlertsModal() {
+  const modal = document.getElementById('securityAlertsModal');
+  await loadSecurityAlerts();
+  modal.classList.remove('hidden');
+  modal.setAttribute('aria-hidden', 'false');
+  trapFocus(modal);
+}
+
+// Close the security alert inbox
+function closeSecurityAlertsModal() {
+  const modal = document.getElementById('securityAlertsModal');
+  modal.classList.add('hidden');
+  modal.setAttribute('aria-hidden', 'true');
+  releaseFocusTrap();
+}
+
+async function loadSecurityAlerts() {
+  const response = await chrome.runtime.sendMessage({ action: 'getSecurityAlerts' });
+  securityAlerts = response?.alerts || [];
+  securityAlertTypes = response?.types || [];
+  renderSecurityAlerts();
+}
+
+// Alert type toggles, then the alerts newest first
+function renderSecurityAlerts() {
+  document.getElementById('securityAlertTypes').innerHTML = securityAlertTypes.map(entry => `
+    <label style="display: flex; align-items: center; gap: 4px; cursor: pointer;">
+      <input type="checkbox" class="security-alert-type" data-alert-type="${entry.type}" ${entry.enabled ? 'checked' : ''} style="width: 10px; height: 10px;">
+      ${escapeHtml(entry.label)}
+    </label>
+  `).join('');
+
+  const list = document.getElementById('securityAlertsList');
+  if (securityAlerts.length === 0) {
+    list.innerHTML = '<p style="color: #666; font-size: 10px; text-align: center; padding: 16px;">No security alerts.</p>';
+    return;
+  }
+  list.innerHTML = [...securityAlerts].reverse().map(item => `
+    <div style="padding: 8px; border-radius: 4px; border: 1px solid var(--md-sys-color-outline-variant); border-left: 3px solid ${SECURITY_ALERT_COLORS[item.type] || '#6b7280'}; font-size: 10px; ${item.read ? 'opacity: 0.7;' : ''}">
+      <div style="display: flex; align-items: center; gap: 6px;">
+        <span style="flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-weight: ${item.read ? 'normal' : '600'};"
+              title="${escapeHtml(item.url).replace(/"/g, '&quot;')}">${item.read ? '' : '● '}${escapeHtml(item.title)}</span>
+        <span style="color: var(--md-sys-color-on-surface-variant); font-size: 9px;">${new Date(item.timestamp).toLocaleString()}</span>
+      </div>
+      <div style="margin: 2px 0;">${escapeHtml(item.message)}</div>
+      ${item.sources?.length ? `<div style="color: var(--md-sys-color-on-surface-variant); font-size: 9px;">Sources: ${escapeHtml(item.sources.join(', '))}</div>` : ''}
+      <div style="display: flex; gap: 6px; margin-top: 4px;">
+        <button class="btn security-alert-show" data-alert-id="${item.id}" style="font-size: 9px; padding: 2px 6px;">Show Bookmark</button>
+        <button class="btn security-alert-open" data-alert-id="${item.id}" style="font-size: 9px; padding: 2px 6px;">Open</button>
+        <button class="btn security-alert-read" data-alert-id="${item.id}" style="font-size: 9px; padding: 2px 6px;">${item.read ? 'Mark Unread' : 'Mark Read'}</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+async function markSecurityAlertsRead(ids, read = true) {
+  await chrome.runtime.sendMessage({ action: 'markSecurityAlertsRead', ids, read });
+}
+
+// Show Bookmark / Open / Mark Read buttons of an alert
+async function handleSecurityAlertClick(e) {
+  const button = e.target.closest('.security-alert-show, .security-alert-open, .security-alert-read');
+  if (!button) return;
+  const item = securityAlerts.find(entry => entry.id === button.dataset.alertId);
+  if (!item) return;
+
+  if (button.classList.contains('security-alert-read')) {
+    await markSecurityAlertsRead([item.id], !item.read);
+    return;
+  }
+  await markSecurityAlertsRead([item.id]);
+  if (button.classList.contains('security-alert-open')) {
+    // Goes through the warning page like any other flagged bookmark
+    await openBookmarkUrl(item.url, true);
+  } else {
+    closeSecurityAlertsModal();
+    showBookmarkInTree(item.bookmarkId);
+  }
+}
+
+async function setSecurityAlertType(type, enabled) {
+  const response = await chrome.runtime.sendMessage({ action: 'setSecurityAlertTypes', types: { [type]: enabled } });
+  if (!response?.success) {
+    showToast(`Could not save the alert settings: ${response?.error || 'Unknown error'}`, 'error');
+    return;
+  }
+  securityAlertTypes = response.types;
+}
+
+async function clearSecurityAlerts() {
+  if (securityAlerts.length === 0) return;
+  if (!confirm(`Delete all ${securityAlerts.length} security alerts?`)) return;
+  await chrome.runtime.sendMessage({ action: 'clearSecurityAlerts' });
+}
+
+// Scroll the tree to a bookmark: clears the search, expands its folders and outlines it for a moment
+function showBookmarkInTree(bookmarkId) {
+  const findPath = (nodes, path) => {
+    for (const node of nodes) {
+      if (node.id === bookmarkId) return path;
+      if (node.children) {
+        const found = findPath(node.children, [...path, node.id]);
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+  const path = findPath(bookmarkTree, []);
+  if (!path) {
+    showToast('This bookmark no longer exists', 'error');
+    return;
+  }
+
+  path.forEach(folderId => expandedFolders.add(folderId));
+  if (searchTerm) {
+    searchTerm = '';
+    searchInput.value = '';
+  }
+  renderBookmarks();
+  saveSessionStateDebounced();
+
+  const element = document.querySelector(`.bookmark-item[data-id="${bookmarkId}"]`);
+  if (!element) {
+    showToast('The bookmark is hidden by the active filters', 'info');
+    return;
+  }
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.style.outline = '2px solid var(--md-sys-color-primary)';
+  element.style.outlineOffset = '2px';
+  setTimeout(() => {
+    element.style.outline = '';
+  }, 2000);
+}
+
+// Get all bookmarks in a folder recursively
+function getAllBookmarksInFolder(folder) {
+  const bookmarks = [];
+
+  function traverse(node) {
+    if (node.url) {
+      bookmarks.push(node);
+    } else if (node.children) {
+      node.children.forEach(child => traverse(child));
+    }
+  }
+
+  if (folder.children) {
+    folder.children.forEach(child => traverse(child));
+  }
+
+  return bookmarks;
+}
+
+// Get all folders from bookmark tree
+function getAllFolders(nodes, depth = 0) {
+  const folders = [];
+
+  nodes.forEach(node => {
+    if (node.children) {
+      folders.push({ ...node, depth });
+      folders.push(...getAllFolders(node.children, depth + 1));
+    }
+  });
 
   return folders;
 }
@@ -9212,6 +11129,7 @@ function setupEventListeners() {
   document.querySelectorAll('.filter-chip').forEach(chip => {
     chip.addEventListener('click', () => {
       const filter = chip.dataset.filter;
+      if (!filter) return; // Selects and toggles styled as chips have their own handlers
 
       const index = activeFilters.indexOf(filter);
       if (index > -1) {
@@ -9229,6 +11147,59 @@ function setupEventListeners() {
     });
   });
 
+  // Link failure reason filter (stored in activeFilters as "reason:<errorClass>")
+  const linkReasonFilter = document.getElementById('linkReasonFilter');
+  if (linkReasonFilter) {
+    const activeReason = activeFilters.find(f => f.startsWith('reason:'));
+    linkReasonFilter.value = activeReason ? activeReason.slice('reason:'.length) : '';
+    linkReasonFilter.classList.toggle('active', !!activeReason);
+
+    linkReasonFilter.addEventListener('change', () => {
+      activeFilters = activeFilters.filter(f => !f.startsWith('reason:'));
+      if (linkReasonFilter.value) {
+        activeFilters.push(`reason:${linkReasonFilter.value}`);
+      }
+      linkReasonFilter.classList.toggle('active', !!linkReasonFilter.value);
+
+      renderBookmarks();
+      saveSessionStateDebounced();
+    });
+  }
+
+  // Risk score filter (stored in activeFilters as "risk:<minimum score>")
+  const riskScoreFilter = document.getElementById('riskScoreFilter');
+  if (riskScoreFilter) {
+    const activeRisk = activeFilters.find(f => f.startsWith('risk:'));
+    riskScoreFilter.value = activeRisk ? activeRisk.slice('risk:'.length) : '';
+    riskScoreFilter.classList.toggle('active', !!activeRisk);
+
+    riskScoreFilter.addEventListener('change', () => {
+      activeFilters = activeFilters.filter(f => !f.startsWith('risk:'));
+      if (riskScoreFilter.value) {
+        activeFilters.push(`risk:${riskScoreFilter.value}`);
+      }
+      riskScoreFilter.classList.toggle('active', !!riskScoreFilter.value);
+
+      renderBookmarks();
+      saveSessionStateDebounced();
+    });
+  }
+
+  // Sort bookmarks by risk score
+  const sortByRiskBtn = document.getElementById('sortByRiskBtn');
+  if (sortByRiskBtn) {
+    sortByRiskBtn.classList.toggle('active', sortByRiskScore);
+    sortByRiskBtn.setAttribute('aria-pressed', String(sortByRiskScore));
+
+    sortByRiskBtn.addEventListener('click', () => {
+      sortByRiskScore = !sortByRiskScore;
+      localStorage.setItem('sortByRiskScore', sortByRiskScore);
+      sortByRiskBtn.classList.toggle('active', sortByRiskScore);
+      sortByRiskBtn.setAttribute('aria-pressed', String(sortByRiskScore));
+      renderBookmarks();
+    });
+  }
+
   // Save scroll position when user scrolls
   if (bookmarkList) {
     bookmarkList.addEventListener('scroll', () => {
@@ -9386,6 +11357,7 @@ function setupEventListeners() {
       positionFixedDropdown(settingsMenu, settingsBtn);
       // Update cache size display when menu opens
       await updateCacheSizeDisplay();
+      await updateApiQuotaDisplay();
     }
   });
 
@@ -9407,6 +11379,57 @@ function setupEventListeners() {
     closeAllMenus();
   });
 
+  // Fix moved bookmarks (all bookmarks)
+  document.getElementById('fixMovedBookmarksBtn').addEventListener('click', () => {
+    closeAllMenus();
+    fixMovedBookmarks();
+  });
+
+  // Refresh titles (all bookmarks)
+  document.getElementById('refreshTitlesBtn').addEventListener('click', async () => {
+    closeAllMenus();
+    const bookmarks = getAllBookmarksFlat(bookmarkTree);
+    if (confirm(`Fetch the live page title of all ${bookmarks.length} bookmarks?\n\nYou can review every change before it is applied.`)) {
+      await refreshBookmarkTitles(bookmarks);
+    }
+  });
+
+  // Manage blocklist sources
+  document.getElementById('manageBlocklistSourcesBtn').addEventListener('click', async () => {
+    closeAllMenus();
+    await openBlocklistSourcesModal();
+  });
+
+  // Suspicious pattern rules
+  document.getElementById('suspiciousRulesBtn').addEventListener('click', async () => {
+    closeAllMenus();
+    await openSuspiciousRulesModal();
+  });
+
+  // Safety providers
+  document.getElementById('safetyProvidersBtn').addEventListener('click', async () => {
+    closeAllMenus();
+    await openSafetyProvidersModal();
+  });
+
+  // Risk score settings
+  document.getElementById('riskScoringBtn').addEventListener('click', async () => {
+    closeAllMenus();
+    await openRiskScoringModal();
+  });
+
+  // Security alert inbox
+  document.getElementById('securityAlertsBtn').addEventListener('click', async () => {
+    closeAllMenus();
+    await openSecurityAlertsModal();
+  });
+
+  // Archive dead bookmarks (all bookmarks)
+  document.getElementById('archiveDeadBookmarksBtn').addEventListener('click', async () => {
+    closeAllMenus();
+    await archiveDeadBookmarks(getAllBookmarksFlat(bookmarkTree));
+  });
+
   // Clear changelog
   clearChangelogBtn.addEventListener('click', async () => {
     if (confirm('Are you sure you want to clear all changelog history? This action cannot be undone.')) {
@@ -9466,6 +11489,22 @@ function setupEventListeners() {
     localStorage.setItem('safetyCheckingEnabled', safetyCheckingEnabled);
   });
 
+  // Warning page before opening flagged bookmarks
+  document.getElementById('enableInterstitial')?.addEventListener('change', (e) => {
+    interstitialSettings.enabled = e.target.checked;
+    chrome.storage.local.set({ interstitialEnabled: e.target.checked });
+  });
+  document.getElementById('interstitialDeadLinks')?.addEventListener('change', (e) => {
+    interstitialSettings.deadLinks = e.target.checked;
+    chrome.storage.local.set({ interstitialForDeadLinks: e.target.checked });
+  });
+
+  // Live navigation protection (on-device blocklist + pattern check of every page opened)
+  document.getElementById('enableNavigationProtection')?.addEventListener('change', (e) => {
+    chrome.storage.local.set({ navigationProtectionEnabled: e.target.checked });
+    chrome.runtime.sendMessage({ action: 'setNavigationProtection', enabled: e.target.checked }).catch(() => {});
+  });
+
   /* [ZeroLabs] 2026-06-20 10:50 AM - added: scan concurrency + jitter sliders (DNS load) */
   const scanConcurrencySlider = document.getElementById('scanConcurrencySlider');
   const scanConcurrencyValueLabel = document.getElementById('scanConcurrencyValue');
@@ -9489,6 +11528,79 @@ function setupEventListeners() {
     });
   }
 
+  const hostConcurrencySlider = document.getElementById('hostConcurrencySlider');
+  const hostConcurrencyValueLabel = document.getElementById('hostConcurrencyValue');
+  if (hostConcurrencySlider) {
+    hostConcurrencySlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value, 10);
+      if (hostConcurrencyValueLabel) hostConcurrencyValueLabel.textContent = value;
+      chrome.storage.local.set({ hostConcurrency: value });
+      chrome.runtime.sendMessage({ action: 'setHostConcurrency', value }).catch(() => {});
+    });
+  }
+
+  const hostSpacingSlider = document.getElementById('hostSpacingSlider');
+  const hostSpacingValueLabel = document.getElementById('hostSpacingValue');
+  if (hostSpacingSlider) {
+    hostSpacingSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value, 10);
+      if (hostSpacingValueLabel) hostSpacingValueLabel.textContent = value + 'ms';
+      chrome.storage.local.set({ hostSpacing: value });
+      chrome.runtime.sendMessage({ action: 'setHostSpacing', value }).catch(() => {});
+    });
+  }
+
+  // Domain lifecycle checks (DoH + RDAP)
+  const enableDomainChecksToggle = document.getElementById('enableDomainChecks');
+  if (enableDomainChecksToggle) {
+    enableDomainChecksToggle.addEventListener('change', (e) => {
+      chrome.storage.local.set({ domainCheckEnabled: e.target.checked });
+      chrome.runtime.sendMessage({ action: 'setDomainLifecycleSettings', enabled: e.target.checked }).catch(() => {});
+    });
+  }
+
+  document.getElementById('setDohResolverBtn')?.addEventListener('click', async () => {
+    const dohResolver = await promptEndpointUrl('dohResolverUrl', 'DNS-over-HTTPS resolver',
+      'https://cloudflare-dns.com/dns-query', 'Must support the JSON API (?name=example.com&type=NS), e.g. https://dns.google/resolve or a local resolver.');
+    if (dohResolver !== null) {
+      chrome.runtime.sendMessage({ action: 'setDomainLifecycleSettings', dohResolver }).catch(() => {});
+    }
+    closeAllMenus();
+  });
+
+  document.getElementById('setRdapEndpointBtn')?.addEventListener('click', async () => {
+    const rdapEndpoint = await promptEndpointUrl('rdapEndpointUrl', 'RDAP endpoint',
+      'https://rdap.org/domain/', 'The domain name is appended to this URL, e.g. https://rdap.org/domain/ or a local RDAP server.');
+    if (rdapEndpoint !== null) {
+      chrome.runtime.sendMessage({ action: 'setDomainLifecycleSettings', rdapEndpoint }).catch(() => {});
+    }
+    closeAllMenus();
+  });
+
+  document.getElementById('setWaybackApiBtn')?.addEventListener('click', async () => {
+    const value = await promptEndpointUrl('waybackApiUrl', 'Wayback Machine availability API',
+      'https://archive.org/wayback/available', 'Queried with ?url=...&timestamp=YYYYMMDD to find archived copies of dead bookmarks, e.g. a local stand-in for testing. Must use HTTPS.',
+      value => chrome.runtime.sendMessage({ action: 'setWaybackApiUrl', value }).catch(error => ({ success: false, error: error.message })));
+    closeAllMenus();
+  });
+
+  ['deadConfirmFailuresSlider', 'deadConfirmDaysSlider'].forEach(sliderId => {
+    const slider = document.getElementById(sliderId);
+    if (!slider) return;
+    slider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value, 10);
+      if (sliderId === 'deadConfirmFailuresSlider') {
+        deadConfirmSettings.failures = value;
+        chrome.storage.local.set({ deadConfirmFailures: value });
+      } else {
+        deadConfirmSettings.days = value;
+        chrome.storage.local.set({ deadConfirmDays: value });
+      }
+      updateDeadConfirmLabels();
+      chrome.runtime.sendMessage({ action: 'setDeadConfirmation', ...deadConfirmSettings }).catch(() => {});
+    });
+  });
+
   // Accent color picker - applies in real-time as user picks
   accentColorPicker.addEventListener('input', (e) => {
     const color = e.target.value;
@@ -10017,6 +12129,36 @@ function setupEventListeners() {
     closeAllMenus();
   });
 
+  // Google Safe Browsing Update API mode: match hash-prefix lists on the device instead of sending URLs
+  const safeBrowsingLocalListsToggle = document.getElementById('enableSafeBrowsingLocalLists');
+  if (safeBrowsingLocalListsToggle) {
+    chrome.storage.local.get('googleSafeBrowsingMode').then(result => {
+      safeBrowsingLocalListsToggle.checked = result.googleSafeBrowsingMode === 'update';
+    }).catch(() => {});
+
+    safeBrowsingLocalListsToggle.addEventListener('change', async (e) => {
+      await chrome.storage.local.set({ googleSafeBrowsingMode: e.target.checked ? 'update' : 'lookup' });
+      if (!e.target.checked) return;
+
+      const apiKey = await getDecryptedApiKey('googleSafeBrowsingApiKey');
+      if (!apiKey) {
+        showToast('Set a Google API key to download the Safe Browsing lists', 'error');
+        return;
+      }
+      showToast('Downloading Google Safe Browsing lists...', 'info');
+      try {
+        const status = await chrome.runtime.sendMessage({ action: 'syncSafeBrowsingLists' });
+        if (status?.success && status.prefixes > 0) {
+          showToast(`Safe Browsing lists ready (${status.prefixes.toLocaleString()} hash prefixes)`);
+        } else {
+          showToast('Could not download the Safe Browsing lists, will retry later', 'error');
+        }
+      } catch (error) {
+        showToast('Could not download the Safe Browsing lists, will retry later', 'error');
+      }
+    });
+  }
+
   // Set VirusTotal API Key
   document.getElementById('setVirusTotalApiKeyBtn').addEventListener('click', async () => {
     const currentKey = await getDecryptedApiKey('virusTotalApiKey');
@@ -10299,6 +12441,198 @@ function setupEventListeners() {
     }
   });
 
+  // Fix moved bookmarks modal event listeners
+  const fixMovedModal = document.getElementById('fixMovedModal');
+  document.getElementById('fixMovedModalClose').addEventListener('click', closeFixMovedModal);
+  document.getElementById('fixMovedModalCancel').addEventListener('click', closeFixMovedModal);
+  document.getElementById('fixMovedModalApply').addEventListener('click', applyFixMovedBookmarks);
+  fixMovedModal.querySelector('.modal-overlay').addEventListener('click', closeFixMovedModal);
+
+  fixMovedModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeFixMovedModal();
+    }
+  });
+
+  // Title refresh modal event listeners
+  const titleRefreshModal = document.getElementById('titleRefreshModal');
+  document.getElementById('titleRefreshModalClose').addEventListener('click', closeTitleRefreshModal);
+  document.getElementById('titleRefreshModalCancel').addEventListener('click', closeTitleRefreshModal);
+  document.getElementById('titleRefreshModalApply').addEventListener('click', applyTitleRefresh);
+  titleRefreshModal.querySelector('.modal-overlay').addEventListener('click', closeTitleRefreshModal);
+
+  titleRefreshModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeTitleRefreshModal();
+    }
+  });
+
+  // Blocklist sources modal event listeners
+  const blocklistSourcesModal = document.getElementById('blocklistSourcesModal');
+  document.getElementById('blocklistSourcesModalClose').addEventListener('click', closeBlocklistSourcesModal);
+  document.getElementById('blocklistSourcesModalCancel').addEventListener('click', closeBlocklistSourcesModal);
+  document.getElementById('blocklistSourceSave').addEventListener('click', saveBlocklistSourceForm);
+  document.getElementById('blocklistSourceCancelEdit').addEventListener('click', resetBlocklistSourceForm);
+  blocklistSourcesModal.querySelector('.modal-overlay').addEventListener('click', closeBlocklistSourcesModal);
+
+  blocklistSourcesModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeBlocklistSourcesModal();
+    }
+  });
+
+  const blocklistSourcesListEl = document.getElementById('blocklistSourcesList');
+  blocklistSourcesListEl.addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('blocklist-source-toggle')) return;
+    const response = await chrome.runtime.sendMessage({
+      action: 'setBlocklistSourceEnabled',
+      id: e.target.dataset.sourceId,
+      enabled: e.target.checked
+    });
+    if (!response?.success) {
+      e.target.checked = !e.target.checked;
+      alert(`Could not update the source: ${response?.error || 'Unknown error'}`);
+    }
+  });
+
+  blocklistSourcesListEl.addEventListener('click', async (e) => {
+    const editBtn = e.target.closest('.blocklist-source-edit');
+    const removeBtn = e.target.closest('.blocklist-source-remove');
+    const refreshBtn = e.target.closest('.blocklist-source-refresh');
+    if (refreshBtn) {
+      refreshBtn.disabled = true;
+      refreshBtn.textContent = 'Refreshing...';
+      const response = await chrome.runtime.sendMessage({ action: 'refreshBlocklistSource', id: refreshBtn.dataset.sourceId });
+      if (!response?.success) {
+        alert(`Could not refresh the source: ${response?.error || 'Unknown error'}`);
+      }
+      await renderBlocklistSources();
+    } else if (editBtn) {
+      editBlocklistSource(editBtn.dataset.sourceId);
+    } else if (removeBtn) {
+      const source = blocklistSourcesList.find(item => item.id === removeBtn.dataset.sourceId);
+      if (!source || !confirm(`Remove blocklist source "${source.name}"?`)) return;
+      await chrome.runtime.sendMessage({ action: 'removeBlocklistSource', id: source.id });
+      if (editingBlocklistSourceId === source.id) resetBlocklistSourceForm();
+      await renderBlocklistSources();
+    }
+  });
+
+  // Suspicious pattern rules modal event listeners
+  const suspiciousRulesModal = document.getElementById('suspiciousRulesModal');
+  document.getElementById('suspiciousRulesModalClose').addEventListener('click', closeSuspiciousRulesModal);
+  document.getElementById('suspiciousRulesModalCancel').addEventListener('click', closeSuspiciousRulesModal);
+  document.getElementById('suspiciousRulesSave').addEventListener('click', saveSuspiciousRules);
+  document.getElementById('suspiciousRulesExport').addEventListener('click', exportSuspiciousRules);
+  document.getElementById('suspiciousRulesReset').addEventListener('click', resetSuspiciousRules);
+  document.getElementById('suspiciousRulesImport').addEventListener('click', () => {
+    document.getElementById('suspiciousRulesImportFile').click();
+  });
+  document.getElementById('suspiciousRulesImportFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) await importSuspiciousRules(file);
+  });
+  suspiciousRulesModal.querySelector('.modal-overlay').addEventListener('click', closeSuspiciousRulesModal);
+
+  suspiciousRulesModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeSuspiciousRulesModal();
+    }
+  });
+
+  const suspiciousRulesJsonEl = document.getElementById('suspiciousRulesJson');
+  suspiciousRulesJsonEl.addEventListener('input', () => {
+    suspiciousRulesJsonDirty = true;
+  });
+  suspiciousRulesJsonEl.addEventListener('change', applySuspiciousRulesJson);
+
+  document.getElementById('suspiciousRulesList').addEventListener('change', (e) => {
+    // Pending JSON edits are taken in first so they aren't overwritten
+    const jsonWasEdited = suspiciousRulesJsonDirty;
+    if (!applySuspiciousRulesJson()) return;
+    const rule = suspiciousRulesDraft[e.target.dataset.ruleIndex];
+    if (!rule) return;
+    if (e.target.classList.contains('suspicious-rule-toggle')) {
+      rule.enabled = e.target.checked;
+    } else if (e.target.classList.contains('suspicious-rule-severity')) {
+      rule.severity = e.target.value;
+    }
+    if (jsonWasEdited) {
+      renderSuspiciousRules();
+    } else {
+      document.getElementById('suspiciousRulesJson').value = JSON.stringify(suspiciousRulesDraft, null, 2);
+    }
+  });
+
+  // Risk score settings modal event listeners
+  const riskScoringModal = document.getElementById('riskScoringModal');
+  document.getElementById('riskScoringModalClose').addEventListener('click', closeRiskScoringModal);
+  document.getElementById('riskScoringModalCancel').addEventListener('click', closeRiskScoringModal);
+  document.getElementById('riskScoringSave').addEventListener('click', saveRiskScoring);
+  document.getElementById('riskScoringReset').addEventListener('click', resetRiskScoringForm);
+  riskScoringModal.querySelector('.modal-overlay').addEventListener('click', closeRiskScoringModal);
+
+  riskScoringModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeRiskScoringModal();
+    }
+  });
+
+  // Safety providers modal event listeners
+  const safetyProvidersModal = document.getElementById('safetyProvidersModal');
+  document.getElementById('safetyProvidersModalClose').addEventListener('click', closeSafetyProvidersModal);
+  document.getElementById('safetyProvidersModalCancel').addEventListener('click', closeSafetyProvidersModal);
+  document.getElementById('safetyProvidersSave').addEventListener('click', saveSafetyProviders);
+  document.getElementById('safetyProviderAdd').addEventListener('click', addSafetyProvider);
+  safetyProvidersModal.querySelector('.modal-overlay').addEventListener('click', closeSafetyProvidersModal);
+
+  document.getElementById('safetyProvidersList').addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.safety-provider-remove');
+    if (removeBtn) {
+      removeSafetyProvider(parseInt(removeBtn.dataset.providerIndex, 10));
+    }
+  });
+
+  safetyProvidersModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeSafetyProvidersModal();
+    }
+  });
+
+  // Security alerts modal event listeners
+  const securityAlertsModal = document.getElementById('securityAlertsModal');
+  document.getElementById('securityAlertsModalClose').addEventListener('click', closeSecurityAlertsModal);
+  document.getElementById('securityAlertsModalCancel').addEventListener('click', closeSecurityAlertsModal);
+  document.getElementById('securityAlertsMarkRead').addEventListener('click', () => markSecurityAlertsRead());
+  document.getElementById('securityAlertsClear').addEventListener('click', clearSecurityAlerts);
+  document.getElementById('securityAlertsList').addEventListener('click', handleSecurityAlertClick);
+  document.getElementById('securityAlertTypes').addEventListener('change', (e) => {
+    if (e.target.classList.contains('security-alert-type')) {
+      setSecurityAlertType(e.target.dataset.alertType, e.target.checked);
+    }
+  });
+  securityAlertsModal.querySelector('.modal-overlay').addEventListener('click', closeSecurityAlertsModal);
+
+  securityAlertsModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeSecurityAlertsModal();
+    }
+  });
+
+  // Archive dead bookmarks modal event listeners
+  const archiveDeadModal = document.getElementById('archiveDeadModal');
+  document.getElementById('archiveDeadModalClose').addEventListener('click', closeArchiveDeadModal);
+  document.getElementById('archiveDeadModalCancel').addEventListener('click', closeArchiveDeadModal);
+  document.getElementById('archiveDeadModalApply').addEventListener('click', applyArchiveDead);
+  archiveDeadModal.querySelector('.modal-overlay').addEventListener('click', closeArchiveDeadModal);
+
+  archiveDeadModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeArchiveDeadModal();
+    }
+  });
+
 // Changelog modal event listeners
 const changelogModal = document.getElementById('changelogModal');
 const changelogModalClose = document.getElementById('changelogModalClose');
@@ -10352,6 +12686,39 @@ changelogModal.addEventListener('keydown', (e) => {
     syncBookmarks('onMoved');
   });
 
+  // Alerts raised or read elsewhere (background scans, notifications)
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes.securityAlerts) return;
+    updateSecurityAlertsUnread();
+    if (!document.getElementById('securityAlertsModal').classList.contains('hidden')) {
+      securityAlerts = changes.securityAlerts.newValue || [];
+      renderSecurityAlerts();
+    }
+  });
+
+  // Sites whitelisted from the warning page: pick them up so saveWhitelist() doesn't drop them
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes.whitelistedUrls) return;
+    const updated = new Set(changes.whitelistedUrls.newValue || []);
+    const added = [...updated].filter(hostname => !whitelistedUrls.has(hostname));
+    whitelistedUrls = updated;
+    if (added.length === 0) return;
+
+    getAllBookmarksFlat(bookmarkTree).forEach(bookmark => {
+      try {
+        if (added.includes(new URL(bookmark.url).hostname)) {
+          updateBookmarkInTree(bookmark.id, {
+            safetyStatus: 'safe',
+            safetySources: ['Whitelisted by user'],
+            safetyScore: null,
+            safetyBreakdown: []
+          });
+        }
+      } catch (e) {}
+    });
+    renderBookmarks();
+  });
+
   // Multi-select toggle button
   const multiSelectToggle = document.getElementById('multiSelectToggle');
   multiSelectToggle.addEventListener('click', () => {
@@ -10492,6 +12859,18 @@ changelogModal.addEventListener('keydown', (e) => {
     await bulkMoveItems();
   });
 
+  document.getElementById('bulkFixMoved').addEventListener('click', () => {
+    fixMovedBookmarks();
+  });
+
+  document.getElementById('bulkRefreshTitles').addEventListener('click', async () => {
+    await refreshBookmarkTitles(getBulkActionBookmarks());
+  });
+
+  document.getElementById('bulkArchiveDead').addEventListener('click', async () => {
+    await archiveDeadBookmarks(getBulkActionBookmarks());
+  });
+
   document.getElementById('bulkDelete').addEventListener('click', async () => {
     await bulkDeleteItems();
   });
@@ -10507,7 +12886,15 @@ changelogModal.addEventListener('keydown', (e) => {
     if (!document.getElementById('editModal').classList.contains('hidden') ||
         !document.getElementById('addBookmarkModal').classList.contains('hidden') ||
         !document.getElementById('addFolderModal').classList.contains('hidden') ||
-        !document.getElementById('duplicatesModal').classList.contains('hidden')) {
+        !document.getElementById('duplicatesModal').classList.contains('hidden') ||
+        !document.getElementById('fixMovedModal').classList.contains('hidden') ||
+        !document.getElementById('titleRefreshModal').classList.contains('hidden') ||
+        !document.getElementById('archiveDeadModal').classList.contains('hidden') ||
+        !document.getElementById('blocklistSourcesModal').classList.contains('hidden') ||
+        !document.getElementById('suspiciousRulesModal').classList.contains('hidden') ||
+        !document.getElementById('riskScoringModal').classList.contains('hidden') ||
+        !document.getElementById('safetyProvidersModal').classList.contains('hidden') ||
+        !document.getElementById('securityAlertsModal').classList.contains('hidden')) {
       return;
     }
 